@@ -0,0 +1,794 @@
+// Readers for the files users bring in: ZIP archives, KML, ESRI Shapefiles
+// and CSV tables. Each vector reader returns plain GeoJSON so the rest of the
+// app only ever deals with one geometry model. Also holds the ZIP writer used
+// by the exports. Loaded after grid-index.js, whose ring helpers it shares.
+
+// ZIP archives
+// Returns a Map of entry path -> Uint8Array. Deflated entries are inflated
+// with DecompressionStream, so no third-party zip library is needed.
+async function readZipEntries(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record sits in the last 22 bytes plus an
+    // optional comment of up to 64 KB
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+
+    if (endOffset < 0) {
+        throw new Error('Not a valid ZIP archive');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+
+    if (offset === 0xffffffff || entryCount === 0xffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // Directories have no data
+        if (name.endsWith('/')) continue;
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8) {
+            entries.set(name, await inflateRaw(data));
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+        }
+    }
+
+    return entries;
+}
+
+async function inflateRaw(data) {
+    if (typeof DecompressionStream !== 'function') {
+        throw new Error('This browser cannot decompress ZIP files');
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function deflateRaw(data) {
+    if (typeof CompressionStream !== 'function') {
+        return null;
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Build a ZIP archive from [{ name, data }] where data is a string (written
+// as UTF-8) or a Uint8Array. Entries are deflated when the browser supports
+// it and that makes them smaller, and stored otherwise.
+async function createZipArchive(entries) {
+    const encoder = new TextEncoder();
+    const { time, date } = getDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const nameBytes = encoder.encode(entry.name);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const deflated = await deflateRaw(data);
+        const method = deflated && deflated.length < data.length ? 8 : 0;
+        const body = method === 8 ? deflated : data;
+        const crc = crc32(data);
+
+        const local = new Uint8Array(30 + nameBytes.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034b50, true);
+        localView.setUint16(4, 20, true); // Version needed to extract
+        localView.setUint16(6, 0x0800, true); // Names are UTF-8
+        localView.setUint16(8, method, true);
+        localView.setUint16(10, time, true);
+        localView.setUint16(12, date, true);
+        localView.setUint32(14, crc, true);
+        localView.setUint32(18, body.length, true);
+        localView.setUint32(22, data.length, true);
+        localView.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, 0x02014b50, true);
+        centralView.setUint16(4, 20, true); // Version made by
+        centralView.setUint16(6, 20, true);
+        centralView.setUint16(8, 0x0800, true);
+        centralView.setUint16(10, method, true);
+        centralView.setUint16(12, time, true);
+        centralView.setUint16(14, date, true);
+        centralView.setUint32(16, crc, true);
+        centralView.setUint32(20, body.length, true);
+        centralView.setUint32(24, data.length, true);
+        centralView.setUint16(28, nameBytes.length, true);
+        centralView.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        localParts.push(local, body);
+        centralParts.push(central);
+        offset += local.length + body.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, entries.length, true);
+    endView.setUint16(10, entries.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, end];
+    const archive = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    parts.forEach(part => {
+        archive.set(part, position);
+        position += part.length;
+    });
+
+    return archive;
+}
+
+function getDosDateTime(value) {
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((Math.max(value.getFullYear(), 1980) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Find a ZIP entry by extension, ignoring folders and macOS resource forks
+function findZipEntry(entries, extension) {
+    const suffix = extension.toLowerCase();
+    for (const name of entries.keys()) {
+        const lower = name.toLowerCase();
+        if (lower.endsWith(suffix) && !lower.startsWith('__macosx/')) {
+            return name;
+        }
+    }
+    return null;
+}
+
+// KML
+function parseKml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The KML file is not valid XML');
+    }
+
+    const features = getKmlElements(doc, 'Placemark').map(placemark => {
+        const geometries = getKmlGeometries(placemark);
+        if (geometries.length === 0) return null;
+
+        const nameElement = getKmlElements(placemark, 'name')[0];
+        return {
+            type: 'Feature',
+            properties: nameElement ? { name: nameElement.textContent.trim() } : {},
+            geometry: geometries.length === 1
+                ? geometries[0]
+                : { type: 'GeometryCollection', geometries }
+        };
+    }).filter(Boolean);
+
+    return { type: 'FeatureCollection', features };
+}
+
+function getKmlElements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+// Direct geometry children of a Placemark or MultiGeometry, flattened
+function getKmlGeometries(node) {
+    const geometries = [];
+
+    Array.from(node.children).forEach(child => {
+        switch (child.localName) {
+            case 'Point': {
+                const coordinates = parseKmlCoordinates(child)[0];
+                if (coordinates) geometries.push({ type: 'Point', coordinates });
+                break;
+            }
+            case 'LineString':
+            case 'LinearRing': {
+                const coordinates = parseKmlCoordinates(child);
+                if (coordinates.length >= 2) geometries.push({ type: 'LineString', coordinates });
+                break;
+            }
+            case 'Polygon': {
+                const outer = getKmlElements(child, 'outerBoundaryIs')[0];
+                const rings = [outer, ...getKmlElements(child, 'innerBoundaryIs')]
+                    .filter(Boolean)
+                    .map(boundary => parseKmlCoordinates(boundary))
+                    .filter(ring => ring.length >= 4);
+                if (outer && rings.length > 0) geometries.push({ type: 'Polygon', coordinates: rings });
+                break;
+            }
+            case 'MultiGeometry':
+                geometries.push(...getKmlGeometries(child));
+                break;
+            default:
+                break;
+        }
+    });
+
+    return geometries;
+}
+
+function parseKmlCoordinates(node) {
+    const element = node.localName === 'coordinates' ? node : getKmlElements(node, 'coordinates')[0];
+    if (!element) return [];
+
+    return element.textContent.trim().split(/\s+/).map(tuple => {
+        const [lng, lat] = tuple.split(',').map(Number);
+        return Number.isFinite(lng) && Number.isFinite(lat) ? [lng, lat] : null;
+    }).filter(Boolean);
+}
+
+// KMZ is a ZIP with the KML document inside (doc.kml by convention)
+async function parseKmz(buffer) {
+    const entries = await readZipEntries(buffer);
+    const name = entries.has('doc.kml') ? 'doc.kml' : findZipEntry(entries, '.kml');
+    if (!name) {
+        throw new Error('The KMZ file does not contain a KML document');
+    }
+    return parseKml(new TextDecoder().decode(entries.get(name)));
+}
+
+// Shapefiles
+// Reads the first layer of a zipped Shapefile (.shp plus optional .dbf, .prj
+// and .cpg). Coordinates must already be longitude/latitude.
+async function parseZippedShapefile(buffer) {
+    const entries = await readZipEntries(buffer);
+    const shpName = findZipEntry(entries, '.shp');
+    if (!shpName) {
+        throw new Error('The ZIP file does not contain a .shp file');
+    }
+
+    const baseName = shpName.slice(0, -4);
+    const findSidecar = extension => {
+        const exact = Array.from(entries.keys()).find(name => name.toLowerCase() === `${baseName}${extension}`.toLowerCase());
+        return exact ? entries.get(exact) : null;
+    };
+
+    const prj = findSidecar('.prj');
+    if (prj) {
+        const wkt = new TextDecoder().decode(prj).trim();
+        if (/^PROJCS|^PROJCRS/i.test(wkt)) {
+            const crsName = (wkt.match(/^\w+\["([^"]+)"/) || [])[1] || 'a projected CRS';
+            throw new Error(`The Shapefile uses ${crsName}; reproject it to WGS 84 longitude/latitude first`);
+        }
+    }
+
+    const cpg = findSidecar('.cpg');
+    const encoding = cpg ? new TextDecoder().decode(cpg).trim() : 'utf-8';
+    const dbf = findSidecar('.dbf');
+
+    const geometries = parseShp(entries.get(shpName));
+    const records = dbf ? parseDbf(dbf, encoding) : [];
+
+    const features = geometries.map((geometry, i) => geometry && {
+        type: 'Feature',
+        properties: records[i] || {},
+        geometry
+    }).filter(Boolean);
+
+    return { type: 'FeatureCollection', features };
+}
+
+// Parse the geometries of a .shp file; null shapes come back as null so they
+// stay aligned with the .dbf records. Z and M values are dropped.
+function parseShp(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 100 || view.getInt32(0, false) !== 9994) {
+        throw new Error('Not a valid .shp file');
+    }
+
+    const fileLength = Math.min(view.getInt32(24, false) * 2, bytes.length);
+    const geometries = [];
+    let offset = 100;
+
+    while (offset + 8 <= fileLength) {
+        const contentLength = view.getInt32(offset + 4, false) * 2;
+        const start = offset + 8;
+        offset = start + contentLength;
+
+        if (contentLength < 4 || offset > bytes.length) break;
+
+        geometries.push(parseShpRecord(view, start));
+    }
+
+    return geometries;
+}
+
+function parseShpRecord(view, start) {
+    // Z (1x) and M (2x) variants share the X/Y layout of the base type
+    const shapeType = view.getInt32(start, true) % 10;
+    const readPoint = at => [view.getFloat64(at, true), view.getFloat64(at + 8, true)];
+
+    if (shapeType === 0) return null;
+
+    if (shapeType === 1) {
+        return { type: 'Point', coordinates: readPoint(start + 4) };
+    }
+
+    if (shapeType === 8) {
+        const count = view.getInt32(start + 36, true);
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            points.push(readPoint(start + 40 + (i * 16)));
+        }
+        return { type: 'MultiPoint', coordinates: points };
+    }
+
+    if (shapeType !== 3 && shapeType !== 5) {
+        throw new Error(`Unsupported Shapefile shape type ${view.getInt32(start, true)}`);
+    }
+
+    const partCount = view.getInt32(start + 36, true);
+    const pointCount = view.getInt32(start + 40, true);
+    const pointsStart = start + 44 + (partCount * 4);
+    const parts = [];
+
+    for (let p = 0; p < partCount; p++) {
+        const from = view.getInt32(start + 44 + (p * 4), true);
+        const to = p + 1 < partCount ? view.getInt32(start + 48 + (p * 4), true) : pointCount;
+        const part = [];
+        for (let i = from; i < to; i++) {
+            part.push(readPoint(pointsStart + (i * 16)));
+        }
+        parts.push(part);
+    }
+
+    if (shapeType === 3) {
+        return parts.length === 1
+            ? { type: 'LineString', coordinates: parts[0] }
+            : { type: 'MultiLineString', coordinates: parts };
+    }
+
+    const polygons = groupShpRings(parts);
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+// Shapefile outer rings are clockwise and holes counter-clockwise; each hole
+// belongs to the outer ring that contains it
+function groupShpRings(rings) {
+    const polygons = [];
+    const holes = [];
+
+    rings.filter(ring => ring.length >= 4).forEach(ring => {
+        if (getRingSignedArea(ring) < 0) {
+            polygons.push([ring]);
+        } else {
+            holes.push(ring);
+        }
+    });
+
+    holes.forEach(hole => {
+        const owner = polygons.find(polygon => isPointInLinearRing(hole[0], polygon[0]));
+        if (owner) {
+            owner.push(hole);
+        } else {
+            // An unowned counter-clockwise ring is an outer ring written the
+            // wrong way round
+            polygons.push([hole]);
+        }
+    });
+
+    return polygons;
+}
+
+// Parse .dbf attribute records into plain objects
+function parseDbf(bytes, encoding = 'utf-8') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const recordCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+
+    let decoder;
+    try {
+        decoder = new TextDecoder(encoding);
+    } catch (error) {
+        decoder = new TextDecoder();
+    }
+
+    const fields = [];
+    for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0d; offset += 32) {
+        const rawName = bytes.subarray(offset, offset + 11);
+        const nameEnd = rawName.indexOf(0);
+        fields.push({
+            name: decoder.decode(rawName.subarray(0, nameEnd < 0 ? 11 : nameEnd)).trim(),
+            type: String.fromCharCode(bytes[offset + 11]),
+            length: bytes[offset + 16]
+        });
+    }
+
+    const records = [];
+    for (let r = 0; r < recordCount; r++) {
+        const start = headerLength + (r * recordLength);
+        if (start + recordLength > bytes.length) break;
+
+        const record = {};
+        let fieldOffset = start + 1; // Skip the deletion flag
+
+        fields.forEach(field => {
+            const raw = decoder.decode(bytes.subarray(fieldOffset, fieldOffset + field.length)).trim();
+            fieldOffset += field.length;
+
+            if (field.type === 'N' || field.type === 'F') {
+                record[field.name] = raw === '' ? null : Number(raw);
+            } else if (field.type === 'L') {
+                record[field.name] = /^[YT]$/i.test(raw) ? true : (/^[NF]$/i.test(raw) ? false : null);
+            } else {
+                record[field.name] = raw;
+            }
+        });
+
+        records.push(record);
+    }
+
+    return records;
+}
+
+// GeoJSON
+// Accept a FeatureCollection, a single Feature or a bare geometry
+function normaliseGeoJson(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('The file does not contain GeoJSON');
+    }
+
+    if (data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        return data;
+    }
+
+    if (data.type === 'Feature') {
+        return { type: 'FeatureCollection', features: [data] };
+    }
+
+    if (typeof data.type === 'string' && (data.coordinates || data.geometries)) {
+        return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+    }
+
+    throw new Error('The file does not contain GeoJSON');
+}
+
+// Shapefile writer. Takes one MultiPolygon coordinate array per record plus
+// attribute columns and rows, and returns the .shp, .shx and .dbf bytes.
+// Z values are dropped; rings are reoriented the way Shapefiles expect
+// (outer rings clockwise, holes counter-clockwise).
+function writeShapefile(polygons, columns, rows) {
+    const records = polygons.map(multiPolygon => {
+        const parts = [];
+        multiPolygon.forEach(polygon => {
+            polygon.forEach((ring, i) => {
+                if (!Array.isArray(ring) || ring.length < 3) return;
+
+                const points = ring.map(coord => [coord[0], coord[1]]);
+                const first = points[0];
+                const last = points[points.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    points.push(first.slice());
+                }
+
+                // Positive signed area means counter-clockwise
+                const clockwise = getRingSignedArea(points) < 0;
+                parts.push(clockwise === (i === 0) ? points : points.reverse());
+            });
+        });
+        return parts;
+    });
+
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    const recordBounds = records.map(parts => {
+        const box = [Infinity, Infinity, -Infinity, -Infinity];
+        parts.forEach(points => points.forEach(([x, y]) => {
+            box[0] = Math.min(box[0], x);
+            box[1] = Math.min(box[1], y);
+            box[2] = Math.max(box[2], x);
+            box[3] = Math.max(box[3], y);
+        }));
+        for (let i = 0; i < 4; i++) {
+            bounds[i] = i < 2 ? Math.min(bounds[i], box[i]) : Math.max(bounds[i], box[i]);
+        }
+        return box;
+    });
+
+    const contentLengths = records.map(parts =>
+        44 + (4 * parts.length) + (16 * parts.reduce((sum, points) => sum + points.length, 0))
+    );
+    const shpLength = 100 + contentLengths.reduce((sum, length) => sum + 8 + length, 0);
+    const shxLength = 100 + (8 * records.length);
+
+    const shp = new DataView(new ArrayBuffer(shpLength));
+    const shx = new DataView(new ArrayBuffer(shxLength));
+    writeShpHeader(shp, shpLength, bounds);
+    writeShpHeader(shx, shxLength, bounds);
+
+    let offset = 100;
+    records.forEach((parts, index) => {
+        const box = recordBounds[index];
+        const contentLength = contentLengths[index];
+
+        shx.setInt32(100 + (index * 8), offset / 2);
+        shx.setInt32(104 + (index * 8), contentLength / 2);
+
+        shp.setInt32(offset, index + 1);
+        shp.setInt32(offset + 4, contentLength / 2);
+        shp.setInt32(offset + 8, 5, true); // Polygon
+        box.forEach((value, i) => shp.setFloat64(offset + 12 + (i * 8), value, true));
+        shp.setInt32(offset + 44, parts.length, true);
+        shp.setInt32(offset + 48, parts.reduce((sum, points) => sum + points.length, 0), true);
+
+        let position = offset + 52;
+        let pointIndex = 0;
+        parts.forEach(points => {
+            shp.setInt32(position, pointIndex, true);
+            position += 4;
+            pointIndex += points.length;
+        });
+        parts.forEach(points => points.forEach(([x, y]) => {
+            shp.setFloat64(position, x, true);
+            shp.setFloat64(position + 8, y, true);
+            position += 16;
+        }));
+
+        offset += 8 + contentLength;
+    });
+
+    return {
+        shp: new Uint8Array(shp.buffer),
+        shx: new Uint8Array(shx.buffer),
+        dbf: writeDbf(columns, rows)
+    };
+}
+
+function writeShpHeader(view, byteLength, bounds) {
+    const box = bounds.every(Number.isFinite) ? bounds : [0, 0, 0, 0];
+    view.setInt32(0, 9994);
+    view.setInt32(24, byteLength / 2);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, 5, true);
+    box.forEach((value, i) => view.setFloat64(36 + (i * 8), value, true));
+}
+
+// dBASE III table. Columns whose values are all numbers become N fields,
+// everything else C fields sized to the longest UTF-8 value (at most 254
+// bytes). Text is written as UTF-8, which the .cpg next to it declares.
+function writeDbf(columns, rows) {
+    const encoder = new TextEncoder();
+    const names = getDbfFieldNames(columns);
+
+    const fields = columns.map((column, c) => {
+        const values = rows.map(row => row[c]).filter(value => value !== null && value !== undefined && value !== '');
+        const numeric = values.length > 0 && values.every(value => /^-?\d+(\.\d+)?$/.test(String(value)));
+
+        if (numeric) {
+            const decimals = Math.max(0, ...values.map(value => (String(value).split('.')[1] || '').length));
+            const length = Math.min(Math.max(...values.map(value => String(value).length), 1), 20);
+            return { name: names[c], type: 'N', length, decimals };
+        }
+
+        const length = Math.min(Math.max(1, ...values.map(value => encoder.encode(String(value)).length)), 254);
+        return { name: names[c], type: 'C', length, decimals: 0 };
+    });
+
+    const headerLength = 32 + (32 * fields.length) + 1;
+    const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+    const bytes = new Uint8Array(headerLength + (recordLength * rows.length) + 1);
+    const view = new DataView(bytes.buffer);
+    const today = new Date();
+
+    bytes[0] = 0x03;
+    bytes[1] = today.getFullYear() - 1900;
+    bytes[2] = today.getMonth() + 1;
+    bytes[3] = today.getDate();
+    view.setUint32(4, rows.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    fields.forEach((field, i) => {
+        const start = 32 + (i * 32);
+        bytes.set(encoder.encode(field.name), start);
+        bytes[start + 11] = field.type.charCodeAt(0);
+        bytes[start + 16] = field.length;
+        bytes[start + 17] = field.decimals;
+    });
+    bytes[headerLength - 1] = 0x0d;
+
+    rows.forEach((row, r) => {
+        let position = headerLength + (r * recordLength);
+        bytes[position++] = 0x20; // Not deleted
+
+        fields.forEach((field, c) => {
+            const value = row[c] === null || row[c] === undefined ? '' : String(row[c]);
+            let encoded = encoder.encode(value);
+
+            if (encoded.length > field.length) {
+                encoded = truncateUtf8(encoded, field.length);
+            }
+
+            bytes.fill(0x20, position, position + field.length);
+            // Numbers are right-aligned, text left-aligned
+            bytes.set(encoded, field.type === 'N' ? position + field.length - encoded.length : position);
+            position += field.length;
+        });
+    });
+
+    bytes[bytes.length - 1] = 0x1a;
+    return bytes;
+}
+
+// DBF field names are at most 10 ASCII characters. Truncated names that
+// collide get a numeric suffix, e.g. centroid_lat, centroid_lng ->
+// centroid_l, centroid_1.
+function getDbfFieldNames(columns) {
+    const used = new Set();
+
+    return columns.map(column => {
+        const base = String(column).replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'field';
+        let name = base;
+        let counter = 1;
+
+        while (used.has(name.toUpperCase())) {
+            const suffix = String(counter++);
+            name = base.slice(0, 10 - suffix.length) + suffix;
+        }
+
+        used.add(name.toUpperCase());
+        return name;
+    });
+}
+
+// Cut UTF-8 bytes to a maximum length without splitting a character
+function truncateUtf8(bytes, maxLength) {
+    let end = maxLength;
+    while (end > 0 && (bytes[end] & 0xc0) === 0x80) {
+        end--;
+    }
+    return bytes.slice(0, end);
+}
+
+// ESRI flavour of the WGS 84 definition, for .prj files
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// CSV
+// Parse delimited text into an array of rows (arrays of strings). Handles
+// quoted fields with embedded delimiters, quotes and line breaks. The
+// delimiter defaults to whichever of comma, semicolon or tab appears most in
+// the first line.
+function parseCsv(text, delimiter = null) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const separator = delimiter || detectCsvDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function detectCsvDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// Read a user-supplied vector file into a GeoJSON FeatureCollection, picking
+// the reader from the extension (or the content for ambiguous files)
+async function readVectorFile(file) {
+    const name = (file?.name || '').toLowerCase();
+
+    if (name.endsWith('.zip')) {
+        return parseZippedShapefile(await file.arrayBuffer());
+    }
+
+    if (name.endsWith('.kmz')) {
+        return parseKmz(await file.arrayBuffer());
+    }
+
+    if (name.endsWith('.shp')) {
+        throw new Error('Upload the Shapefile as a .zip containing the .shp, .dbf and .prj files');
+    }
+
+    const text = await file.text();
+
+    if (name.endsWith('.kml') || /^\s*<(\?xml|kml)/i.test(text)) {
+        return parseKml(text);
+    }
+
+    try {
+        return normaliseGeoJson(JSON.parse(text));
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            throw new Error('Unsupported file: use GeoJSON, KML/KMZ or a zipped Shapefile');
+        }
+        throw error;
+    }
+}
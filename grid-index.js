@@ -0,0 +1,356 @@
+// Shared grid helpers used by both the page (script.js) and the grid data
+// worker (grid-worker.js). Everything here must stay free of DOM and Leaflet
+// access so it can be loaded with importScripts().
+
+// Calculate polygon centroid
+function getPolygonCentroid(geometry) {
+    if (!geometry || !geometry.coordinates) return null;
+
+    let coords;
+    if (geometry.type === 'Polygon') {
+        coords = geometry.coordinates[0];
+    } else if (geometry.type === 'MultiPolygon') {
+        coords = geometry.coordinates[0][0];
+    } else {
+        return null;
+    }
+
+    if (!coords || coords.length === 0) return null;
+
+    // Calculate centroid using average of coordinates. Unwrapping keeps a ring
+    // that jumps across the antimeridian from averaging out near 0°.
+    let sumLat = 0, sumLng = 0;
+    const validCoords = unwrapRing(coords.filter(coord => coord.length >= 2));
+
+    validCoords.forEach(coord => {
+        sumLng += coord[0];
+        sumLat += coord[1];
+    });
+
+    return {
+        lat: sumLat / validCoords.length,
+        lng: sumLng / validCoords.length
+    };
+}
+
+// Get grid name from feature properties
+function getGridName(feature) {
+    return feature.properties?.name ||
+        feature.properties?.Name ||
+        feature.properties?.title ||
+        feature.properties?.TITLE ||
+        feature.properties?.id ||
+        'Grid';
+}
+
+// Get the lat/lng bounding box of a (Multi)Polygon's outer rings
+function getGeometryBoundingBox(geometry) {
+    if (!geometry || !geometry.coordinates) return null;
+
+    let rings;
+    if (geometry.type === 'Polygon') {
+        rings = [geometry.coordinates[0]];
+    } else if (geometry.type === 'MultiPolygon') {
+        rings = geometry.coordinates.map(polygon => polygon?.[0]);
+    } else {
+        return null;
+    }
+
+    let minLat = Infinity, maxLat = -Infinity;
+    let minLng = Infinity, maxLng = -Infinity;
+
+    rings.forEach(ring => {
+        if (!Array.isArray(ring)) return;
+        ring.forEach(coord => {
+            const lng = coord[0];
+            const lat = coord[1];
+            minLat = Math.min(minLat, lat);
+            maxLat = Math.max(maxLat, lat);
+            minLng = Math.min(minLng, lng);
+            maxLng = Math.max(maxLng, lng);
+        });
+    });
+
+    if (!Number.isFinite(minLat) || !Number.isFinite(minLng)) {
+        return null;
+    }
+
+    return { minLat, maxLat, minLng, maxLng };
+}
+
+// Antimeridian handling. Tiles in UTM zones 01 and 60 can have rings that jump
+// from +179 to -179. At load time those rings are unwrapped to continuous
+// longitudes (e.g. 179..181) so bounding boxes, centroids and hit-testing need
+// no special cases; exports split them back at ±180.
+function normaliseGeometryLongitudes(geometry) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return geometry;
+
+    if (geometry.type === 'Polygon') {
+        geometry.coordinates = normalisePolygonLongitudes(geometry.coordinates, null);
+    } else if (geometry.type === 'MultiPolygon') {
+        let anchorLng = null;
+        geometry.coordinates = geometry.coordinates.map(polygon => {
+            // Keep every part next to the first one instead of on opposite
+            // sides of the map
+            const normalised = normalisePolygonLongitudes(polygon, anchorLng);
+            if (anchorLng === null && normalised?.[0]?.length) {
+                anchorLng = getRingMeanLongitude(normalised[0]);
+            }
+            return normalised;
+        });
+    }
+
+    return geometry;
+}
+
+function normalisePolygonLongitudes(polygon, anchorLng) {
+    if (!Array.isArray(polygon) || polygon.length === 0 || !Array.isArray(polygon[0])) {
+        return polygon;
+    }
+
+    const outer = unwrapRing(polygon[0]);
+    const holes = polygon.slice(1).map(ring => unwrapRing(ring));
+    const meanLng = getRingMeanLongitude(outer);
+
+    let offset = 0;
+    if (anchorLng !== null && Number.isFinite(meanLng)) {
+        offset = Math.round((anchorLng - meanLng) / 360) * 360;
+    } else if (meanLng > 180) {
+        offset = -360;
+    } else if (meanLng < -180) {
+        offset = 360;
+    }
+
+    return [outer, ...holes].map(ring => {
+        if (ring.length === 0) return ring;
+        // Holes follow their outer ring
+        const ringOffset = offset + (Math.round((outer[0][0] - ring[0][0]) / 360) * 360);
+        return ringOffset === 0 ? ring : shiftRingLongitudes(ring, ringOffset);
+    });
+}
+
+// Make consecutive vertices never jump more than 180° in longitude. Returns
+// the ring itself when nothing needed to change.
+function unwrapRing(ring) {
+    if (!Array.isArray(ring) || ring.length < 2) return ring;
+
+    let changed = false;
+    let previousLng = ring[0][0];
+    const unwrapped = ring.map((coord, i) => {
+        if (i === 0) return coord;
+
+        let lng = coord[0];
+        while (lng - previousLng > 180) lng -= 360;
+        while (lng - previousLng < -180) lng += 360;
+        previousLng = lng;
+
+        if (lng === coord[0]) return coord;
+        changed = true;
+        const copy = coord.slice();
+        copy[0] = lng;
+        return copy;
+    });
+
+    return changed ? unwrapped : ring;
+}
+
+function shiftRingLongitudes(ring, offset) {
+    return ring.map(coord => {
+        const copy = coord.slice();
+        copy[0] += offset;
+        return copy;
+    });
+}
+
+function shiftGeometryLongitudes(geometry, offset) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return geometry;
+
+    if (geometry.type === 'Polygon') {
+        return { ...geometry, coordinates: geometry.coordinates.map(ring => shiftRingLongitudes(ring, offset)) };
+    }
+
+    if (geometry.type === 'MultiPolygon') {
+        return {
+            ...geometry,
+            coordinates: geometry.coordinates.map(polygon => polygon.map(ring => shiftRingLongitudes(ring, offset)))
+        };
+    }
+
+    return geometry;
+}
+
+function getRingMeanLongitude(ring) {
+    if (!Array.isArray(ring) || ring.length === 0) return NaN;
+    return ring.reduce((sum, coord) => sum + coord[0], 0) / ring.length;
+}
+
+// Bring a longitude back into -180..180 for display and export
+function wrapLongitude(lng) {
+    if (!Number.isFinite(lng)) return lng;
+    return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+// Point-in-polygon tests on [lng, lat] coordinates; holes are excluded
+function isPointInPolygon(point, polygon) {
+    if (!polygon || polygon.length === 0) return false;
+
+    const outerRing = polygon[0];
+    if (!isPointInLinearRing(point, outerRing)) {
+        return false;
+    }
+
+    for (let i = 1; i < polygon.length; i++) {
+        if (isPointInLinearRing(point, polygon[i])) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+function isPointInLinearRing(point, ring) {
+    if (!ring || ring.length === 0) return false;
+
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i][0];
+        const yi = ring[i][1];
+        const xj = ring[j][0];
+        const yj = ring[j][1];
+
+        const intersects = ((yi > point[1]) !== (yj > point[1])) &&
+            (point[0] < ((xj - xi) * (point[1] - yi)) / ((yj - yi) || 1e-12) + xi);
+
+        if (intersects) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+// Shoelace area; positive for counter-clockwise rings
+function getRingSignedArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+    }
+    return area / 2;
+}
+
+// Search index entry for a feature, without the feature itself so the
+// worker can post entries alongside the features they describe
+function buildSearchEntry(feature) {
+    const name = getGridName(feature);
+    return {
+        name: name.toUpperCase(),
+        originalName: name,
+        centroid: getPolygonCentroid(feature.geometry),
+        bbox: getGeometryBoundingBox(feature.geometry)
+    };
+}
+
+// Lat/lng bucket grid over tile bounding boxes. Buckets hold feature
+// positions (indexes into the feature array) rather than the features, so an
+// index built in the worker stays valid once posted to the page.
+function createSpatialIndex(cellSize) {
+    const size = cellSize > 0 ? cellSize : 2;
+    return {
+        cellSize: size,
+        columns: Math.ceil(360 / size),
+        rows: Math.ceil(180 / size),
+        cells: new Map()
+    };
+}
+
+function addToSpatialIndex(index, position, bbox) {
+    if (!index || !bbox) return;
+
+    const [minX, maxX] = getSpatialIndexColumnRange(index, bbox.minLng, bbox.maxLng);
+    const minY = getSpatialIndexRow(index, bbox.minLat);
+    const maxY = getSpatialIndexRow(index, bbox.maxLat);
+
+    for (let x = minX; x <= maxX; x++) {
+        const column = wrapSpatialIndexColumn(index, x);
+        for (let y = minY; y <= maxY; y++) {
+            const key = (y * index.columns) + column;
+            let bucket = index.cells.get(key);
+            if (!bucket) {
+                bucket = [];
+                index.cells.set(key, bucket);
+            }
+            bucket.push(position);
+        }
+    }
+}
+
+function buildSpatialIndexForFeatures(features, cellSize) {
+    const index = createSpatialIndex(cellSize);
+    if (!Array.isArray(features)) {
+        return index;
+    }
+
+    features.forEach((feature, position) => {
+        addToSpatialIndex(index, position, getGeometryBoundingBox(feature?.geometry));
+    });
+
+    return index;
+}
+
+// Return the positions whose bounding boxes share a bucket with the range.
+// Longitudes outside -180..180 (world copies) wrap onto the same buckets.
+function querySpatialIndexPositions(index, west, south, east, north) {
+    if (!index) {
+        return [];
+    }
+
+    const [minX, maxX] = west > east
+        ? getSpatialIndexColumnRange(index, west, east + 360)
+        : getSpatialIndexColumnRange(index, west, east);
+    const minY = getSpatialIndexRow(index, south);
+    const maxY = getSpatialIndexRow(index, north);
+
+    const seen = new Set();
+    const positions = [];
+
+    for (let x = minX; x <= maxX; x++) {
+        const column = wrapSpatialIndexColumn(index, x);
+        for (let y = minY; y <= maxY; y++) {
+            const bucket = index.cells.get((y * index.columns) + column);
+            if (!bucket) continue;
+
+            bucket.forEach(position => {
+                if (seen.has(position)) return;
+                seen.add(position);
+                positions.push(position);
+            });
+        }
+    }
+
+    return positions;
+}
+
+function getSpatialIndexColumnRange(index, west, east) {
+    const { cellSize, columns } = index;
+    const minX = Math.floor((west + 180) / cellSize);
+    const maxX = Math.floor((east + 180) / cellSize);
+
+    // A span wider than the world touches every column once
+    if (maxX - minX >= columns) {
+        return [0, columns - 1];
+    }
+
+    return [minX, maxX];
+}
+
+function wrapSpatialIndexColumn(index, x) {
+    const { columns } = index;
+    return ((x % columns) + columns) % columns;
+}
+
+function getSpatialIndexRow(index, lat) {
+    const { cellSize, rows } = index;
+    const row = Math.floor((lat + 90) / cellSize);
+    return Math.min(Math.max(row, 0), rows - 1);
+}
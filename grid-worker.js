@@ -0,0 +1,215 @@
+// Grid data worker: downloads, parses and indexes the grid catalogue off the
+// main thread, then streams the features back in batches.
+//
+// When a chunk manifest is available the worker only posts the manifest and
+// then loads the per-zone chunks the page asks for. Otherwise it falls back to
+// the monolithic GeoJSON, sending the features covering the page's current
+// viewport first so the map can render them while the rest is transferred.
+importScripts('grid-index.js');
+
+let chunkBaseUrl = null;
+let chunksById = new Map();
+let nextPosition = 0; // Position of the next feature in the page's feature array
+
+self.addEventListener('message', function (event) {
+    const message = event.data || {};
+
+    if (message.type === 'load') {
+        loadCatalogue(message).catch(error => {
+            self.postMessage({ type: 'error', message: error?.message || String(error) });
+        });
+    } else if (message.type === 'loadChunks') {
+        (message.ids || []).forEach(id => {
+            loadChunk(id).catch(error => {
+                self.postMessage({ type: 'chunkError', id, message: error?.message || String(error) });
+            });
+        });
+    }
+});
+
+async function loadCatalogue(options) {
+    const manifest = options.manifestUrl
+        ? await fetchChunkManifest(options.manifestUrl)
+        : null;
+
+    if (manifest) {
+        chunkBaseUrl = options.manifestUrl;
+        chunksById = new Map(manifest.chunks.map(chunk => [chunk.id, chunk]));
+        self.postMessage({ type: 'manifest', manifest });
+        return;
+    }
+
+    await loadMonolithicCatalogue(options);
+}
+
+// Fetch and validate the chunk manifest. Any failure means "no chunks here".
+async function fetchChunkManifest(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            return null;
+        }
+
+        const manifest = await response.json();
+        if (manifest?.format !== 'sentinel-2-grid-chunks' || !Array.isArray(manifest.chunks)) {
+            return null;
+        }
+
+        return manifest;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function loadChunk(id) {
+    const chunk = chunksById.get(id);
+    if (!chunk) {
+        throw new Error(`Unknown grid chunk: ${id}`);
+    }
+
+    const response = await fetch(new URL(chunk.path, chunkBaseUrl).href);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const features = (Array.isArray(data?.tiles) ? data.tiles : []).map(([name, coordinates]) => ({
+        type: 'Feature',
+        properties: { Name: name },
+        geometry: normaliseGeometryLongitudes({ type: 'MultiPolygon', coordinates })
+    }));
+    const offset = nextPosition;
+    nextPosition += features.length;
+
+    self.postMessage({
+        type: 'features',
+        chunkId: id,
+        offset,
+        features,
+        entries: features.map(feature => buildSearchEntry(feature)),
+        total: features.length,
+        indexed: false,
+        done: true
+    });
+}
+
+async function loadMonolithicCatalogue(options) {
+    const {
+        url,
+        viewport = null,
+        cellSize,
+        batchSize = 2000
+    } = options;
+
+    const text = await fetchTextWithProgress(url);
+
+    postProgress('parse');
+    const data = JSON.parse(text);
+    const features = Array.isArray(data?.features) ? data.features : [];
+
+    postProgress('index', { total: features.length });
+    features.forEach(feature => normaliseGeometryLongitudes(feature?.geometry));
+    const { ordered, viewportCount } = orderFeaturesForViewport(features, viewport, cellSize);
+    const entries = ordered.map(feature => buildSearchEntry(feature));
+    const spatialIndex = createSpatialIndex(cellSize);
+    entries.forEach((entry, position) => {
+        addToSpatialIndex(spatialIndex, position, entry.bbox);
+    });
+
+    self.postMessage({
+        type: 'index',
+        featureCount: ordered.length,
+        viewportCount,
+        spatialIndex
+    });
+
+    // The first batch always covers the whole initial viewport
+    const firstBatchSize = Math.max(batchSize, viewportCount);
+    let offset = 0;
+
+    while (offset < ordered.length) {
+        const size = offset === 0 ? firstBatchSize : batchSize;
+        const end = Math.min(offset + size, ordered.length);
+
+        self.postMessage({
+            type: 'features',
+            offset,
+            features: ordered.slice(offset, end),
+            entries: entries.slice(offset, end),
+            total: ordered.length,
+            indexed: true,
+            done: end >= ordered.length
+        });
+
+        offset = end;
+    }
+
+    if (ordered.length === 0) {
+        self.postMessage({ type: 'features', offset: 0, features: [], entries: [], total: 0, indexed: true, done: true });
+    }
+}
+
+async function fetchTextWithProgress(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const total = Number(response.headers.get('Content-Length')) || 0;
+
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        postProgress('download', { loaded: 0, total });
+        return response.text();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parts = [];
+    let loaded = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        loaded += value.byteLength;
+        parts.push(decoder.decode(value, { stream: true }));
+        postProgress('download', { loaded, total });
+    }
+
+    parts.push(decoder.decode());
+    return parts.join('');
+}
+
+// Put the features intersecting the viewport first, keeping catalogue order
+// within each group
+function orderFeaturesForViewport(features, viewport, cellSize) {
+    let ordered = features;
+    let viewportCount = 0;
+
+    if (viewport && features.length > 0) {
+        const index = buildSpatialIndexForFeatures(features, cellSize);
+        const candidates = querySpatialIndexPositions(
+            index,
+            viewport.west,
+            viewport.south,
+            viewport.east,
+            viewport.north
+        );
+        const inView = new Set(candidates);
+
+        ordered = [];
+        candidates.sort((a, b) => a - b).forEach(position => ordered.push(features[position]));
+        viewportCount = ordered.length;
+        features.forEach((feature, position) => {
+            if (!inView.has(position)) {
+                ordered.push(feature);
+            }
+        });
+    }
+
+    return { ordered, viewportCount };
+}
+
+function postProgress(phase, details = {}) {
+    self.postMessage({ type: 'progress', phase, ...details });
+}
@@ -3,8 +3,22 @@ const CONFIG = {
     minZoomForGrids: 3,
     labelZoomThreshold: 8, // NEW: Show labels only at this zoom level and above
     maxGridsToRender: 60000,
+    spatialIndexCellSize: 2, // Degrees per spatial index bucket
+    gridWorkerPath: 'grid-worker.js', // Set to null to load the catalogue on the main thread
+    gridWorkerBatchSize: 2000, // Features per message streamed back from the worker
+    gridChunkManifestPath: 'data/grid-chunks/manifest.json', // Per-zone chunks; falls back to geojsonPath when missing
+    serviceWorkerPath: 'sw.js', // Offline cache of the app shell and grid data; set to null to disable
     geojsonPath: 'data/sentinel-2_grids.geojson',
     noCoverageAreaPath: 'data/sentinel-2_no_coverage.geojson', // Areas WITHOUT S2 coverage
+    relativeOrbitsPath: 'data/sentinel-2_relative_orbits.geojson', // Relative orbit swaths; set to null to hide the overlay and orbit search
+    stacApi: { // Scene search; any STAC API with item search, including a local mock. Set to null to hide it.
+        url: 'https://earth-search.aws.element84.com/v1',
+        collections: ['sentinel-2-l2a'],
+        tileProperty: 'grid:code', // Queryable holding the MGRS tile, used when the API supports CQL2 filters
+        tilePrefix: 'MGRS-', // Prefix of the tile ID in that queryable
+        maxTiles: 50, // Tiles searched per request
+        maxItemsPerTile: 200
+    },
     githubRepoUrl: 'https://github.com/DPIRD-DMA/Sentinel-2-grid-explorer',
     mapOptions: {
         center: [20.5937, 78.9629], // Start centred on the globe
@@ -18,6 +32,7 @@ const CONFIG = {
 };
 
 const polygonRenderer = L.canvas({ padding: 0.5 });
+const footprintRenderer = L.canvas({ padding: 0.5, pane: 'footprint-pane' });
 
 function logShareDebug() { }
 
@@ -49,8 +64,21 @@ let labelLayer = null;
 let noCoverageLayer = null; // Layer for areas WITHOUT S2 coverage
 let gridData = null;
 let noCoverageData = null; // No coverage area data
+let relativeOrbits = null; // { features, approximate, tilesByOrbit, orbitsByTile } once the swaths load
+let relativeOrbitLayer = null;
 let labelPositions = []; // Track label positions for collision detection
 let searchIndex = []; // Search index for grid names
+let spatialIndex = null; // Bucket grid of tile bounding boxes for viewport lookups
+let gridCatalogueReady = false; // Search and selection UI initialised
+const gridChunkState = {
+    worker: null,
+    manifest: null, // Set when the catalogue is served as per-zone chunks
+    requested: new Set(),
+    loaded: new Set(),
+    failed: new Set(),
+    pendingChunkIds: null, // Chunks the URL selection needs before it is applied
+    waiters: [] // { ids, resolve } for callers awaiting specific chunks
+};
 let highlightLayer = null; // Layer for highlighting searched grids
 let highlightHaloLayer = null; // Outer halo for selection
 let highlightCoreLayer = null; // Inner core for selection
@@ -66,8 +94,35 @@ let pendingGridSelection = null;
 let shareLinkOptionsContainer = null;
 let shareDownloadGeoJsonButton = null;
 let shareDownloadCsvButton = null;
+let shareDownloadKmlButton = null;
+let shareDownloadKmzButton = null;
+let shareDownloadShapefileButton = null;
+let shareDownloadUtmButton = null;
+let shareDownloadFootprintButton = null;
+let shareShowFootprintButton = null;
 let shareClearSelectionButton = null;
+let shareTabButtons = [];
+let shareActiveTab = 'share';
+let shareCodeFeedbackTimer = null;
 let shareZoomSelectionButton = null;
+let tileDetailsContainer = null;
+let tileDetailsFeature = null; // Tile shown in the details panel
+let tileDetailsLayer = null; // Outline of the tile shown in the details panel
+let searchPointMarker = null; // Marker for a coordinate typed in the search box
+let searchRequestToken = 0; // Discards coordinate and pattern lookups overtaken by newer input
+let patternPreviewLayer = null; // Outlines of the tiles matching a wildcard pattern
+let footprintLayer = null; // Dissolved outline of the selection
+let footprintVisible = false;
+const setOperationState = {
+    other: null, // { label, items: Map of upper-case name -> search item, unknown }
+    token: 0, // Discards tile set lookups overtaken by newer input
+    layer: null // Preview of the combined selection
+};
+let aoiLayer = null; // Area of interest overlay
+let currentAoi = null; // { label, parts } of the uploaded AOI or last drawn rectangle
+let aoiControlPanel = null;
+let aoiControlStatus = null;
+let aoiOptimiseButton = null;
 const selectedGridMap = new Map();
 let activeMoveStartTime = null;
 let activeZoomStartTime = null;
@@ -77,10 +132,37 @@ const rectangleSelectState = {
     lastLatLng: null,
     rectangle: null,
     hasMoved: false,
+    mode: 'add',
     draggingWasEnabled: true
 };
+const selectionToolState = {
+    tool: 'click', // 'click', 'rectangle', 'polygon' or 'lasso'
+    points: [], // Vertices of the polygon or lasso being drawn
+    shape: null, // Preview of the shape being drawn
+    guide: null, // Polygon tool: line from the last vertex to the cursor
+    drawing: false, // Lasso: mouse button held down
+    mode: 'replace',
+    doubleClickZoomWasEnabled: true
+};
+let selectionToolbarButtons = null;
+let selectionToolHint = null;
+const SELECTION_HISTORY_LIMIT = 100;
+const selectionHistory = {
+    past: [], // Earlier selections, oldest first
+    future: [], // Selections undone since the last change
+    current: [], // Entries of the selection as last recorded
+    restoring: false // Set while undo/redo rebuilds the selection
+};
+let undoSelectionButton = null;
+let redoSelectionButton = null;
 let suppressNextGridClick = false;
 let suppressNextGridClickTimer = null;
+const appStatusState = {
+    offline: false, // Network unreachable, running from the offline cache
+    offlineReady: false, // Service worker has cached everything needed offline
+    updateAvailable: false // A newer grid dataset was downloaded in the background
+};
+let appStatusTimer = null;
 
 // Initialise map
 function initMap() {
@@ -93,6 +175,14 @@ function initMap() {
         highlightPane.style.pointerEvents = 'none';
     }
 
+    // Above the selection highlight, which is redrawn on every change
+    map.createPane('footprint-pane');
+    const footprintPane = map.getPane('footprint-pane');
+    if (footprintPane) {
+        footprintPane.style.zIndex = 660;
+        footprintPane.style.pointerEvents = 'none';
+    }
+
     map.boxZoom.disable();
 
     // Add base layers
@@ -122,6 +212,8 @@ function initMap() {
     map.layerControl = layerControl;
 
     addGitHubControl();
+    addAoiControl();
+    addSelectionToolbar();
 
     // Add event listeners for base layer changes
     map.on('baselayerchange', function (e) {
@@ -160,9 +252,10 @@ function initMap() {
 
     setupRectangleSelection();
 
-    // Load grid data and no-coverage areas
+    // Load grid data, no-coverage areas and relative orbits
     loadGridData();
     loadNoCoverageArea();
+    loadRelativeOrbits();
 }
 
 function addGitHubControl() {
@@ -189,37 +282,493 @@ function addGitHubControl() {
     map.addControl(new GitHubControl());
 }
 
-// Load GeoJSON data
+// Upload button for an area of interest; files can also be dropped on the map
+function addAoiControl() {
+    if (!map) {
+        return;
+    }
+
+    const AoiControl = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd: function () {
+            const container = L.DomUtil.create('div', 'leaflet-control leaflet-bar aoi-control');
+            const button = L.DomUtil.create('a', 'aoi-control__button', container);
+            button.href = '#';
+            button.setAttribute('role', 'button');
+            button.title = 'Select tiles covering an area of interest (GeoJSON, KML/KMZ or zipped Shapefile)';
+            button.setAttribute('aria-label', 'Upload an area of interest');
+            button.innerHTML = '<svg class="aoi-control__icon" viewBox="0 0 24 24" aria-hidden="true" focusable="false"><path fill="currentColor" d="M11 15.17V4.83L7.41 8.41 6 7l6-6 6 6-1.41 1.41L13 4.83v10.34h-2zM4 14h2v5h12v-5h2v7H4v-7z"></path></svg>';
+
+            const fileInput = L.DomUtil.create('input', 'aoi-control__input', container);
+            fileInput.type = 'file';
+            fileInput.accept = '.geojson,.json,.kml,.kmz,.zip';
+
+            aoiControlPanel = L.DomUtil.create('div', 'aoi-control__panel hidden', container);
+            aoiControlStatus = L.DomUtil.create('span', 'aoi-control__status', aoiControlPanel);
+            aoiControlStatus.setAttribute('aria-live', 'polite');
+            const actions = L.DomUtil.create('div', 'aoi-control__actions', aoiControlPanel);
+            aoiOptimiseButton = L.DomUtil.create('button', 'aoi-control__optimise', actions);
+            aoiOptimiseButton.type = 'button';
+            aoiOptimiseButton.textContent = 'Optimise cover';
+            aoiOptimiseButton.title = 'Replace the selection with the fewest tiles that still cover the AOI';
+            const clearButton = L.DomUtil.create('button', 'aoi-control__clear', actions);
+            clearButton.type = 'button';
+            clearButton.textContent = 'Clear AOI';
+
+            L.DomEvent.on(button, 'click', function (event) {
+                L.DomEvent.preventDefault(event);
+                fileInput.click();
+            });
+
+            L.DomEvent.on(fileInput, 'change', function () {
+                const file = fileInput.files && fileInput.files[0];
+                fileInput.value = '';
+                importAoiFile(file);
+            });
+
+            L.DomEvent.on(aoiOptimiseButton, 'click', optimiseAoiCover);
+            L.DomEvent.on(clearButton, 'click', clearAoi);
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            return container;
+        }
+    });
+
+    map.addControl(new AoiControl());
+    setupAoiDropTarget(map.getContainer());
+}
+
+function setupAoiDropTarget(element) {
+    const hasFiles = event => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    element.addEventListener('dragover', function (event) {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        element.classList.add('aoi-drop-active');
+    });
+
+    element.addEventListener('dragleave', function (event) {
+        if (event.relatedTarget && element.contains(event.relatedTarget)) return;
+        element.classList.remove('aoi-drop-active');
+    });
+
+    element.addEventListener('drop', function (event) {
+        element.classList.remove('aoi-drop-active');
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+
+        // Tables can only be tile lists, so they go to the selection import
+        const file = event.dataTransfer.files[0];
+        if (/\.(csv|tsv|txt)$/i.test(file?.name || '')) {
+            openSelectionImport(file);
+        } else {
+            importAoiFile(file);
+        }
+    });
+}
+
+// Load GeoJSON data, preferring the worker so parsing and indexing stay off
+// the main thread
 async function loadGridData() {
+    if (startGridWorker()) {
+        return;
+    }
+
+    await loadGridDataOnMainThread();
+}
+
+async function loadGridDataOnMainThread() {
     try {
         logShareDebug('loadGridData: fetching grid data', { path: CONFIG.geojsonPath });
+        updateLoadingProgress({ phase: 'download', loaded: 0, total: 0 });
         const response = await fetch(CONFIG.geojsonPath);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
 
         gridData = await response.json();
+        if (Array.isArray(gridData?.features)) {
+            gridData.features.forEach(feature => normaliseGeometryLongitudes(feature?.geometry));
+        }
         logShareDebug('loadGridData: data loaded', {
             featureCount: Array.isArray(gridData?.features) ? gridData.features.length : null
         });
+
+        // Build spatial index before the first viewport lookup
+        buildSpatialIndex();
+
         // Initial grid display
         updateGridDisplay();
 
         // Build search index
         buildSearchIndex();
 
-        // Setup search functionality
-        setupSearch();
+        // Setup search functionality and hide loading indicator
+        markGridCatalogueReady();
 
         // Apply initial selection from URL if available
         applyPendingGridSelection();
 
-        // Hide loading indicator
-        hideLoading();
-
     } catch (error) {
         logShareDebug('loadGridData: failed to load grid data', { message: error?.message });
-        showError('Failed to load Sentinel-2 grid data. Please check the file path.');
+        showError(isNetworkOffline()
+            ? 'You are offline and the Sentinel-2 grid data has not been cached yet. Reconnect and reload to use the explorer offline.'
+            : 'Failed to load Sentinel-2 grid data. Please check the file path.');
+    }
+}
+
+// Start the grid data worker. Returns false when workers are unavailable
+// (e.g. unsupported browser or a page opened from file://).
+function startGridWorker() {
+    if (!CONFIG.gridWorkerPath || typeof Worker === 'undefined') {
+        return false;
+    }
+
+    let worker;
+    try {
+        worker = new Worker(CONFIG.gridWorkerPath);
+    } catch (error) {
+        logShareDebug('startGridWorker: worker unavailable', { message: error?.message });
+        return false;
+    }
+
+    gridData = { type: 'FeatureCollection', features: [] };
+    searchIndex = [];
+    spatialIndex = null;
+
+    const bounds = map.getBounds();
+    let failed = false;
+
+    const handleFailure = message => {
+        if (failed) return;
+        failed = true;
+        worker.terminate();
+        logShareDebug('startGridWorker: worker failed, loading on main thread', { message });
+        gridData = null;
+        searchIndex = [];
+        spatialIndex = null;
+        loadGridDataOnMainThread();
+    };
+
+    worker.addEventListener('message', function (event) {
+        const message = event.data || {};
+        if (message.type === 'error') {
+            handleFailure(message.message);
+            return;
+        }
+        handleGridWorkerMessage(worker, message);
+    });
+
+    worker.addEventListener('error', function (event) {
+        event.preventDefault();
+        handleFailure(event.message);
+    });
+
+    worker.postMessage({
+        type: 'load',
+        url: new URL(CONFIG.geojsonPath, document.baseURI).href,
+        manifestUrl: CONFIG.gridChunkManifestPath
+            ? new URL(CONFIG.gridChunkManifestPath, document.baseURI).href
+            : null,
+        viewport: {
+            west: bounds.getWest(),
+            south: bounds.getSouth(),
+            east: bounds.getEast(),
+            north: bounds.getNorth()
+        },
+        cellSize: CONFIG.spatialIndexCellSize,
+        batchSize: CONFIG.gridWorkerBatchSize
+    });
+
+    logShareDebug('startGridWorker: load requested', { path: CONFIG.geojsonPath });
+    return true;
+}
+
+function handleGridWorkerMessage(worker, message) {
+    switch (message.type) {
+        case 'progress':
+            updateLoadingProgress(message);
+            break;
+        case 'index':
+            spatialIndex = message.spatialIndex;
+            logShareDebug('handleGridWorkerMessage: index received', {
+                featureCount: message.featureCount,
+                viewportCount: message.viewportCount,
+                bucketCount: spatialIndex?.cells?.size
+            });
+            break;
+        case 'manifest':
+            handleGridChunkManifest(worker, message.manifest);
+            break;
+        case 'features':
+            receiveGridFeatureBatch(message);
+            if (message.chunkId) {
+                handleGridChunkLoaded(message.chunkId);
+            } else if (message.done) {
+                worker.terminate();
+                applyPendingGridSelection();
+            }
+            break;
+        case 'chunkError':
+            // Forget the request so the chunk is retried on the next view change
+            gridChunkState.requested.delete(message.id);
+            gridChunkState.failed.add(message.id);
+            logShareDebug('handleGridWorkerMessage: chunk failed', {
+                id: message.id,
+                message: message.message
+            });
+            handleGridChunkSettled();
+            break;
+        default:
+            break;
+    }
+}
+
+// The catalogue is served as per-zone chunks: load the ones the initial view
+// and the URL selection need, and the rest on demand as the map moves
+function handleGridChunkManifest(worker, manifest) {
+    gridChunkState.worker = worker;
+    gridChunkState.manifest = manifest;
+    spatialIndex = createSpatialIndex(CONFIG.spatialIndexCellSize);
+
+    logShareDebug('handleGridChunkManifest: manifest received', {
+        chunkCount: manifest.chunks.length,
+        featureCount: manifest.featureCount,
+        datasetVersion: manifest.datasetVersion
+    });
+
+    if (Array.isArray(pendingGridSelection) && pendingGridSelection.length > 0) {
+        gridChunkState.pendingChunkIds = getGridChunkIdsForNames(pendingGridSelection);
+        requestGridChunks(gridChunkState.pendingChunkIds);
+    }
+
+    requestGridChunksForBounds(map.getBounds());
+
+    // Nothing to wait for (e.g. the view is over open ocean)
+    if (gridChunkState.requested.size === 0) {
+        markGridCatalogueReady();
+    }
+}
+
+function handleGridChunkLoaded(chunkId) {
+    gridChunkState.loaded.add(chunkId);
+    handleGridChunkSettled();
+    refreshOpenSearchResults();
+}
+
+// A chunk finished loading or failed: release whatever was waiting on it.
+// The URL selection is applied with the tiles that did load.
+function handleGridChunkSettled() {
+    const isSettled = id => gridChunkState.loaded.has(id) || gridChunkState.failed.has(id);
+
+    settleGridChunkWaiters();
+
+    const pendingChunkIds = gridChunkState.pendingChunkIds;
+    if (pendingChunkIds && pendingChunkIds.every(isSettled)) {
+        gridChunkState.pendingChunkIds = null;
+        applyPendingGridSelection();
+    }
+
+    // Every chunk of the initial view failed before any feature arrived
+    const inFlight = Array.from(gridChunkState.requested).some(id => !isSettled(id));
+    if (!gridCatalogueReady && !inFlight) {
+        showError(isNetworkOffline()
+            ? 'You are offline and the Sentinel-2 grid data has not been cached yet. Reconnect and reload to use the explorer offline.'
+            : 'Failed to load Sentinel-2 grid data. Please check the file path.');
+    }
+}
+
+function requestGridChunks(ids) {
+    if (!gridChunkState.manifest || !gridChunkState.worker || !Array.isArray(ids)) {
+        return;
+    }
+
+    const missing = ids.filter(id => !gridChunkState.requested.has(id));
+    if (missing.length === 0) {
+        return;
+    }
+
+    missing.forEach(id => {
+        gridChunkState.requested.add(id);
+        gridChunkState.failed.delete(id);
+    });
+    gridChunkState.worker.postMessage({ type: 'loadChunks', ids: missing });
+    logShareDebug('requestGridChunks: requested', { ids: missing });
+}
+
+function requestGridChunksForBounds(bounds) {
+    requestGridChunks(getGridChunkIdsForBounds(bounds));
+}
+
+// Resolve once every chunk covering the bounds has loaded or failed. Resolves
+// straight away when the catalogue is not chunked.
+function loadGridChunksForBounds(bounds) {
+    return loadGridChunks(getGridChunkIdsForBounds(bounds));
+}
+
+function loadGridChunks(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return Promise.resolve();
+    }
+
+    requestGridChunks(ids);
+
+    return new Promise(resolve => {
+        gridChunkState.waiters.push({ ids, resolve });
+        settleGridChunkWaiters();
+    });
+}
+
+function settleGridChunkWaiters() {
+    gridChunkState.waiters = gridChunkState.waiters.filter(waiter => {
+        const settled = waiter.ids.every(id => gridChunkState.loaded.has(id) || gridChunkState.failed.has(id));
+        if (settled) {
+            waiter.resolve();
+        }
+        return !settled;
+    });
+}
+
+function getGridChunkIdsForBounds(bounds) {
+    if (!gridChunkState.manifest || !bounds) {
+        return [];
+    }
+
+    const wrappedBounds = getWrappedBounds(bounds);
+    return gridChunkState.manifest.chunks.filter(chunk => {
+        if (!Array.isArray(chunk.bbox) || chunk.bbox.length !== 4) return false;
+        const chunkBounds = L.latLngBounds(
+            [chunk.bbox[1], chunk.bbox[0]],
+            [chunk.bbox[3], chunk.bbox[2]]
+        );
+        return wrappedBounds.some(wrappedBound => wrappedBound.intersects(chunkBounds));
+    }).map(chunk => chunk.id);
+}
+
+// Zone-scoped queries only need their zone's chunk; anything else needs all
+function requestGridChunksForQuery(query) {
+    if (!gridChunkState.manifest || !query) {
+        return;
+    }
+
+    const ids = /^\d{2}/.test(query)
+        ? getGridChunkIdsForNames([query])
+        : gridChunkState.manifest.chunks.map(chunk => chunk.id);
+
+    requestGridChunks(ids);
+}
+
+function getGridChunkIdsForNames(names) {
+    if (!gridChunkState.manifest || !Array.isArray(names)) {
+        return [];
+    }
+
+    const ids = new Set();
+    names.forEach(name => {
+        const upper = String(name).toUpperCase();
+        const chunk = gridChunkState.manifest.chunks.find(candidate =>
+            candidate.prefix && upper.startsWith(String(candidate.prefix).toUpperCase())
+        );
+        if (chunk) {
+            ids.add(chunk.id);
+        }
+    });
+
+    return Array.from(ids);
+}
+
+function markGridCatalogueReady() {
+    if (gridCatalogueReady) {
+        return;
+    }
+
+    gridCatalogueReady = true;
+    setupSearch();
+    hideLoading();
+}
+
+// Append a streamed batch of features and their search entries. The first
+// batch holds the initial viewport, so the map becomes usable right away.
+function receiveGridFeatureBatch(message) {
+    const {
+        offset = 0,
+        features = [],
+        entries = [],
+        total = 0,
+        indexed = true,
+        done = false
+    } = message;
+    const viewBounds = map ? map.getBounds() : null;
+    let touchesView = false;
+
+    features.forEach((feature, i) => {
+        gridData.features[offset + i] = feature;
+
+        const entry = entries[i];
+        if (!indexed && entry) {
+            addToSpatialIndex(spatialIndex, offset + i, entry.bbox);
+        }
+
+        if (!entry || entry.centroid === null) return;
+
+        searchIndex.push({ ...entry, feature });
+
+        if (!touchesView && viewBounds && entry.bbox) {
+            touchesView = viewBounds.intersects(L.latLngBounds(
+                [entry.bbox.minLat, entry.bbox.minLng],
+                [entry.bbox.maxLat, entry.bbox.maxLng]
+            ));
+        }
+    });
+
+    logShareDebug('receiveGridFeatureBatch: batch received', {
+        offset,
+        count: features.length,
+        total,
+        done
+    });
+
+    if (!gridCatalogueReady) {
+        updateGridDisplay();
+        markGridCatalogueReady();
+    } else if (touchesView) {
+        updateGridDisplay();
+    }
+}
+
+function updateLoadingProgress(progress) {
+    const message = document.getElementById('loading-message');
+    const bar = document.getElementById('loading-progress');
+    if (!message || !progress) return;
+
+    let text = 'Loading Sentinel-2 grids...';
+    let value = null;
+
+    if (progress.phase === 'download') {
+        if (progress.total > 0) {
+            value = Math.min(100, Math.round((progress.loaded / progress.total) * 100));
+            text = `Downloading Sentinel-2 grids... ${value}%`;
+        } else if (progress.loaded > 0) {
+            text = `Downloading Sentinel-2 grids... ${(progress.loaded / 1048576).toFixed(1)} MB`;
+        }
+    } else if (progress.phase === 'parse') {
+        text = 'Parsing Sentinel-2 grids...';
+        value = 100;
+    } else if (progress.phase === 'index') {
+        text = `Indexing ${Number(progress.total || 0).toLocaleString()} grids...`;
+        value = 100;
+    }
+
+    message.textContent = text;
+
+    if (bar) {
+        if (value === null) {
+            bar.removeAttribute('value');
+        } else {
+            bar.value = value;
+        }
     }
 }
 
@@ -238,6 +787,8 @@ function updateGridDisplay() {
     if (!gridData) return;
 
     const bounds = map.getBounds();
+    requestGridChunksForBounds(bounds);
+
     logShareDebug('updateGridDisplay: begin', {
         zoom,
         bounds: {
@@ -259,7 +810,7 @@ function updateGridDisplay() {
         visibleGrids.splice(maxToRender);
     }
 
-    renderGridsAsPolygons(visibleGrids);
+    renderGridsAsPolygons(withAntimeridianCopies(visibleGrids));
 
     refreshHighlightForCurrentZoom();
 
@@ -283,8 +834,9 @@ function getVisibleGrids(bounds) {
 
     // Get the wrapped bounds to handle world repetition
     const wrappedBounds = getWrappedBounds(bounds);
+    const candidates = querySpatialIndex(bounds);
 
-    gridData.features.forEach(feature => {
+    candidates.forEach(feature => {
         if (!feature.geometry || !feature.geometry.coordinates) return;
 
         const geometry = feature.geometry;
@@ -310,6 +862,7 @@ function getVisibleGrids(bounds) {
 
     const duration = performance.now() - start;
     logShareDebug('getVisibleGrids: finished', {
+        candidateCount: candidates.length,
         visibleCount: visibleGrids.length,
         wrappedBoundsCount: wrappedBounds.length,
         durationMs: Number(duration.toFixed(2))
@@ -317,6 +870,179 @@ function getVisibleGrids(bounds) {
     return visibleGrids;
 }
 
+// Build the spatial index on the main thread (used when the worker is unavailable)
+function buildSpatialIndex() {
+    const start = performance.now();
+    const features = gridData && Array.isArray(gridData.features) ? gridData.features : [];
+
+    spatialIndex = buildSpatialIndexForFeatures(features, CONFIG.spatialIndexCellSize);
+
+    logShareDebug('buildSpatialIndex: completed', {
+        featureCount: features.length,
+        bucketCount: spatialIndex.cells.size,
+        durationMs: Number((performance.now() - start).toFixed(2))
+    });
+}
+
+// Return the loaded features whose bounding boxes share a spatial index bucket
+// with the bounds
+function querySpatialIndex(bounds) {
+    if (!bounds || !gridData || !Array.isArray(gridData.features)) {
+        return [];
+    }
+
+    if (!spatialIndex) {
+        return gridData.features;
+    }
+
+    const positions = querySpatialIndexPositions(
+        spatialIndex,
+        bounds.getWest(),
+        bounds.getSouth(),
+        bounds.getEast(),
+        bounds.getNorth()
+    );
+
+    // Positions may point past the features received so far while the worker
+    // is still streaming the catalogue
+    return positions
+        .map(position => gridData.features[position])
+        .filter(Boolean);
+}
+
+// Tiles unwrapped past ±180 at load time are drawn a second time one world
+// over, so they show on both sides of the antimeridian. Copies are cached and
+// map back to their source feature for selection.
+const antimeridianCopies = new WeakMap();
+const antimeridianCopySources = new WeakMap();
+
+function getAntimeridianCopy(feature) {
+    if (!feature || !feature.geometry) return null;
+
+    if (antimeridianCopies.has(feature)) {
+        return antimeridianCopies.get(feature);
+    }
+
+    const bbox = getGeometryBoundingBox(feature.geometry);
+    let copy = null;
+
+    if (bbox && (bbox.maxLng > 180 || bbox.minLng < -180)) {
+        const offset = bbox.maxLng > 180 ? -360 : 360;
+        copy = { ...feature, geometry: shiftGeometryLongitudes(feature.geometry, offset) };
+        antimeridianCopySources.set(copy, feature);
+    }
+
+    antimeridianCopies.set(feature, copy);
+    return copy;
+}
+
+function withAntimeridianCopies(features) {
+    const result = [];
+
+    features.forEach(feature => {
+        result.push(feature);
+        const copy = getAntimeridianCopy(feature);
+        if (copy) {
+            result.push(copy);
+        }
+    });
+
+    return result;
+}
+
+function getSourceFeature(feature) {
+    return antimeridianCopySources.get(feature) || feature;
+}
+
+// Split unwrapped rings back at ±180 so exported geometry stays within
+// -180..180 as RFC 7946 expects
+function splitGeometryAtAntimeridian(geometry) {
+    if (!geometry) return geometry;
+
+    let polygons;
+    if (geometry.type === 'Polygon') {
+        polygons = [geometry.coordinates];
+    } else if (geometry.type === 'MultiPolygon') {
+        polygons = geometry.coordinates;
+    } else {
+        return geometry;
+    }
+
+    let split = false;
+    const parts = [];
+
+    polygons.forEach(polygon => {
+        const bbox = getGeometryBoundingBox({ type: 'Polygon', coordinates: polygon });
+        if (!bbox) return;
+
+        // Bring the western edge into -180..180 first
+        const offset = Math.round((wrapLongitude(bbox.minLng) - bbox.minLng) / 360) * 360;
+        const shifted = offset === 0
+            ? polygon
+            : polygon.map(ring => shiftRingLongitudes(ring, offset));
+
+        if (bbox.maxLng + offset <= 180) {
+            parts.push(shifted);
+            return;
+        }
+
+        split = true;
+        [true, false].forEach(keepWest => {
+            const rings = shifted.map(ring => clipRingAtLongitude(ring, 180, keepWest));
+
+            // A side only exists if the outer ring survived the clip
+            if (!rings[0]) return;
+
+            const part = rings.filter(Boolean);
+            parts.push(keepWest ? part : part.map(ring => shiftRingLongitudes(ring, -360)));
+        });
+    });
+
+    if (!split && geometry.type === 'Polygon') {
+        return { type: 'Polygon', coordinates: parts[0] || geometry.coordinates };
+    }
+
+    return { type: 'MultiPolygon', coordinates: parts };
+}
+
+// Clip a closed ring to the half-plane west (or east) of a meridian
+function clipRingAtLongitude(ring, boundaryLng, keepWest) {
+    if (!Array.isArray(ring) || ring.length < 4) return null;
+
+    const isInside = coord => keepWest ? coord[0] <= boundaryLng : coord[0] >= boundaryLng;
+    const points = ring.slice(0, -1);
+    const output = [];
+
+    const intersect = (from, to) => {
+        const t = (boundaryLng - from[0]) / ((to[0] - from[0]) || 1e-12);
+        const point = from.map((value, i) => value + ((to[i] - value) * t));
+        point[0] = boundaryLng;
+        return point;
+    };
+
+    points.forEach((current, i) => {
+        const previous = points[(i + points.length - 1) % points.length];
+        const currentInside = isInside(current);
+        const previousInside = isInside(previous);
+
+        if (currentInside) {
+            if (!previousInside) {
+                output.push(intersect(previous, current));
+            }
+            output.push(current.slice());
+        } else if (previousInside) {
+            output.push(intersect(previous, current));
+        }
+    });
+
+    if (output.length < 3) {
+        return null;
+    }
+
+    output.push(output[0].slice());
+    return output;
+}
+
 // Get wrapped bounds for world repetition
 function getWrappedBounds(bounds) {
     const wrappedBounds = [bounds];
@@ -479,10 +1205,25 @@ function ensurePolygonLayer() {
         },
         onEachFeature: function (feature, layer) {
             layer.on('click', function (event) {
-                processGridClick(feature, event, {
+                // Alt-click inspects a tile without touching the selection,
+                // unless Alt is acting as the remove modifier of a shape tool
+                if (event.originalEvent?.altKey && !isSelectionGestureActive()) {
+                    showTileDetails(getSourceFeature(feature));
+                    return;
+                }
+
+                processGridClick(getSourceFeature(feature), event, {
                     centerMap: false
                 });
             });
+
+            // Right-click or long-press (touch) also opens the details
+            layer.on('contextmenu', function (event) {
+                if (event.originalEvent) {
+                    L.DomEvent.preventDefault(event.originalEvent);
+                }
+                showTileDetails(getSourceFeature(feature));
+            });
         }
     }).addTo(map);
 
@@ -682,46 +1423,6 @@ function findNonOverlappingPosition(centroid, text, debugStats) {
     return null;
 }
 
-// Calculate polygon centroid
-function getPolygonCentroid(geometry) {
-    if (!geometry || !geometry.coordinates) return null;
-
-    let coords;
-    if (geometry.type === 'Polygon') {
-        coords = geometry.coordinates[0];
-    } else if (geometry.type === 'MultiPolygon') {
-        coords = geometry.coordinates[0][0];
-    } else {
-        return null;
-    }
-
-    if (!coords || coords.length === 0) return null;
-
-    // Calculate centroid using average of coordinates
-    let sumLat = 0, sumLng = 0;
-    const validCoords = coords.filter(coord => coord.length >= 2);
-
-    validCoords.forEach(coord => {
-        sumLng += coord[0];
-        sumLat += coord[1];
-    });
-
-    return {
-        lat: sumLat / validCoords.length,
-        lng: sumLng / validCoords.length
-    };
-}
-
-// Get grid name from feature properties
-function getGridName(feature) {
-    return feature.properties?.name ||
-        feature.properties?.Name ||
-        feature.properties?.title ||
-        feature.properties?.TITLE ||
-        feature.properties?.id ||
-        'Grid';
-}
-
 // Generate contrasting colors for each column (01-60)
 function generateColumnColors() {
     const colors = [];
@@ -776,6 +1477,397 @@ function getGridFillOpacity(zoom) {
     return Math.max(0.05, strokeOpacity * 0.2);
 }
 
+// MGRS tile IDs. Sentinel-2 tiles are named after the MGRS 100 km square they
+// cover: UTM zone (01-60), latitude band letter, then the square's column and
+// row letters, e.g. 41SQB.
+const MGRS_BAND_LETTERS = 'CDEFGHJKLMNPQRSTUVWX';
+const MGRS_COLUMN_LETTER_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+// Decode a tile ID into its UTM zone, hemisphere, latitude band, 100 km square
+// letters and native EPSG code. Returns null for anything that is not a valid
+// MGRS tile ID. A leading "T" (as in product names, e.g. T31UDQ) is accepted.
+function decodeTileId(tileId) {
+    if (typeof tileId !== 'string') return null;
+
+    let id = tileId.trim().toUpperCase();
+    if (/^T\d{1,2}[A-Z]{3}$/.test(id)) {
+        id = id.slice(1);
+    }
+
+    const match = /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])$/.exec(id);
+    if (!match) return null;
+
+    const zone = parseInt(match[1], 10);
+    if (zone < 1 || zone > 60) return null;
+
+    const [, , band, column, row] = match;
+
+    // Column letters cycle through three sets of eight, one set per zone
+    const columnSet = MGRS_COLUMN_LETTER_SETS[(zone - 1) % 3];
+    const columnIndex = columnSet.indexOf(column);
+    if (columnIndex === -1) return null;
+
+    // Row letters repeat every 2,000 km and start five letters later in even zones
+    const rowOffset = zone % 2 === 0 ? 5 : 0;
+    const rowIndex = (MGRS_ROW_LETTERS.indexOf(row) - rowOffset + MGRS_ROW_LETTERS.length) % MGRS_ROW_LETTERS.length;
+
+    const hemisphere = band >= 'N' ? 'N' : 'S';
+    const zoneLabel = String(zone).padStart(2, '0');
+
+    return {
+        id: `${zoneLabel}${band}${column}${row}`,
+        zone,
+        zoneLabel,
+        hemisphere,
+        band,
+        column,
+        row,
+        square: `${column}${row}`,
+        squareEasting: (columnIndex + 1) * 100000, // West edge of the 100 km square (m)
+        squareNorthing: rowIndex * 100000, // South edge, modulo 2,000 km (m)
+        epsg: (hemisphere === 'N' ? 32600 : 32700) + zone
+    };
+}
+
+// Flat tile metadata for exports. Keys stay stable (null values) for names
+// that are not MGRS tile IDs so every row has the same columns.
+function getTileMetadataProperties(tileName) {
+    const decoded = decodeTileId(tileName);
+    return {
+        utm_zone: decoded ? decoded.zone : null,
+        hemisphere: decoded ? decoded.hemisphere : null,
+        latitude_band: decoded ? decoded.band : null,
+        mgrs_column: decoded ? decoded.column : null,
+        mgrs_row: decoded ? decoded.row : null,
+        epsg: decoded ? decoded.epsg : null
+    };
+}
+
+// UTM on the WGS84 ellipsoid (Snyder's series, accurate to well under a metre
+// inside a zone)
+const UTM_SCALE_FACTOR = 0.9996;
+const WGS84_SEMI_MAJOR_AXIS = 6378137;
+const WGS84_FLATTENING = 1 / 298.257223563;
+
+function getUtmZoneForLatLng(lat, lng) {
+    const wrappedLng = wrapLongitude(lng);
+    let zone = Math.floor((wrappedLng + 180) / 6) + 1;
+
+    // Norway and Svalbard exceptions
+    if (lat >= 56 && lat < 64 && wrappedLng >= 3 && wrappedLng < 12) zone = 32;
+    if (lat >= 72 && lat < 84) {
+        if (wrappedLng >= 0 && wrappedLng < 9) zone = 31;
+        else if (wrappedLng >= 9 && wrappedLng < 21) zone = 33;
+        else if (wrappedLng >= 21 && wrappedLng < 33) zone = 35;
+        else if (wrappedLng >= 33 && wrappedLng < 42) zone = 37;
+    }
+
+    return Math.min(Math.max(zone, 1), 60);
+}
+
+function latLngToUtm(lat, lng, zone = getUtmZoneForLatLng(lat, lng)) {
+    const a = WGS84_SEMI_MAJOR_AXIS;
+    const e2 = WGS84_FLATTENING * (2 - WGS84_FLATTENING);
+    const ep2 = e2 / (1 - e2);
+    const k0 = UTM_SCALE_FACTOR;
+
+    const phi = lat * Math.PI / 180;
+    const centralMeridian = ((zone - 1) * 6) - 180 + 3;
+    const lambda = wrapLongitude(lng - centralMeridian) * Math.PI / 180;
+
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const n = a / Math.sqrt(1 - (e2 * sinPhi * sinPhi));
+    const t = Math.tan(phi) ** 2;
+    const c = ep2 * cosPhi * cosPhi;
+    const A = cosPhi * lambda;
+    const m = a * (
+        ((1 - (e2 / 4) - (3 * e2 * e2 / 64) - (5 * e2 ** 3 / 256)) * phi) -
+        (((3 * e2 / 8) + (3 * e2 * e2 / 32) + (45 * e2 ** 3 / 1024)) * Math.sin(2 * phi)) +
+        (((15 * e2 * e2 / 256) + (45 * e2 ** 3 / 1024)) * Math.sin(4 * phi)) -
+        ((35 * e2 ** 3 / 3072) * Math.sin(6 * phi))
+    );
+
+    const easting = (k0 * n * (A +
+        ((1 - t + c) * A ** 3 / 6) +
+        ((5 - (18 * t) + (t * t) + (72 * c) - (58 * ep2)) * A ** 5 / 120))) + 500000;
+    let northing = k0 * (m + (n * Math.tan(phi) * (
+        (A * A / 2) +
+        ((5 - t + (9 * c) + (4 * c * c)) * A ** 4 / 24) +
+        ((61 - (58 * t) + (t * t) + (600 * c) - (330 * ep2)) * A ** 6 / 720))));
+
+    const hemisphere = lat < 0 ? 'S' : 'N';
+    if (hemisphere === 'S') {
+        northing += 10000000;
+    }
+
+    return { zone, hemisphere, easting, northing };
+}
+
+function utmToLatLng(zone, hemisphere, easting, northing) {
+    const a = WGS84_SEMI_MAJOR_AXIS;
+    const e2 = WGS84_FLATTENING * (2 - WGS84_FLATTENING);
+    const ep2 = e2 / (1 - e2);
+    const k0 = UTM_SCALE_FACTOR;
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const x = easting - 500000;
+    const y = hemisphere === 'S' ? northing - 10000000 : northing;
+
+    const m = y / k0;
+    const mu = m / (a * (1 - (e2 / 4) - (3 * e2 * e2 / 64) - (5 * e2 ** 3 / 256)));
+    const phi1 = mu +
+        (((3 * e1 / 2) - (27 * e1 ** 3 / 32)) * Math.sin(2 * mu)) +
+        (((21 * e1 * e1 / 16) - (55 * e1 ** 4 / 32)) * Math.sin(4 * mu)) +
+        ((151 * e1 ** 3 / 96) * Math.sin(6 * mu)) +
+        ((1097 * e1 ** 4 / 512) * Math.sin(8 * mu));
+
+    const sinPhi1 = Math.sin(phi1);
+    const cosPhi1 = Math.cos(phi1);
+    const n1 = a / Math.sqrt(1 - (e2 * sinPhi1 * sinPhi1));
+    const t1 = Math.tan(phi1) ** 2;
+    const c1 = ep2 * cosPhi1 * cosPhi1;
+    const r1 = a * (1 - e2) / ((1 - (e2 * sinPhi1 * sinPhi1)) ** 1.5);
+    const d = x / (n1 * k0);
+
+    const phi = phi1 - ((n1 * Math.tan(phi1) / r1) * (
+        (d * d / 2) -
+        ((5 + (3 * t1) + (10 * c1) - (4 * c1 * c1) - (9 * ep2)) * d ** 4 / 24) +
+        ((61 + (90 * t1) + (298 * c1) + (45 * t1 * t1) - (252 * ep2) - (3 * c1 * c1)) * d ** 6 / 720)));
+    const lambda = (d -
+        ((1 + (2 * t1) + c1) * d ** 3 / 6) +
+        ((5 - (2 * c1) + (28 * t1) - (3 * c1 * c1) + (8 * ep2) + (24 * t1 * t1)) * d ** 5 / 120)) / cosPhi1;
+
+    const centralMeridian = ((zone - 1) * 6) - 180 + 3;
+    return {
+        lat: phi * 180 / Math.PI,
+        lng: wrapLongitude(centralMeridian + (lambda * 180 / Math.PI))
+    };
+}
+
+// Latitude range of an MGRS band letter (X stretches to 84°N)
+function getLatitudeBandRange(band) {
+    const index = MGRS_BAND_LETTERS.indexOf(band);
+    if (index === -1) return null;
+    const minLat = -80 + (index * 8);
+    return { minLat, maxLat: band === 'X' ? 84 : minLat + 8 };
+}
+
+// Coordinate queries for the search box. Returns { lat, lng, label } or null.
+function parseCoordinateQuery(query) {
+    const text = String(query || '').trim();
+    if (!text) return null;
+
+    return parseMgrsPoint(text) ||
+        parseUtmCoordinate(text) ||
+        parseDmsCoordinate(text) ||
+        parseDecimalCoordinate(text);
+}
+
+// Full MGRS point, e.g. 31UDQ4825011932 or 31U DQ 48250 11932
+function parseMgrsPoint(text) {
+    const compact = text.replace(/\s+/g, '').toUpperCase();
+    const match = /^T?(\d{1,2}[C-HJ-NP-X][A-HJ-NP-Z][A-HJ-NP-V])(\d{2,10})$/.exec(compact);
+    if (!match || match[2].length % 2 !== 0) return null;
+
+    const decoded = decodeTileId(match[1]);
+    if (!decoded) return null;
+
+    const precision = match[2].length / 2;
+    const scale = 10 ** (5 - precision);
+    // Snap to the centre of the precision square
+    const easting = decoded.squareEasting + (parseInt(match[2].slice(0, precision), 10) * scale) + (scale / 2);
+    const northingInCycle = decoded.squareNorthing + (parseInt(match[2].slice(precision), 10) * scale) + (scale / 2);
+
+    // Row letters repeat every 2,000 km; the band letter picks the cycle
+    const bandRange = getLatitudeBandRange(decoded.band);
+    const bandMiddle = (bandRange.minLat + bandRange.maxLat) / 2;
+    let best = null;
+
+    for (let cycle = 0; cycle < 5; cycle++) {
+        const northing = northingInCycle + (cycle * 2000000);
+        const point = utmToLatLng(decoded.zone, decoded.hemisphere, easting, northing);
+        const distance = Math.abs(point.lat - bandMiddle);
+        if (!best || distance < best.distance) {
+            best = { ...point, distance };
+        }
+    }
+
+    if (best.lat < bandRange.minLat - 1 || best.lat > bandRange.maxLat + 1) return null;
+
+    return { lat: best.lat, lng: best.lng, label: `MGRS ${decoded.id} ${match[2].slice(0, precision)} ${match[2].slice(precision)}` };
+}
+
+// UTM, e.g. 31U 448250 5411932, 31N 448250E 5411932N or 56 S 334000 6250000
+function parseUtmCoordinate(text) {
+    const match = /^(?:UTM\s*)?(?:ZONE\s*)?(\d{1,2})\s*([A-Z])?\s*[,;]?\s*(?:E\s*)?(\d{5,7}(?:\.\d+)?)\s*(?:M?E)?\s*[,;]?\s*(?:N\s*)?(\d{6,8}(?:\.\d+)?)\s*(?:M?N)?$/i.exec(text.trim());
+    if (!match) return null;
+
+    const zone = parseInt(match[1], 10);
+    const letter = (match[2] || 'N').toUpperCase();
+    const easting = parseFloat(match[3]);
+    const northing = parseFloat(match[4]);
+
+    if (zone < 1 || zone > 60 || easting < 100000 || easting > 900000 || northing > 10000000) return null;
+
+    // The letter is usually a latitude band, but N/S may also mean the
+    // hemisphere. Prefer the band reading when the point falls inside it.
+    const bandRange = getLatitudeBandRange(letter);
+    if (bandRange) {
+        const hemisphere = letter >= 'N' ? 'N' : 'S';
+        const point = utmToLatLng(zone, hemisphere, easting, northing);
+        if (point.lat >= bandRange.minLat - 0.5 && point.lat <= bandRange.maxLat + 0.5) {
+            return { ...point, label: `UTM ${zone}${letter} ${Math.round(easting)} ${Math.round(northing)}` };
+        }
+    }
+
+    if (letter !== 'N' && letter !== 'S') return null;
+
+    const point = utmToLatLng(zone, letter, easting, northing);
+    return { ...point, label: `UTM ${zone}${letter} ${Math.round(easting)} ${Math.round(northing)}` };
+}
+
+// Degrees, minutes and seconds, e.g. 28°36'50"N 77°12'32"E or 28 36 50 N, 77 12 32 E
+function parseDmsCoordinate(text) {
+    const pattern = /(\d{1,3}(?:\.\d+)?)\s*(?:°|º|D|:|\s)\s*(?:(\d{1,2}(?:\.\d+)?)\s*(?:'|′|M|:|\s)\s*(?:(\d{1,2}(?:\.\d+)?)\s*(?:"|″|''|S(?![A-Z]))?)?)?\s*([NSEW])/gi;
+    const parts = [];
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [, degrees, minutes = '0', seconds = '0', hemisphere] = match;
+        const value = parseFloat(degrees) + (parseFloat(minutes) / 60) + (parseFloat(seconds) / 3600);
+        const upper = hemisphere.toUpperCase();
+        parts.push({ value: upper === 'S' || upper === 'W' ? -value : value, axis: upper === 'N' || upper === 'S' ? 'lat' : 'lng' });
+    }
+
+    if (parts.length !== 2 || parts[0].axis === parts[1].axis) return null;
+
+    // Only accept the query when the two coordinates account for all of it
+    const leftover = text.replace(pattern, '').replace(/[\s,;]/g, '');
+    if (leftover) return null;
+
+    const lat = parts.find(part => part.axis === 'lat').value;
+    const lng = parts.find(part => part.axis === 'lng').value;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+    return { lat, lng, label: formatLatLngLabel(lat, lng) };
+}
+
+// Decimal degrees as "lat, lng" (optionally with N/S/E/W letters)
+function parseDecimalCoordinate(text) {
+    const match = /^([NS])?\s*([+-]?\d{1,2}(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*([EW])?\s*([+-]?\d{1,3}(?:\.\d+)?)\s*°?\s*([EW])?$/i.exec(text.trim());
+    if (!match) return null;
+
+    const latLetter = (match[1] || match[3] || '').toUpperCase();
+    const lngLetter = (match[4] || match[6] || '').toUpperCase();
+    const lat = parseFloat(match[2]) * (latLetter === 'S' ? -1 : 1);
+    const lng = parseFloat(match[5]) * (lngLetter === 'W' ? -1 : 1);
+
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+    return { lat, lng, label: formatLatLngLabel(lat, lng) };
+}
+
+function formatLatLngLabel(lat, lng) {
+    return `${Math.abs(lat).toFixed(5)}°${lat < 0 ? 'S' : 'N'}, ${Math.abs(lng).toFixed(5)}°${lng < 0 ? 'W' : 'E'}`;
+}
+
+// Find the eight tiles around a tile, keyed by compass direction. Within a
+// zone the 100 km square letters give the neighbours directly; across a zone
+// edge the loaded tile nearest to the expected position is used instead.
+function findNeighbourTiles(feature) {
+    const neighbours = {};
+    if (!feature) return neighbours;
+
+    const name = getGridName(feature);
+    const decoded = decodeTileId(name);
+    const centroid = getPolygonCentroid(feature.geometry);
+    const bbox = getGeometryBoundingBox(feature.geometry);
+    if (!centroid || !bbox) return neighbours;
+
+    // Neighbouring tiles start 100 km along a 109.8 km tile
+    const stepLng = (bbox.maxLng - bbox.minLng) * (100 / 109.8);
+    const stepLat = (bbox.maxLat - bbox.minLat) * (100 / 109.8);
+
+    TILE_NEIGHBOUR_DIRECTIONS.forEach(({ key, dx, dy }) => {
+        const target = {
+            lat: centroid.lat + (dy * stepLat),
+            lng: centroid.lng + (dx * stepLng)
+        };
+
+        let neighbour = decoded ? findNeighbourBySquareLetters(decoded, dx, dy, target) : null;
+        if (!neighbour) {
+            neighbour = findNearestTileAtLatLng(target, name);
+        }
+
+        neighbours[key] = neighbour;
+    });
+
+    return neighbours;
+}
+
+const TILE_NEIGHBOUR_DIRECTIONS = [
+    { key: 'NW', dx: -1, dy: 1 },
+    { key: 'N', dx: 0, dy: 1 },
+    { key: 'NE', dx: 1, dy: 1 },
+    { key: 'W', dx: -1, dy: 0 },
+    { key: 'E', dx: 1, dy: 0 },
+    { key: 'SW', dx: -1, dy: -1 },
+    { key: 'S', dx: 0, dy: -1 },
+    { key: 'SE', dx: 1, dy: -1 }
+];
+
+function findNeighbourBySquareLetters(decoded, dx, dy, target) {
+    const columnSet = MGRS_COLUMN_LETTER_SETS[(decoded.zone - 1) % 3];
+    const columnIndex = columnSet.indexOf(decoded.column) + dx;
+
+    // Off the edge of the zone's column letters
+    if (columnIndex < 0 || columnIndex >= columnSet.length) {
+        return null;
+    }
+
+    const rowCount = MGRS_ROW_LETTERS.length;
+    const rowIndex = (MGRS_ROW_LETTERS.indexOf(decoded.row) + dy + rowCount) % rowCount;
+    const square = `${columnSet[columnIndex]}${MGRS_ROW_LETTERS[rowIndex]}`;
+
+    // The band letter can change, so match on zone and square only
+    const matches = searchIndex.filter(item =>
+        item.name.length === 5 &&
+        item.name.startsWith(decoded.zoneLabel) &&
+        item.name.endsWith(square)
+    );
+
+    return pickNearestSearchItem(matches, target)?.feature || null;
+}
+
+function findNearestTileAtLatLng(target, excludeName) {
+    const exclude = excludeName ? excludeName.toUpperCase() : null;
+    const candidates = findGridCandidatesAtLatLng(L.latLng(target.lat, target.lng))
+        .filter(candidate => getGridName(candidate).toUpperCase() !== exclude)
+        .map(candidate => ({ feature: candidate, centroid: getPolygonCentroid(candidate.geometry) }));
+
+    return pickNearestSearchItem(candidates, target)?.feature || null;
+}
+
+function pickNearestSearchItem(items, target) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    items.forEach(item => {
+        if (!item.centroid) return;
+        const dLng = wrapLongitude(item.centroid.lng - target.lng);
+        const dLat = item.centroid.lat - target.lat;
+        const distance = (dLng * dLng) + (dLat * dLat);
+        if (distance < nearestDistance) {
+            nearest = item;
+            nearestDistance = distance;
+        }
+    });
+
+    return nearest;
+}
+
 // Clear existing grids and labels
 function clearGrids(options = {}) {
     const { skipLabelLayer = false } = options;
@@ -792,16 +1884,10 @@ function clearGrids(options = {}) {
 
 // Build search index for quick grid lookup
 function buildSearchIndex() {
-    searchIndex = gridData.features.map(feature => {
-        const name = getGridName(feature);
-        const centroid = getPolygonCentroid(feature.geometry);
-        return {
-            name: name.toUpperCase(),
-            originalName: name,
-            feature: feature,
-            centroid: centroid
-        };
-    }).filter(item => item.centroid !== null);
+    searchIndex = gridData.features.map(feature => ({
+        ...buildSearchEntry(feature),
+        feature
+    })).filter(item => item.centroid !== null);
 
     logShareDebug('buildSearchIndex: completed', {
         entryCount: Array.isArray(searchIndex) ? searchIndex.length : 0
@@ -820,13 +1906,47 @@ function setupSearch() {
         const query = e.target.value.trim().toUpperCase();
 
         if (query.length === 0) {
-            hideSearchResults();
+            searchRequestToken++;
+            clearSearchPointMarker();
+            clearPatternPreview();
+            displayRecentSearches();
+            return;
+        }
+
+        // Coordinates and patterns wait for a pause in typing so the map
+        // doesn't jump around while they are half entered
+        const point = parseCoordinateQuery(query);
+        if (point) {
+            clearPatternPreview();
+            debouncedCoordinateSearch(point);
+            return;
+        }
+
+        clearSearchPointMarker();
+
+        if (parseRelativeOrbitQuery(query) !== null) {
+            debouncedRelativeOrbitSearch(query);
             return;
         }
 
+        if (isTilePattern(query)) {
+            debouncedPatternSearch(query);
+            return;
+        }
+
+        searchRequestToken++;
+        clearPatternPreview();
+        requestGridChunksForQuery(normaliseSearchQuery(query));
         performSearch(query);
     });
 
+    // Offer recent searches when the empty box is focused
+    searchInput.addEventListener('focus', function () {
+        if (searchInput.value.trim().length === 0) {
+            displayRecentSearches();
+        }
+    });
+
     // Hide results when clicking outside
     document.addEventListener('click', function (e) {
         if (!e.target.closest('#search-container')) {
@@ -834,1236 +1954,6171 @@ function setupSearch() {
         }
     });
 
-    // Clear search on escape
+    // Clear search on escape; arrows move through the results, Enter zooms
+    // to the focused result and Shift+Enter adds it to the selection
     searchInput.addEventListener('keydown', function (e) {
         if (e.key === 'Escape') {
             searchInput.value = '';
+            searchRequestToken++;
+            clearSearchPointMarker();
             hideSearchResults();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (!searchResults.classList.contains('show')) return;
+            e.preventDefault();
+            moveActiveSearchResult(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            // Enter confirms a pattern preview by adding its tiles
+            const patternAction = searchResults.querySelector('[data-pattern-action="add"]');
+            if (patternAction && !getActiveSearchResult() && searchResults.classList.contains('show')) {
+                e.preventDefault();
+                patternAction.click();
+                return;
+            }
+
+            const element = getActiveSearchResult() || searchResults.querySelector('.search-result');
+            if (!element || !searchResults.classList.contains('show')) return;
+            e.preventDefault();
+            activateSearchResult(element, { add: e.shiftKey });
         }
     });
 }
 
-// Perform search and display results
-function performSearch(query) {
-    const results = searchIndex.filter(item =>
-        item.name.includes(query)
-    ).slice(0, 10); // Limit to 10 results
+// Result element under keyboard focus
+function getActiveSearchResult() {
+    return document.querySelector('#search-results .search-result.active');
+}
 
-    displaySearchResults(results, query);
+function moveActiveSearchResult(step) {
+    const elements = Array.from(document.querySelectorAll('#search-results .search-result'));
+    if (elements.length === 0) return;
+
+    const current = elements.findIndex(element => element.classList.contains('active'));
+    const next = current === -1
+        ? (step > 0 ? 0 : elements.length - 1)
+        : (current + step + elements.length) % elements.length;
+
+    elements.forEach((element, index) => {
+        element.classList.toggle('active', index === next);
+        element.setAttribute('aria-selected', index === next ? 'true' : 'false');
+    });
+    elements[next].scrollIntoView({ block: 'nearest' });
 }
 
-// Display search results
-function displaySearchResults(results, query) {
+// Keyboard counterpart of clicking a result: zoom to the tile, or add it to
+// the selection. Recent searches are re-run instead.
+function activateSearchResult(element, options = {}) {
+    const { add = false } = options;
+    const searchInput = document.getElementById('grid-search');
+
+    if (element.dataset.query !== undefined) {
+        searchInput.value = element.dataset.query;
+        searchInput.dispatchEvent(new Event('input'));
+        return;
+    }
+
+    const gridName = element.dataset.name;
+    const searchItem = searchIndex.find(item => item.originalName === gridName);
+    if (!searchItem) return;
+
+    addRecentSearch(parseCoordinateQuery(searchInput.value) ? searchInput.value.trim() : gridName);
+
+    if (add) {
+        updateSelection([searchItem.feature], {
+            replace: false,
+            centerMap: false,
+            flash: true,
+            focusShareLink: false,
+            debugSource: 'search-keyboard'
+        });
+    } else {
+        zoomToGrid(gridName);
+    }
+
+    hideSearchResults();
+}
+
+// List every tile containing a coordinate typed in the search box and mark
+// the point on the map
+async function performCoordinateSearch(point) {
+    // The box may have changed while this call was debounced
+    const current = parseCoordinateQuery(document.getElementById('grid-search')?.value);
+    if (!current || current.label !== point.label) return;
+
+    const token = ++searchRequestToken;
+    const latlng = L.latLng(point.lat, point.lng);
+
+    showSearchPointMarker(latlng, point.label);
+    map.setView(latlng, Math.max(map.getZoom(), 8));
+
+    await loadGridChunksForBounds(L.latLngBounds(latlng, latlng));
+    if (token !== searchRequestToken) return;
+
+    const features = dedupeFeaturesByName(findGridCandidatesAtLatLng(latlng));
+    displayCoordinateSearchResults(point, features);
+}
+
+const debouncedCoordinateSearch = debounce(performCoordinateSearch, 300);
+
+function displayCoordinateSearchResults(point, features) {
     const searchResults = document.getElementById('search-results');
+    if (!searchResults) return;
 
-    if (results.length === 0) {
-        searchResults.innerHTML = '<div class="no-results">No grids found</div>';
+    const utm = latLngToUtm(point.lat, point.lng);
+    const header = `
+        <div class="search-point-header">
+            <div class="search-result-name">${point.label}</div>
+            <div class="search-result-info">${formatLatLngLabel(point.lat, point.lng)} · UTM ${utm.zone}${utm.hemisphere} ${Math.round(utm.easting)} ${Math.round(utm.northing)}</div>
+        </div>
+    `;
+
+    if (features.length === 0) {
+        searchResults.innerHTML = `${header}<div class="no-results">No Sentinel-2 tile contains this point</div>`;
         searchResults.classList.add('show');
         return;
     }
 
-    const html = results.map(result => {
-        const centroid = result.centroid;
-        const lat = centroid.lat.toFixed(2);
-        const lng = centroid.lng.toFixed(2);
+    const html = features.map(feature => {
+        const name = getGridName(feature);
+        const decoded = decodeTileId(name);
+        const selected = selectedGridMap.has(name.toUpperCase());
+        const zoneInfo = decoded ? `UTM ${decoded.zoneLabel}${decoded.hemisphere} · EPSG:${decoded.epsg}` : '';
 
         return `
-            <div class="search-result" data-name="${result.originalName}">
-                <div class="search-result-name">${result.originalName}</div>
-                <div class="search-result-info">Lat: ${lat}, Lng: ${lng}</div>
+            <div class="search-result" role="option" data-name="${name}">
+                <div class="search-result-name">${name}</div>
+                <div class="search-result-info">${zoneInfo}${selected ? ' · selected' : ' · click to add'}</div>
             </div>
         `;
     }).join('');
 
-    searchResults.innerHTML = html;
+    searchResults.innerHTML = `${header}${html}`;
     searchResults.classList.add('show');
 
-    // Add click handlers
     searchResults.querySelectorAll('.search-result').forEach(element => {
         element.addEventListener('click', function () {
-            const gridName = this.dataset.name;
-            zoomToGrid(gridName);
+            const upper = this.dataset.name.toUpperCase();
+            const feature = features.find(candidate => getGridName(candidate).toUpperCase() === upper);
+            addRecentSearch(document.getElementById('grid-search').value);
+            if (feature) {
+                updateSelection([feature], {
+                    replace: false,
+                    centerMap: false,
+                    flash: true,
+                    focusShareLink: false,
+                    debugSource: 'coordinate-search'
+                });
+            }
             hideSearchResults();
         });
     });
 }
 
-// Zoom to specific grid
-function zoomToGrid(gridName) {
-    const searchItem = searchIndex.find(item =>
-        item.originalName === gridName
-    );
-
-    if (!searchItem || !searchItem.centroid) return;
+function showSearchPointMarker(latlng, label) {
+    clearSearchPointMarker();
 
-    const { lat, lng } = searchItem.centroid;
-    const targetZoom = 8;
-    map.setView([lat, lng], targetZoom);
+    searchPointMarker = L.circleMarker(latlng, {
+        pane: 'highlight-pane',
+        radius: 7,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: '#e74c3c',
+        fillOpacity: 1,
+        interactive: false
+    }).bindTooltip(label, { direction: 'top', offset: [0, -8] }).addTo(map);
+}
 
-    const searchInput = document.getElementById('grid-search');
-    if (searchInput) {
-        searchInput.value = gridName;
+function clearSearchPointMarker() {
+    if (searchPointMarker) {
+        map.removeLayer(searchPointMarker);
+        searchPointMarker = null;
     }
 }
 
-function highlightGrids(features, options = {}) {
-    clearHighlight();
+// Perform search and display results
+function performSearch(query) {
+    const results = rankSearchResults(query).slice(0, 10); // Limit to 10 results
 
-    const featureList = Array.isArray(features)
-        ? features.filter(Boolean)
-        : [features].filter(Boolean);
+    displaySearchResults(results, query);
+}
 
-    if (featureList.length === 0) {
-        return;
-    }
+// Tidy a typed tile name: drop spaces and the "T" prefix, read O/I as 0/1 in
+// the zone number and restore a missing leading zero (1CCV -> 01CCV)
+function normaliseSearchQuery(query) {
+    let text = String(query || '').toUpperCase().replace(/[\s-]+/g, '');
 
-    const start = performance.now();
-    const { flash = false } = options;
+    if (/^T[OI]?\d/.test(text)) {
+        text = text.slice(1);
+    }
 
-    const haloStyle = {
-        color: '#ffffff',
-        weight: 8,
-        opacity: 0.7,
-        fillOpacity: 0,
-        fillColor: 'transparent'
-    };
+    // Only a zone with at least one real digit is corrected, so words are left alone
+    const zoneMatch = /^([\dOI]{1,2})(?=[A-Z]|$)/.exec(text);
+    if (zoneMatch && /\d/.test(zoneMatch[1])) {
+        const zone = zoneMatch[1].replace(/O/g, '0').replace(/I/g, '1');
+        if (/^\d+$/.test(zone)) {
+            text = zone.padStart(2, '0') + text.slice(zoneMatch[1].length);
+        }
+    }
 
-    const coreStyle = {
-        color: '#ffff00',
-        weight: 4,
-        opacity: 1,
-        fillOpacity: 0,
-        fillColor: 'transparent'
-    };
+    return text;
+}
 
-    const geoJsonData = featureList.length === 1
-        ? featureList[0]
-        : {
-            type: 'FeatureCollection',
-            features: featureList
-        };
+// Order tiles by how well they match: exact, then prefix, then substring,
+// then names one typo away
+function rankSearchResults(query) {
+    const variants = [...new Set([query, normaliseSearchQuery(query)])].filter(Boolean);
+    const scored = [];
 
-    highlightHaloLayer = L.geoJSON(geoJsonData, {
-        style: haloStyle,
-        interactive: false,
-        pane: 'highlight-pane',
-        className: 'selection-halo'
+    searchIndex.forEach(item => {
+        const score = Math.min(...variants.map(variant => scoreSearchMatch(item.name, variant)));
+        if (score < Infinity) {
+            scored.push({ item, score });
+        }
     });
 
-    highlightCoreLayer = L.geoJSON(geoJsonData, {
-        style: coreStyle,
-        interactive: false,
-        pane: 'highlight-pane',
-        className: 'selection-core'
-    });
+    scored.sort((a, b) => (a.score - b.score) || a.item.name.localeCompare(b.item.name));
+    return scored.map(entry => entry.item);
+}
 
-    highlightLayer = L.layerGroup([highlightHaloLayer, highlightCoreLayer]).addTo(map);
-    activeHighlightMode = 'polygons';
+function scoreSearchMatch(name, query) {
+    if (name === query) return 0;
+    if (name.startsWith(query)) return 1 + ((name.length - query.length) / 10);
 
-    if (highlightLayer && typeof highlightLayer.eachLayer === 'function') {
-        highlightLayer.eachLayer(layer => {
-            if (layer && typeof layer.bringToFront === 'function') {
-                layer.bringToFront();
-            }
-        });
-    }
+    const index = name.indexOf(query);
+    if (index !== -1) return 2 + (index / 10);
 
-    if (flash) {
-        startHighlightFlash(coreStyle);
+    // Typos only count once there is enough of a name to compare
+    if (query.length >= 4 && getEditDistance(query, name.slice(0, query.length)) <= 1) {
+        return 3;
     }
 
-    const duration = performance.now() - start;
-    logShareDebug('highlightGrids: complete', {
-        featureCount: featureList.length,
-        mode: activeHighlightMode,
-        durationMs: Number(duration.toFixed(2)),
-        flash
-    });
+    return Infinity;
 }
 
-function startHighlightFlash(baseStyle) {
-    if (!highlightCoreLayer) return;
-
-    highlightCoreLayer.setStyle(baseStyle);
-}
+// Optimal string alignment distance (edits plus adjacent swaps)
+function getEditDistance(a, b) {
+    const rows = a.length + 1;
+    const columns = b.length + 1;
+    const distances = Array.from({ length: rows }, (_, i) => {
+        const row = new Array(columns).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j < columns; j++) distances[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < columns; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            distances[i][j] = Math.min(
+                distances[i - 1][j] + 1,
+                distances[i][j - 1] + 1,
+                distances[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return distances[a.length][b.length];
+}
+
+// Wildcard patterns over tile IDs: * matches any run of characters, ? one
+// character and [..] a set or range, e.g. 31*, 3[0-2]U*, T33T??
+function isTilePattern(query) {
+    return /[*?[\]]/.test(query);
+}
+
+// Split a pattern into atoms and compile it. Returns null while the pattern
+// is incomplete (e.g. an unclosed bracket).
+function parseTilePattern(pattern) {
+    let text = String(pattern || '').toUpperCase().replace(/\s+/g, '');
+    if (/^T[\d[?]/.test(text)) {
+        text = text.slice(1);
+    }
+
+    const atoms = [];
+    let source = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '*') {
+            atoms.push({ type: 'star' });
+            source += '[A-Z0-9]*';
+        } else if (char === '?') {
+            atoms.push({ type: 'any' });
+            source += '[A-Z0-9]';
+        } else if (char === '[') {
+            const end = text.indexOf(']', i + 1);
+            if (end === -1) return null;
+
+            const body = text.slice(i + 1, end);
+            if (!/^(?:[A-Z0-9](?:-[A-Z0-9])?)+$/.test(body)) return null;
+
+            const classSource = `[${body}]`;
+            try {
+                atoms.push({ type: 'class', regex: new RegExp(`^${classSource}$`) });
+            } catch (error) {
+                return null; // Reversed range such as [5-1]
+            }
+            source += classSource;
+            i = end;
+        } else if (/[A-Z0-9]/.test(char)) {
+            atoms.push({ type: 'literal', char });
+            source += char;
+        } else {
+            return null;
+        }
+    }
+
+    if (atoms.length === 0) return null;
+
+    return { text, atoms, regex: new RegExp(`^${source}$`) };
+}
+
+// Chunks whose zone prefix the pattern can start with
+function getGridChunkIdsForPattern(parsed) {
+    if (!gridChunkState.manifest || !parsed) {
+        return [];
+    }
+
+    const matchesAtom = (atom, char) => atom.type === 'any' ||
+        (atom.type === 'literal' && atom.char === char) ||
+        (atom.type === 'class' && atom.regex.test(char));
+
+    return gridChunkState.manifest.chunks.filter(chunk => {
+        const prefix = String(chunk.prefix || '').toUpperCase();
+        for (let i = 0; i < prefix.length; i++) {
+            const atom = parsed.atoms[i];
+            if (!atom || atom.type === 'star') return true;
+            if (!matchesAtom(atom, prefix[i])) return false;
+        }
+        return true;
+    }).map(chunk => chunk.id);
+}
+
+function findTilesMatchingPattern(parsed) {
+    if (!parsed) return [];
+
+    const seen = new Set();
+    return searchIndex.filter(item => {
+        if (seen.has(item.name) || !parsed.regex.test(item.name)) return false;
+        seen.add(item.name);
+        return true;
+    }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Preview the tiles a pattern matches before they are applied
+async function performPatternSearch(query) {
+    const searchInput = document.getElementById('grid-search');
+    if (!searchInput || searchInput.value.trim().toUpperCase() !== query) return;
+
+    const token = ++searchRequestToken;
+    const searchResults = document.getElementById('search-results');
+    const parsed = parseTilePattern(query);
+
+    if (!parsed) {
+        clearPatternPreview();
+        searchResults.innerHTML = '<div class="no-results">Incomplete pattern</div>';
+        searchResults.classList.add('show');
+        return;
+    }
+
+    await loadGridChunks(getGridChunkIdsForPattern(parsed));
+    if (token !== searchRequestToken) return;
+
+    const matches = findTilesMatchingPattern(parsed);
+    displayPatternSearchResults(parsed, matches);
+    showPatternPreview(matches);
+}
+
+const debouncedPatternSearch = debounce(performPatternSearch, 250);
+
+function displayPatternSearchResults(parsed, matches) {
+    const searchResults = document.getElementById('search-results');
+    if (!searchResults) return;
+
+    if (matches.length === 0) {
+        searchResults.innerHTML = `<div class="no-results">No tiles match ${escapeHtml(parsed.text)}</div>`;
+        searchResults.classList.add('show');
+        return;
+    }
+
+    const zones = [...new Set(matches.map(item => item.name.slice(0, 2)))];
+    const zoneText = zones.length <= 6 ? `zone${zones.length === 1 ? '' : 's'} ${zones.join(', ')}` : `${zones.length} zones`;
+    const selectedCount = matches.filter(item => selectedGridMap.has(item.name)).length;
+
+    const header = `
+        <div class="search-pattern-header">
+            <div class="search-result-name">${escapeHtml(parsed.text)}</div>
+            <div class="search-result-info">${matches.length} tile${matches.length === 1 ? '' : 's'} match · ${zoneText}${selectedCount > 0 ? ` · ${selectedCount} already selected` : ''}</div>
+            <div class="search-pattern-actions">
+                <button type="button" data-pattern-action="add">Add</button>
+                <button type="button" data-pattern-action="remove">Remove</button>
+                <button type="button" data-pattern-action="replace">Replace</button>
+            </div>
+        </div>
+    `;
+
+    const list = matches.slice(0, 10).map(item => `
+        <div class="search-result" role="option" data-name="${item.originalName}">
+            <div class="search-result-name">${item.originalName}</div>
+        </div>
+    `).join('');
+    const more = matches.length > 10 ? `<div class="no-results">and ${matches.length - 10} more</div>` : '';
+
+    searchResults.innerHTML = `${header}${list}${more}`;
+    searchResults.classList.add('show');
+
+    searchResults.querySelectorAll('[data-pattern-action]').forEach(button => {
+        button.addEventListener('click', function () {
+            applyPatternSelection(parsed, matches, this.dataset.patternAction);
+        });
+    });
+
+    searchResults.querySelectorAll('.search-result').forEach(element => {
+        element.addEventListener('click', function () {
+            activateSearchResult(this);
+        });
+    });
+}
+
+function applyPatternSelection(parsed, matches, action) {
+    const features = matches.map(item => item.feature);
+
+    logShareDebug('applyPatternSelection: applying pattern', {
+        pattern: parsed.text,
+        action,
+        matchCount: matches.length
+    });
+
+    if (action === 'remove') {
+        removeGridsFromSelection(matches.map(item => item.name));
+    } else {
+        updateSelection(features, {
+            replace: action === 'replace',
+            centerMap: false,
+            flash: true,
+            focusShareLink: false,
+            debugSource: 'pattern'
+        });
+    }
+
+    addRecentSearch(parsed.text);
+    hideSearchResults();
+}
+
+// Outline the matching tiles and frame them. Very broad patterns only get
+// framed, as drawing thousands of outlines would stall the map.
+const PATTERN_PREVIEW_LIMIT = 3000;
+
+function showPatternPreview(matches) {
+    clearPatternPreview();
+    if (!map || matches.length === 0) return;
+
+    const features = matches.map(item => item.feature);
+
+    if (features.length <= PATTERN_PREVIEW_LIMIT) {
+        patternPreviewLayer = L.geoJSON({
+            type: 'FeatureCollection',
+            features: withAntimeridianCopies(features)
+        }, {
+            pane: 'highlight-pane',
+            interactive: false,
+            renderer: polygonRenderer,
+            style: {
+                color: '#8e44ad',
+                weight: 2,
+                opacity: 0.9,
+                dashArray: '5 4',
+                fillColor: '#8e44ad',
+                fillOpacity: 0.08
+            }
+        }).addTo(map);
+    }
+
+    const bounds = computeBoundsForFeatures(features);
+    if (bounds && bounds.isValid()) {
+        map.fitBounds(bounds, { padding: [60, 60] });
+    }
+}
+
+function clearPatternPreview() {
+    if (patternPreviewLayer) {
+        map.removeLayer(patternPreviewLayer);
+        patternPreviewLayer = null;
+    }
+}
+
+// "R051", "R51" or "orbit 51": every tile the relative orbit's swath touches,
+// offered with the same Add/Remove/Replace choices as a pattern
+function parseRelativeOrbitQuery(query) {
+    const match = /^(?:R|ORBIT\s*)(\d{1,3})$/i.exec(String(query).trim());
+    if (!match) return null;
+
+    const orbit = Number(match[1]);
+    return orbit >= 1 && orbit <= RELATIVE_ORBIT_COUNT ? orbit : null;
+}
+
+async function performRelativeOrbitSearch(query) {
+    const searchInput = document.getElementById('grid-search');
+    if (!searchInput || searchInput.value.trim().toUpperCase() !== query) return;
+
+    const token = ++searchRequestToken;
+    const searchResults = document.getElementById('search-results');
+    const orbit = parseRelativeOrbitQuery(query);
+    const tiles = relativeOrbits?.tilesByOrbit.get(orbit);
+
+    if (!tiles) {
+        clearPatternPreview();
+        searchResults.innerHTML = `<div class="no-results">${relativeOrbits
+            ? `No swath for relative orbit ${orbit}`
+            : 'Relative orbit data is not available'}</div>`;
+        searchResults.classList.add('show');
+        return;
+    }
+
+    const names = new Set(tiles.map(tile => String(tile).toUpperCase()));
+    await loadGridChunks(getGridChunkIdsForNames([...names]));
+    if (token !== searchRequestToken) return;
+
+    const seen = new Set();
+    const matches = searchIndex.filter(item => {
+        if (seen.has(item.name) || !names.has(item.name)) return false;
+        seen.add(item.name);
+        return true;
+    }).sort((a, b) => a.name.localeCompare(b.name));
+
+    const approximate = relativeOrbits.approximate ? ' (approximate swath)' : '';
+    displayPatternSearchResults({ text: `${formatRelativeOrbit(orbit)}${approximate}` }, matches);
+    showPatternPreview(matches);
+}
+
+const debouncedRelativeOrbitSearch = debounce(performRelativeOrbitSearch, 250);
+
+// Recent searches, kept in localStorage
+const RECENT_SEARCHES_KEY = 's2-explorer-recent-searches';
+const RECENT_SEARCHES_LIMIT = 8;
+
+function getRecentSearches() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(RECENT_SEARCHES_KEY));
+        return Array.isArray(stored) ? stored.filter(item => typeof item === 'string') : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function addRecentSearch(query) {
+    const text = String(query || '').trim();
+    if (!text) return;
+
+    const recent = getRecentSearches().filter(item => item.toUpperCase() !== text.toUpperCase());
+    recent.unshift(text);
+
+    try {
+        window.localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent.slice(0, RECENT_SEARCHES_LIMIT)));
+    } catch (error) {
+        // Storage unavailable (private browsing or quota); recents are optional
+    }
+}
+
+function clearRecentSearches() {
+    try {
+        window.localStorage.removeItem(RECENT_SEARCHES_KEY);
+    } catch (error) {
+        // Nothing stored
+    }
+}
+
+function displayRecentSearches() {
+    const searchResults = document.getElementById('search-results');
+    const recent = getRecentSearches();
+
+    if (!searchResults || recent.length === 0) {
+        hideSearchResults();
+        return;
+    }
+
+    searchResults.innerHTML = `
+        <div class="search-recent-header">
+            <span>Recent searches</span>
+            <button type="button" class="search-recent-clear">Clear</button>
+        </div>
+        ${recent.map(query => `
+            <div class="search-result search-result-recent" role="option" data-query="${escapeHtml(query)}">
+                <div class="search-result-name">${escapeHtml(query)}</div>
+            </div>
+        `).join('')}
+    `;
+    searchResults.classList.add('show');
+
+    searchResults.querySelector('.search-recent-clear').addEventListener('click', function () {
+        clearRecentSearches();
+        hideSearchResults();
+        document.getElementById('grid-search').focus();
+    });
+
+    searchResults.querySelectorAll('.search-result').forEach(element => {
+        element.addEventListener('click', function () {
+            activateSearchResult(this);
+        });
+    });
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Display search results
+function displaySearchResults(results, query) {
+    const searchResults = document.getElementById('search-results');
+
+    if (results.length === 0) {
+        searchResults.innerHTML = '<div class="no-results">No grids found</div>';
+        searchResults.classList.add('show');
+        return;
+    }
+
+    const html = results.map(result => {
+        const centroid = result.centroid;
+        const lat = centroid.lat.toFixed(2);
+        const lng = wrapLongitude(centroid.lng).toFixed(2);
+        const decoded = decodeTileId(result.name);
+        const zoneInfo = decoded ? `Zone ${decoded.zoneLabel}${decoded.hemisphere} · ` : '';
+
+        return `
+            <div class="search-result" role="option" data-name="${result.originalName}">
+                <div class="search-result-name">${result.originalName}</div>
+                <div class="search-result-info">${zoneInfo}Lat: ${lat}, Lng: ${lng}</div>
+            </div>
+        `;
+    }).join('');
+
+    searchResults.innerHTML = html;
+    searchResults.classList.add('show');
+
+    // Add click handlers
+    searchResults.querySelectorAll('.search-result').forEach(element => {
+        element.addEventListener('click', function () {
+            activateSearchResult(this);
+        });
+    });
+}
+
+// Zoom to specific grid
+function zoomToGrid(gridName) {
+    const searchItem = searchIndex.find(item =>
+        item.originalName === gridName
+    );
+
+    if (!searchItem || !searchItem.centroid) return;
+
+    const { lat, lng } = searchItem.centroid;
+    const targetZoom = 8;
+    map.setView([lat, lng], targetZoom);
+
+    const searchInput = document.getElementById('grid-search');
+    if (searchInput) {
+        searchInput.value = gridName;
+    }
+}
+
+function highlightGrids(features, options = {}) {
+    clearHighlight();
+
+    const featureList = withAntimeridianCopies(Array.isArray(features)
+        ? features.filter(Boolean)
+        : [features].filter(Boolean));
+
+    if (featureList.length === 0) {
+        return;
+    }
+
+    const start = performance.now();
+    const { flash = false } = options;
+
+    const haloStyle = {
+        color: '#ffffff',
+        weight: 8,
+        opacity: 0.7,
+        fillOpacity: 0,
+        fillColor: 'transparent'
+    };
+
+    const coreStyle = {
+        color: '#ffff00',
+        weight: 4,
+        opacity: 1,
+        fillOpacity: 0,
+        fillColor: 'transparent'
+    };
+
+    const geoJsonData = featureList.length === 1
+        ? featureList[0]
+        : {
+            type: 'FeatureCollection',
+            features: featureList
+        };
+
+    highlightHaloLayer = L.geoJSON(geoJsonData, {
+        style: haloStyle,
+        interactive: false,
+        pane: 'highlight-pane',
+        className: 'selection-halo'
+    });
+
+    highlightCoreLayer = L.geoJSON(geoJsonData, {
+        style: coreStyle,
+        interactive: false,
+        pane: 'highlight-pane',
+        className: 'selection-core'
+    });
+
+    highlightLayer = L.layerGroup([highlightHaloLayer, highlightCoreLayer]).addTo(map);
+    activeHighlightMode = 'polygons';
+
+    if (highlightLayer && typeof highlightLayer.eachLayer === 'function') {
+        highlightLayer.eachLayer(layer => {
+            if (layer && typeof layer.bringToFront === 'function') {
+                layer.bringToFront();
+            }
+        });
+    }
+
+    if (flash) {
+        startHighlightFlash(coreStyle);
+    }
+
+    const duration = performance.now() - start;
+    logShareDebug('highlightGrids: complete', {
+        featureCount: featureList.length,
+        mode: activeHighlightMode,
+        durationMs: Number(duration.toFixed(2)),
+        flash
+    });
+}
+
+function startHighlightFlash(baseStyle) {
+    if (!highlightCoreLayer) return;
+
+    highlightCoreLayer.setStyle(baseStyle);
+}
+
+function showHoverHighlight(gridName) {
+    if (!map || !gridName) return;
+
+    const entry = selectedGridMap.get(gridName.toUpperCase());
+    if (!entry || !entry.feature) return;
+
+    clearHoverHighlight();
+
+    hoverHighlightLayer = L.geoJSON({
+        type: 'FeatureCollection',
+        features: withAntimeridianCopies([entry.feature])
+    }, {
+        pane: 'highlight-pane',
+        interactive: false,
+        className: 'selection-hover',
+        style: {
+            color: '#ff4d4f',
+            weight: 1.5,
+            opacity: 0.9,
+            fillOpacity: 0.35,
+            fillColor: '#ff4d4f'
+        }
+    }).addTo(map);
+
+    if (hoverHighlightLayer) {
+        if (typeof hoverHighlightLayer.bringToFront === 'function') {
+            hoverHighlightLayer.bringToFront();
+        } else if (typeof hoverHighlightLayer.eachLayer === 'function') {
+            hoverHighlightLayer.eachLayer(layer => {
+                if (layer && typeof layer.bringToFront === 'function') {
+                    layer.bringToFront();
+                }
+            });
+        }
+    }
+}
+
+function clearHoverHighlight() {
+    if (hoverHighlightLayer) {
+        map.removeLayer(hoverHighlightLayer);
+        hoverHighlightLayer = null;
+    }
+}
+
+// Clear grid highlight
+function clearHighlight() {
+    if (highlightLayer) {
+        map.removeLayer(highlightLayer);
+        highlightLayer = null;
+    }
+
+    highlightHaloLayer = null;
+    highlightCoreLayer = null;
+    activeHighlightMode = null;
+
+    clearHoverHighlight();
+}
+
+function refreshHighlightForCurrentZoom() {
+    if (!map) {
+        return;
+    }
+
+    if (selectedGridMap.size === 0) {
+        clearHighlight();
+        return;
+    }
+
+    if (highlightLayer && activeHighlightMode === 'polygons') {
+        if (typeof highlightLayer.eachLayer === 'function') {
+            highlightLayer.eachLayer(layer => {
+                if (layer && typeof layer.bringToFront === 'function') {
+                    layer.bringToFront();
+                }
+            });
+        }
+        return;
+    }
+
+    const features = getSelectedFeatures();
+    if (features.length === 0) {
+        clearHighlight();
+        return;
+    }
+
+    highlightGrids(features, { flash: false });
+}
+
+function processGridClick(feature, event, overrideOptions = {}) {
+    if (!feature || isShapeToolCapturingClicks()) return;
+
+    if (suppressNextGridClick) {
+        suppressNextGridClick = false;
+        if (suppressNextGridClickTimer) {
+            clearTimeout(suppressNextGridClickTimer);
+            suppressNextGridClickTimer = null;
+        }
+        return;
+    }
+
+    const latlng = event?.latlng || null;
+    const candidates = latlng
+        ? findGridCandidatesAtLatLng(latlng)
+        : [];
+
+    if (!candidates.some(candidate => candidate === feature)) {
+        candidates.unshift(feature);
+    }
+
+    const uniqueCandidates = dedupeFeaturesByName(candidates);
+    if (uniqueCandidates.length === 0) {
+        return;
+    }
+
+    const selectionSizeBeforeToggle = selectedGridMap.size;
+    const namesToRemove = [];
+    const featuresToAdd = [];
+
+    uniqueCandidates.forEach(candidate => {
+        const name = getGridName(candidate);
+        if (!name) {
+            return;
+        }
+
+        const upper = name.toUpperCase();
+        if (selectedGridMap.has(upper)) {
+            namesToRemove.push(upper);
+        } else {
+            featuresToAdd.push({ feature: candidate, name, upper });
+        }
+    });
+
+    if (namesToRemove.length === 0 && featuresToAdd.length === 0) {
+        return;
+    }
+
+    let mutated = false;
+
+    if (namesToRemove.length > 0) {
+        namesToRemove.forEach(upper => {
+            if (selectedGridMap.has(upper)) {
+                selectedGridMap.delete(upper);
+                mutated = true;
+            }
+        });
+    }
+
+    if (featuresToAdd.length > 0) {
+        featuresToAdd.forEach(entry => {
+            if (selectedGridMap.has(entry.upper)) {
+                return;
+            }
+            const centroid = getPolygonCentroid(entry.feature.geometry);
+            selectedGridMap.set(entry.upper, {
+                feature: entry.feature,
+                name: entry.name,
+                centroid
+            });
+            mutated = true;
+        });
+    }
+
+    if (!mutated) {
+        return;
+    }
+
+    clearHoverHighlight();
+
+    const centerMap = overrideOptions.centerMap !== undefined
+        ? overrideOptions.centerMap
+        : (selectionSizeBeforeToggle === 0 && selectedGridMap.size > 0);
+
+    const focusShareLink = overrideOptions.focusShareLink !== undefined
+        ? overrideOptions.focusShareLink
+        : false;
+
+    const flash = overrideOptions.flash !== undefined
+        ? overrideOptions.flash
+        : (featuresToAdd.length > 0);
+
+    refreshSelectionState({
+        flash,
+        focusShareLink,
+        centerMap
+    });
+}
+
+function findGridCandidatesAtLatLng(latlng) {
+    if (!latlng || !gridData) {
+        return [];
+    }
+
+    const candidates = [];
+    const pointBounds = L.latLngBounds(latlng, latlng);
+
+    querySpatialIndex(pointBounds).forEach(feature => {
+        if (!feature || !feature.geometry) return;
+
+        if (isLatLngInFeature(latlng, feature)) {
+            candidates.push(feature);
+        }
+    });
+
+    return candidates;
+}
+
+function isLatLngInFeature(latlng, feature) {
+    if (!feature || !feature.geometry) return false;
+
+    const geometry = feature.geometry;
+
+    // Dateline tiles are unwrapped past ±180, so also try the point one world over
+    return [0, 360, -360].some(offset => {
+        const point = [latlng.lng + offset, latlng.lat];
+
+        if (geometry.type === 'Polygon') {
+            return isPointInPolygon(point, geometry.coordinates);
+        }
+
+        if (geometry.type === 'MultiPolygon') {
+            return geometry.coordinates.some(polygon => isPointInPolygon(point, polygon));
+        }
+
+        return false;
+    });
+}
+
+function dedupeFeaturesByName(features) {
+    if (!Array.isArray(features) || features.length === 0) {
+        return [];
+    }
+
+    const uniqueFeatures = [];
+    const seenNames = new Set();
+
+    features.forEach(feature => {
+        if (!feature) return;
+        const name = getGridName(feature);
+        if (!name) return;
+
+        const upper = name.toUpperCase();
+        if (seenNames.has(upper)) return;
+
+        seenNames.add(upper);
+        uniqueFeatures.push(feature);
+    });
+
+    return uniqueFeatures;
+}
+
+function computeBoundsForFeatures(features) {
+    if (!Array.isArray(features) || features.length === 0) {
+        return null;
+    }
+
+    const bounds = L.latLngBounds();
+    let hasValidCoordinate = false;
+
+    features.forEach(feature => {
+        const geometry = feature?.geometry;
+        const extended = extendBoundsWithGeometry(bounds, geometry);
+
+        if (!extended) {
+            const centroid = getPolygonCentroid(geometry);
+            if (centroid) {
+                bounds.extend([centroid.lat, centroid.lng]);
+                hasValidCoordinate = true;
+            }
+        } else {
+            hasValidCoordinate = true;
+        }
+    });
+
+    if (!hasValidCoordinate) {
+        return null;
+    }
+
+    // A selection on both sides of the antimeridian should zoom across it
+    // rather than around the whole world
+    if (bounds.getEast() - bounds.getWest() > 180) {
+        const shiftedBounds = L.latLngBounds();
+        features.forEach(feature => {
+            const geometry = feature?.geometry;
+            const centroid = getPolygonCentroid(geometry);
+            const offset = centroid && centroid.lng < 0 ? 360 : 0;
+            extendBoundsWithGeometry(shiftedBounds, offset ? shiftGeometryLongitudes(geometry, offset) : geometry);
+        });
+
+        if (shiftedBounds.isValid() &&
+            shiftedBounds.getEast() - shiftedBounds.getWest() < bounds.getEast() - bounds.getWest()) {
+            return shiftedBounds;
+        }
+    }
+
+    return bounds;
+}
+
+function zoomToSelection() {
+    if (!map) return;
+
+    const features = getSelectedFeatures();
+    if (features.length === 0) {
+        return;
+    }
+
+    const bounds = computeBoundsForFeatures(features);
+    if (bounds && bounds.isValid()) {
+        map.fitBounds(bounds, { padding: [80, 80] });
+    }
+}
+
+function extendBoundsWithGeometry(bounds, geometry) {
+    if (!geometry || !bounds) return false;
+
+    let extended = false;
+
+    const extendCoords = coords => {
+        if (!Array.isArray(coords)) return;
+        coords.forEach(coord => {
+            if (!Array.isArray(coord) || coord.length < 2) return;
+            const lng = coord[0];
+            const lat = coord[1];
+            if (typeof lat === 'number' && typeof lng === 'number') {
+                bounds.extend([lat, lng]);
+                extended = true;
+            }
+        });
+    };
+
+    switch (geometry.type) {
+        case 'Polygon':
+            geometry.coordinates?.forEach(ring => extendCoords(ring));
+            break;
+        case 'MultiPolygon':
+            geometry.coordinates?.forEach(polygon => {
+                polygon?.forEach(ring => extendCoords(ring));
+            });
+            break;
+        case 'LineString':
+            extendCoords(geometry.coordinates);
+            break;
+        case 'MultiLineString':
+            geometry.coordinates?.forEach(line => extendCoords(line));
+            break;
+        case 'Point':
+            extendCoords([geometry.coordinates]);
+            break;
+        case 'MultiPoint':
+            extendCoords(geometry.coordinates);
+            break;
+        case 'GeometryCollection':
+            geometry.geometries?.forEach(child => {
+                if (extendBoundsWithGeometry(bounds, child)) {
+                    extended = true;
+                }
+            });
+            break;
+        default:
+            break;
+    }
+
+    return extended;
+}
+
+// Geodesic area of a (Multi)Polygon in square metres, using the spherical
+// excess formula on the WGS84 equatorial radius (as Leaflet.draw and Turf do)
+function computeGeodesicArea(geometry) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return 0;
+
+    let polygons;
+    if (geometry.type === 'Polygon') {
+        polygons = [geometry.coordinates];
+    } else if (geometry.type === 'MultiPolygon') {
+        polygons = geometry.coordinates;
+    } else {
+        return 0;
+    }
+
+    return polygons.reduce((total, polygon) => {
+        if (!Array.isArray(polygon) || polygon.length === 0) return total;
+        const outer = Math.abs(computeRingGeodesicArea(polygon[0]));
+        const holes = polygon.slice(1).reduce((sum, ring) => sum + Math.abs(computeRingGeodesicArea(ring)), 0);
+        return total + outer - holes;
+    }, 0);
+}
+
+function computeRingGeodesicArea(ring) {
+    if (!Array.isArray(ring) || ring.length < 3) return 0;
+
+    const radius = 6378137;
+    const toRadians = degrees => degrees * Math.PI / 180;
+    let area = 0;
+
+    for (let i = 0; i < ring.length; i++) {
+        const p1 = ring[i];
+        const p2 = ring[(i + 1) % ring.length];
+        area += toRadians(p2[0] - p1[0]) *
+            (2 + Math.sin(toRadians(p1[1])) + Math.sin(toRadians(p2[1])));
+    }
+
+    return (area * radius * radius) / 2;
+}
+
+// Dissolve polygon features into the (Multi)Polygon covering their union,
+// keeping holes left between them. Works on the planar lng/lat rings the map
+// draws: every edge is split where it crosses another, the pieces with the
+// union on exactly one side are kept, and those are chained back into rings.
+const DISSOLVE_PRECISION = 1e9; // Vertices snap to 1e-9° (about 0.1 mm)
+const DISSOLVE_PARAM_EPSILON = 1e-9;
+const DISSOLVE_SIDE_OFFSET = 1e-7; // How far either side of an edge to probe
+
+function dissolvePolygons(features) {
+    const polygons = collectDissolvePolygons(features);
+    if (polygons.length === 0) return null;
+
+    const segments = [];
+    polygons.forEach(polygon => {
+        polygon.rings.forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const a = ring[i];
+                const b = ring[i + 1];
+                if (a[0] === b[0] && a[1] === b[1]) continue;
+                segments.push({
+                    a,
+                    b,
+                    splits: [],
+                    minX: Math.min(a[0], b[0]),
+                    maxX: Math.max(a[0], b[0]),
+                    minY: Math.min(a[1], b[1]),
+                    maxY: Math.max(a[1], b[1])
+                });
+            }
+        });
+    });
+
+    splitSegmentsAtIntersections(segments);
+
+    const index = createSpatialIndex(1);
+    polygons.forEach((polygon, position) => addToSpatialIndex(index, position, polygon.bbox));
+    const isInsideUnion = point => querySpatialIndexPositions(index, point[0], point[1], point[0], point[1])
+        .some(position => {
+            const { bbox, rings } = polygons[position];
+            return point[0] >= bbox.minLng && point[0] <= bbox.maxLng &&
+                point[1] >= bbox.minLat && point[1] <= bbox.maxLat &&
+                isPointInPolygon(point, rings);
+        });
+
+    // Boundary pieces, oriented with the union on their left
+    const edges = new Map();
+    segments.forEach(segment => {
+        getSegmentPieces(segment).forEach(([from, to]) => {
+            const dx = to[0] - from[0];
+            const dy = to[1] - from[1];
+            const length = Math.hypot(dx, dy);
+            const scale = Math.min(DISSOLVE_SIDE_OFFSET, length / 4) / length;
+            const midX = (from[0] + to[0]) / 2;
+            const midY = (from[1] + to[1]) / 2;
+            const left = isInsideUnion([midX - (dy * scale), midY + (dx * scale)]);
+            const right = isInsideUnion([midX + (dy * scale), midY - (dx * scale)]);
+            if (left === right) return;
+
+            const edge = left ? [from, to] : [to, from];
+            edges.set(`${getPointKey(edge[0])}|${getPointKey(edge[1])}`, edge);
+        });
+    });
+
+    const outers = [];
+    const holes = [];
+    chainDissolveEdges([...edges.values()]).forEach(ring => {
+        const area = getRingSignedArea(ring);
+        if (area > 0) {
+            outers.push({ ring, area, holes: [] });
+        } else if (area < 0) {
+            holes.push(ring);
+        }
+    });
+
+    if (outers.length === 0) return null;
+
+    // Each hole belongs to the smallest outer ring around it
+    holes.forEach(hole => {
+        const owner = outers
+            .filter(outer => isPointInLinearRing(hole[0], outer.ring))
+            .sort((a, b) => a.area - b.area)[0];
+        if (owner) owner.holes.push(hole);
+    });
+
+    const parts = outers
+        .sort((a, b) => b.area - a.area)
+        .map(outer => [outer.ring, ...outer.holes]);
+
+    return parts.length === 1
+        ? { type: 'Polygon', coordinates: parts[0] }
+        : { type: 'MultiPolygon', coordinates: parts };
+}
+
+// Closed, snapped 2D rings of every polygon, with longitudes kept next to the
+// first polygon's so tiles either side of the antimeridian line up
+function collectDissolvePolygons(features) {
+    const polygons = [];
+    let anchorLng = null;
+
+    features.forEach(feature => {
+        const geometry = feature?.geometry;
+        let parts = [];
+        if (geometry?.type === 'Polygon') {
+            parts = [geometry.coordinates];
+        } else if (geometry?.type === 'MultiPolygon') {
+            parts = geometry.coordinates;
+        }
+
+        parts.forEach(polygon => {
+            if (!Array.isArray(polygon)) return;
+            const rings = polygon.filter(ring => Array.isArray(ring) && ring.length >= 3);
+            if (rings.length === 0) return;
+
+            const meanLng = getRingMeanLongitude(rings[0]);
+            if (!Number.isFinite(meanLng)) return;
+            if (anchorLng === null) anchorLng = meanLng;
+            const offset = Math.round((anchorLng - meanLng) / 360) * 360;
+
+            const snapped = rings.map(ring => {
+                const points = ring.map(coord => [snapCoordinate(coord[0] + offset), snapCoordinate(coord[1])]);
+                const first = points[0];
+                const last = points[points.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    points.push(first.slice());
+                }
+                return points;
+            });
+
+            polygons.push({
+                rings: snapped,
+                bbox: getGeometryBoundingBox({ type: 'Polygon', coordinates: snapped })
+            });
+        });
+    });
+
+    return polygons;
+}
+
+function snapCoordinate(value) {
+    return Math.round(value * DISSOLVE_PRECISION) / DISSOLVE_PRECISION;
+}
+
+function snapPoint(x, y) {
+    return [snapCoordinate(x), snapCoordinate(y)];
+}
+
+function getPointKey(point) {
+    return `${point[0]},${point[1]}`;
+}
+
+// Record every crossing on both segments, sweeping along longitude so only
+// segments whose extents overlap are compared
+function splitSegmentsAtIntersections(segments) {
+    const ordered = segments.slice().sort((a, b) => a.minX - b.minX);
+
+    for (let i = 0; i < ordered.length; i++) {
+        const segment = ordered[i];
+        for (let j = i + 1; j < ordered.length && ordered[j].minX <= segment.maxX; j++) {
+            const other = ordered[j];
+            if (other.maxY < segment.minY || other.minY > segment.maxY) continue;
+            intersectSegments(segment, other);
+        }
+    }
+}
+
+function intersectSegments(s, t) {
+    const rx = s.b[0] - s.a[0];
+    const ry = s.b[1] - s.a[1];
+    const qx = t.b[0] - t.a[0];
+    const qy = t.b[1] - t.a[1];
+    const cx = t.a[0] - s.a[0];
+    const cy = t.a[1] - s.a[1];
+    const denominator = (rx * qy) - (ry * qx);
+    const sLength = Math.hypot(rx, ry);
+    const tLength = Math.hypot(qx, qy);
+
+    if (Math.abs(denominator) <= DISSOLVE_PARAM_EPSILON * sLength * tLength) {
+        // Parallel: only overlapping collinear segments need splitting, at
+        // each other's endpoints
+        const distance = Math.abs((cx * ry) - (cy * rx)) / sLength;
+        if (distance > 1 / DISSOLVE_PRECISION) return;
+
+        [t.a, t.b].forEach(point => {
+            if (isInsideSegment(point, s)) s.splits.push(point);
+        });
+        [s.a, s.b].forEach(point => {
+            if (isInsideSegment(point, t)) t.splits.push(point);
+        });
+        return;
+    }
+
+    const u = ((cx * qy) - (cy * qx)) / denominator; // Along s
+    const v = ((cx * ry) - (cy * rx)) / denominator; // Along t
+    const low = -DISSOLVE_PARAM_EPSILON;
+    const high = 1 + DISSOLVE_PARAM_EPSILON;
+    if (u < low || u > high || v < low || v > high) return;
+
+    const uInside = u > DISSOLVE_PARAM_EPSILON && u < 1 - DISSOLVE_PARAM_EPSILON;
+    const vInside = v > DISSOLVE_PARAM_EPSILON && v < 1 - DISSOLVE_PARAM_EPSILON;
+    if (!uInside && !vInside) return;
+
+    // Reuse an existing vertex when the crossing is at one, so the pieces
+    // share exact coordinates
+    let point;
+    if (!uInside) {
+        point = u < 0.5 ? s.a : s.b;
+    } else if (!vInside) {
+        point = v < 0.5 ? t.a : t.b;
+    } else {
+        point = snapPoint(s.a[0] + (u * rx), s.a[1] + (u * ry));
+    }
+
+    if (uInside) s.splits.push(point);
+    if (vInside) t.splits.push(point);
+}
+
+function isInsideSegment(point, segment) {
+    const dx = segment.b[0] - segment.a[0];
+    const dy = segment.b[1] - segment.a[1];
+    const t = (((point[0] - segment.a[0]) * dx) + ((point[1] - segment.a[1]) * dy)) / ((dx * dx) + (dy * dy));
+    return t > DISSOLVE_PARAM_EPSILON && t < 1 - DISSOLVE_PARAM_EPSILON;
+}
+
+// Consecutive [from, to] pieces of a segment between its split points
+function getSegmentPieces(segment) {
+    const { a, b } = segment;
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const seen = new Set([getPointKey(a), getPointKey(b)]);
+    const points = [a];
+
+    segment.splits
+        .map(point => ({ point, t: ((point[0] - a[0]) * dx) + ((point[1] - a[1]) * dy) }))
+        .sort((p, q) => p.t - q.t)
+        .forEach(({ point }) => {
+            const key = getPointKey(point);
+            if (seen.has(key)) return;
+            seen.add(key);
+            points.push(point);
+        });
+
+    points.push(b);
+
+    const pieces = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        pieces.push([points[i], points[i + 1]]);
+    }
+    return pieces;
+}
+
+// Follow the oriented edges into closed rings. Where several edges leave the
+// same vertex (tiles touching at a corner) the sharpest left turn is taken,
+// which keeps each ring simple.
+function chainDissolveEdges(edges) {
+    const outgoing = new Map();
+    edges.forEach(edge => {
+        const key = getPointKey(edge[0]);
+        if (!outgoing.has(key)) outgoing.set(key, []);
+        outgoing.get(key).push(edge);
+    });
+
+    const used = new Set();
+    const rings = [];
+
+    edges.forEach(start => {
+        if (used.has(start)) return;
+
+        const startKey = getPointKey(start[0]);
+        const ring = [start[0]];
+        let edge = start;
+        let closed = false;
+
+        while (edge) {
+            used.add(edge);
+            ring.push(edge[1]);
+            if (getPointKey(edge[1]) === startKey) {
+                closed = true;
+                break;
+            }
+            edge = pickNextDissolveEdge(edge, outgoing.get(getPointKey(edge[1])), used);
+        }
+
+        if (closed && ring.length >= 4) {
+            rings.push(removeCollinearVertices(ring));
+        }
+    });
+
+    return rings.filter(ring => ring.length >= 4);
+}
+
+function pickNextDissolveEdge(incoming, candidates, used) {
+    const available = (candidates || []).filter(edge => !used.has(edge));
+    if (available.length <= 1) return available[0] || null;
+
+    const inX = incoming[1][0] - incoming[0][0];
+    const inY = incoming[1][1] - incoming[0][1];
+    const turn = edge => {
+        const outX = edge[1][0] - edge[0][0];
+        const outY = edge[1][1] - edge[0][1];
+        return Math.atan2((inX * outY) - (inY * outX), (inX * outX) + (inY * outY));
+    };
+
+    return available.reduce((best, edge) => (turn(edge) > turn(best) ? edge : best));
+}
+
+// Drop the vertices left in the middle of straight runs by the splitting
+function removeCollinearVertices(ring) {
+    const points = ring.slice(0, -1);
+    const kept = points.filter((point, i) => {
+        const previous = points[(i + points.length - 1) % points.length];
+        const next = points[(i + 1) % points.length];
+        const ax = point[0] - previous[0];
+        const ay = point[1] - previous[1];
+        const bx = next[0] - point[0];
+        const by = next[1] - point[1];
+        const cross = (ax * by) - (ay * bx);
+        const dot = (ax * bx) + (ay * by);
+        return dot <= 0 || Math.abs(cross) > DISSOLVE_PARAM_EPSILON * Math.hypot(ax, ay) * Math.hypot(bx, by);
+    });
+
+    if (kept.length < 3) return [];
+    return [...kept, kept[0]];
+}
+
+function setupRectangleSelection() {
+    if (!map) return;
+
+    const container = map.getContainer();
+
+    map.on('mousedown', onRectangleMouseDown);
+    map.on('mousemove', onRectangleMouseMove);
+    map.on('mouseup', onRectangleMouseUp);
+    container.addEventListener('mouseleave', onRectangleMouseLeave);
+    document.addEventListener('mouseup', onDocumentMouseUp);
+}
+
+function onRectangleMouseDown(event) {
+    if (!event.originalEvent) {
+        return;
+    }
+
+    // Shift-drag always draws a rectangle; the rectangle tool needs no modifier
+    const usingTool = selectionToolState.tool === 'rectangle';
+    if (!event.originalEvent.shiftKey && !usingTool) {
+        return;
+    }
+
+    if (!gridData) {
+        return;
+    }
+
+    event.originalEvent.preventDefault();
+
+    rectangleSelectState.active = true;
+    rectangleSelectState.startLatLng = event.latlng;
+    rectangleSelectState.lastLatLng = event.latlng;
+    rectangleSelectState.hasMoved = false;
+    rectangleSelectState.mode = getShapeSelectionMode(event.originalEvent);
+    rectangleSelectState.draggingWasEnabled = typeof map.dragging?.enabled === 'function'
+        ? map.dragging.enabled()
+        : true;
+
+    if (rectangleSelectState.draggingWasEnabled && map.dragging) {
+        map.dragging.disable();
+    }
+
+    map.getContainer().style.cursor = 'crosshair';
+
+    rectangleSelectState.rectangle = L.rectangle(
+        L.latLngBounds(event.latlng, event.latlng),
+        {
+            color: '#3498db',
+            weight: 1,
+            fillOpacity: 0.1,
+            dashArray: '4 2',
+            interactive: false
+        }
+    ).addTo(map);
+}
+
+function onRectangleMouseMove(event) {
+    if (!rectangleSelectState.active || !rectangleSelectState.rectangle) {
+        return;
+    }
+
+    rectangleSelectState.hasMoved = true;
+    rectangleSelectState.lastLatLng = event.latlng;
+    const bounds = L.latLngBounds(rectangleSelectState.startLatLng, event.latlng);
+    rectangleSelectState.rectangle.setBounds(bounds);
+}
+
+function onRectangleMouseUp(event) {
+    if (!rectangleSelectState.active) {
+        return;
+    }
+
+    completeRectangleSelection(event?.latlng || rectangleSelectState.lastLatLng);
+}
+
+function onRectangleMouseLeave() {
+    if (!rectangleSelectState.active) {
+        return;
+    }
+
+    // If the mouse leaves the map container without releasing, keep the shape
+    // but record that we've moved to ensure a selection occurs on document mouseup.
+    rectangleSelectState.hasMoved = true;
+}
+
+function onDocumentMouseUp(event) {
+    if (!rectangleSelectState.active) {
+        return;
+    }
+
+    let latlng = null;
+    try {
+        latlng = map.mouseEventToLatLng(event);
+    } catch (error) {
+        latlng = rectangleSelectState.lastLatLng || rectangleSelectState.startLatLng;
+    }
+
+    completeRectangleSelection(latlng);
+}
+
+function resetRectangleSelection() {
+    const wasDraggingEnabled = rectangleSelectState.draggingWasEnabled;
+
+    if (rectangleSelectState.rectangle) {
+        map.removeLayer(rectangleSelectState.rectangle);
+    }
+
+    rectangleSelectState.active = false;
+    rectangleSelectState.startLatLng = null;
+    rectangleSelectState.lastLatLng = null;
+    rectangleSelectState.rectangle = null;
+    rectangleSelectState.hasMoved = false;
+    rectangleSelectState.mode = 'add';
+    rectangleSelectState.draggingWasEnabled = true;
+
+    map.getContainer().style.cursor = '';
+
+    if (map && map.dragging && wasDraggingEnabled) {
+        map.dragging.enable();
+    }
+}
+
+function completeRectangleSelection(finalLatLng) {
+    const hasMoved = rectangleSelectState.hasMoved;
+    const startLatLng = rectangleSelectState.startLatLng;
+    const mode = rectangleSelectState.mode;
+
+    resetRectangleSelection();
+
+    if (hasMoved) {
+        scheduleSuppressNextGridClick();
+    }
+
+    if (!hasMoved || !startLatLng || !finalLatLng) {
+        return;
+    }
+
+    const bounds = L.latLngBounds(startLatLng, finalLatLng);
+
+    completeShapeSelection('Rectangle', [
+        bounds.getSouthWest(),
+        bounds.getSouthEast(),
+        bounds.getNorthEast(),
+        bounds.getNorthWest()
+    ], mode);
+}
+
+// Selection toolbar: click, rectangle, polygon and lasso tools. Shapes
+// replace the selection; hold Shift to add to it or Alt to remove from it.
+const SELECTION_TOOLS = [
+    {
+        tool: 'click',
+        title: 'Click tiles to toggle them',
+        icon: '<path fill="currentColor" d="M6 2l12 11.5-5.3.6 3.2 6.6-2.4 1.2-3.2-6.6L6 19.2z"></path>'
+    },
+    {
+        tool: 'rectangle',
+        title: 'Rectangle: drag to select tiles (Shift adds, Alt removes)',
+        icon: '<rect x="4" y="6" width="16" height="12" fill="none" stroke="currentColor" stroke-width="2" stroke-dasharray="3 2"></rect>'
+    },
+    {
+        tool: 'polygon',
+        title: 'Polygon: click to add vertices, double-click or Enter to finish (Shift adds, Alt removes)',
+        icon: '<path fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" d="M5 9l7-5 7 5-3 10H8z"></path>'
+    },
+    {
+        tool: 'lasso',
+        title: 'Lasso: drag a freehand outline (Shift adds, Alt removes)',
+        icon: '<path fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" d="M7 17c-3-1.5-4-4-3-6.5C5.5 6 10 4 14.5 4.5 19 5 21 8 20 11c-1 3.5-6 5-10 4.5M7 17c-.5 1.5.5 3 2 3"></path>'
+    }
+];
+
+const SELECTION_HISTORY_ACTIONS = [
+    {
+        action: 'undo',
+        title: 'Undo selection change (Ctrl+Z)',
+        icon: '<path fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" d="M9 14L4 9l5-5M4 9h10.5a5.5 5.5 0 0 1 0 11H11"></path>',
+        run: () => undoSelection()
+    },
+    {
+        action: 'redo',
+        title: 'Redo selection change (Ctrl+Shift+Z)',
+        icon: '<path fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" d="M15 14l5-5-5-5M20 9H9.5a5.5 5.5 0 0 0 0 11H13"></path>',
+        run: () => redoSelection()
+    }
+];
+
+const SELECTION_TOOL_HINTS = {
+    rectangle: 'Drag to select tiles. Shift adds, Alt removes.',
+    polygon: 'Click to add vertices; double-click, Enter or click the first vertex to finish. Backspace undoes a vertex, Esc cancels. Shift adds, Alt removes.',
+    lasso: 'Drag a freehand outline. Shift adds, Alt removes, Esc cancels.'
+};
+
+function addSelectionToolbar() {
+    if (!map) {
+        return;
+    }
+
+    const SelectionToolbar = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd: function () {
+            const container = L.DomUtil.create('div', 'leaflet-control leaflet-bar selection-toolbar');
+            container.setAttribute('role', 'toolbar');
+            container.setAttribute('aria-label', 'Selection tools');
+
+            selectionToolbarButtons = SELECTION_TOOLS.map(({ tool, title, icon }) => {
+                const button = L.DomUtil.create('a', 'selection-toolbar__button', container);
+                button.href = '#';
+                button.setAttribute('role', 'button');
+                button.title = title;
+                button.setAttribute('aria-label', title);
+                button.dataset.tool = tool;
+                button.innerHTML = `<svg class="selection-toolbar__icon" viewBox="0 0 24 24" aria-hidden="true" focusable="false">${icon}</svg>`;
+
+                L.DomEvent.on(button, 'click', function (event) {
+                    L.DomEvent.preventDefault(event);
+                    setSelectionTool(tool);
+                });
+
+                return button;
+            });
+
+            [undoSelectionButton, redoSelectionButton] = SELECTION_HISTORY_ACTIONS.map(({ action, title, icon, run }) => {
+                const button = L.DomUtil.create('a', 'selection-toolbar__button selection-toolbar__history disabled', container);
+                button.href = '#';
+                button.setAttribute('role', 'button');
+                button.title = title;
+                button.setAttribute('aria-label', title);
+                button.setAttribute('aria-disabled', 'true');
+                button.dataset.action = action;
+                button.innerHTML = `<svg class="selection-toolbar__icon" viewBox="0 0 24 24" aria-hidden="true" focusable="false">${icon}</svg>`;
+
+                L.DomEvent.on(button, 'click', function (event) {
+                    L.DomEvent.preventDefault(event);
+                    run();
+                });
+
+                return button;
+            });
+            updateSelectionHistoryButtons();
+
+            selectionToolHint = L.DomUtil.create('div', 'selection-toolbar__hint hidden', container);
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            return container;
+        }
+    });
+
+    map.addControl(new SelectionToolbar());
+
+    map.on('mousedown', onLassoMouseDown);
+    map.on('mousemove', onSelectionToolMouseMove);
+    map.on('mouseup', onLassoMouseUp);
+    map.on('click', onPolygonToolClick);
+    map.on('dblclick', onPolygonToolDoubleClick);
+    document.addEventListener('keydown', onSelectionToolKeyDown);
+    document.addEventListener('keydown', onSelectionHistoryKeyDown);
+
+    setSelectionTool('click');
+}
+
+function setSelectionTool(tool) {
+    cancelShapeDrawing();
+
+    selectionToolState.tool = tool;
+
+    (selectionToolbarButtons || []).forEach(button => {
+        const active = button.dataset.tool === tool;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+
+    if (selectionToolHint) {
+        selectionToolHint.textContent = SELECTION_TOOL_HINTS[tool] || '';
+        selectionToolHint.classList.toggle('hidden', !SELECTION_TOOL_HINTS[tool]);
+    }
+
+    const container = map.getContainer();
+    container.classList.toggle('selection-tool-active', tool !== 'click');
+
+    // Dragging draws with the rectangle and lasso tools instead of panning
+    if (map.dragging) {
+        if (tool === 'rectangle' || tool === 'lasso') {
+            map.dragging.disable();
+        } else {
+            map.dragging.enable();
+        }
+    }
+
+    // Double clicks finish polygons instead of zooming
+    if (map.doubleClickZoom) {
+        if (tool === 'polygon') {
+            selectionToolState.doubleClickZoomWasEnabled = map.doubleClickZoom.enabled();
+            map.doubleClickZoom.disable();
+        } else if (selectionToolState.doubleClickZoomWasEnabled) {
+            map.doubleClickZoom.enable();
+        }
+    }
+}
+
+// Shift adds to the selection, Alt removes from it, otherwise replace it
+function getShapeSelectionMode(originalEvent) {
+    if (originalEvent?.altKey) return 'remove';
+    if (originalEvent?.shiftKey) return 'add';
+    return 'replace';
+}
+
+// Grid clicks are vertices (polygon) or stray clicks (lasso) while drawing
+function isShapeToolCapturingClicks() {
+    return selectionToolState.tool === 'polygon' || selectionToolState.tool === 'lasso';
+}
+
+// Alt is the remove modifier while a shape tool or drag is in use, so
+// Alt-clicks must not open the tile details then
+function isSelectionGestureActive() {
+    return selectionToolState.tool !== 'click'
+        || rectangleSelectState.active
+        || suppressNextGridClick;
+}
+
+function onPolygonToolClick(event) {
+    if (selectionToolState.tool !== 'polygon' || !event.latlng || !gridData) {
+        return;
+    }
+
+    const points = selectionToolState.points;
+
+    // Clicking the first vertex closes the polygon
+    if (points.length >= 3) {
+        const first = map.latLngToContainerPoint(points[0]);
+        const clicked = map.latLngToContainerPoint(event.latlng);
+        if (first.distanceTo(clicked) <= 8) {
+            finishPolygonTool(getShapeSelectionMode(event.originalEvent));
+            return;
+        }
+    }
+
+    points.push(event.latlng);
+    updateShapePreview();
+}
+
+function onPolygonToolDoubleClick(event) {
+    if (selectionToolState.tool !== 'polygon') {
+        return;
+    }
+
+    if (event.originalEvent) {
+        L.DomEvent.preventDefault(event.originalEvent);
+    }
+
+    // The two clicks of the double click already added the same vertex twice
+    const points = selectionToolState.points;
+    while (points.length >= 2 &&
+        map.latLngToContainerPoint(points[points.length - 1])
+            .distanceTo(map.latLngToContainerPoint(points[points.length - 2])) <= 4) {
+        points.pop();
+    }
+
+    finishPolygonTool(getShapeSelectionMode(event.originalEvent));
+}
+
+function finishPolygonTool(mode) {
+    const points = selectionToolState.points.slice();
+    cancelShapeDrawing();
+
+    if (points.length >= 3) {
+        completeShapeSelection('Polygon', points, mode);
+    }
+}
+
+function onLassoMouseDown(event) {
+    if (selectionToolState.tool !== 'lasso' || !event.originalEvent || !gridData) {
+        return;
+    }
+
+    event.originalEvent.preventDefault();
+
+    selectionToolState.drawing = true;
+    selectionToolState.mode = getShapeSelectionMode(event.originalEvent);
+    selectionToolState.points = [event.latlng];
+    updateShapePreview();
+}
+
+function onSelectionToolMouseMove(event) {
+    const { tool, points } = selectionToolState;
+
+    if (tool === 'lasso' && selectionToolState.drawing) {
+        // Skip points closer than a few pixels to keep the outline light
+        const last = map.latLngToContainerPoint(points[points.length - 1]);
+        if (last.distanceTo(map.latLngToContainerPoint(event.latlng)) >= 4) {
+            points.push(event.latlng);
+            updateShapePreview();
+        }
+    } else if (tool === 'polygon' && points.length > 0) {
+        updateShapePreview(event.latlng);
+    }
+}
+
+function onLassoMouseUp() {
+    if (selectionToolState.tool !== 'lasso' || !selectionToolState.drawing) {
+        return;
+    }
+
+    const points = selectionToolState.points.slice();
+    const mode = selectionToolState.mode;
+    cancelShapeDrawing();
+    scheduleSuppressNextGridClick();
+
+    if (points.length >= 3) {
+        completeShapeSelection('Lasso', points, mode);
+    }
+}
+
+function onSelectionToolKeyDown(event) {
+    const { tool, points } = selectionToolState;
+    if (tool === 'click' || event.target?.closest?.('input, textarea, select')) {
+        return;
+    }
+
+    if (event.key === 'Escape') {
+        cancelShapeDrawing();
+    } else if (tool === 'polygon' && event.key === 'Enter' && points.length >= 3) {
+        event.preventDefault();
+        finishPolygonTool(getShapeSelectionMode(event));
+    } else if (tool === 'polygon' && event.key === 'Backspace' && points.length > 0) {
+        event.preventDefault();
+        points.pop();
+        updateShapePreview();
+    }
+}
+
+function updateShapePreview(cursorLatLng = null) {
+    const { points, tool } = selectionToolState;
+    const style = {
+        color: '#3498db',
+        weight: 2,
+        fillOpacity: 0.1,
+        dashArray: '4 2',
+        interactive: false
+    };
+
+    if (!selectionToolState.shape) {
+        selectionToolState.shape = L.polygon([], style).addTo(map);
+    }
+    selectionToolState.shape.setLatLngs(points);
+
+    if (tool === 'polygon' && cursorLatLng && points.length > 0) {
+        const guidePoints = [points[points.length - 1], cursorLatLng];
+        if (points.length >= 2) guidePoints.push(points[0]);
+
+        if (!selectionToolState.guide) {
+            selectionToolState.guide = L.polyline([], { ...style, weight: 1 }).addTo(map);
+        }
+        selectionToolState.guide.setLatLngs(guidePoints);
+    }
+}
+
+function cancelShapeDrawing() {
+    if (selectionToolState.shape) {
+        map.removeLayer(selectionToolState.shape);
+    }
+    if (selectionToolState.guide) {
+        map.removeLayer(selectionToolState.guide);
+    }
+
+    selectionToolState.points = [];
+    selectionToolState.shape = null;
+    selectionToolState.guide = null;
+    selectionToolState.drawing = false;
+}
+
+// Apply a drawn shape to the selection using true polygon intersection.
+// Shapes that add to or replace the selection also become the AOI.
+async function completeShapeSelection(label, latlngs, mode = 'replace') {
+    const ring = latlngs.map(latlng => [latlng.lng, latlng.lat]);
+    ring.push(ring[0]);
+
+    const collection = {
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'Polygon', coordinates: [ring] }
+        }]
+    };
+    const parts = buildAoiParts(collection);
+
+    await loadGridChunksForBounds(getAoiBounds(parts));
+    const features = findFeaturesIntersectingAoi(parts);
+
+    logShareDebug('completeShapeSelection: shape applied', {
+        label,
+        mode,
+        vertexCount: latlngs.length,
+        tileCount: features.length
+    });
+
+    if (mode === 'remove') {
+        removeGridsFromSelection(features.map(feature => getGridName(feature)));
+        return;
+    }
+
+    setCurrentAoi(label, collection, parts);
+    setAoiStatus(`${label}: ${features.length === 1 ? '1 tile intersects' : `${features.length} tiles intersect`}`);
+
+    if (features.length === 0) {
+        if (mode === 'replace') {
+            clearSelection();
+        }
+        return;
+    }
+
+    updateSelection(features, {
+        replace: mode === 'replace',
+        centerMap: false,
+        flash: true,
+        focusShareLink: false
+    });
+}
+
+function scheduleSuppressNextGridClick() {
+    suppressNextGridClick = true;
+    if (suppressNextGridClickTimer) {
+        clearTimeout(suppressNextGridClickTimer);
+    }
+    suppressNextGridClickTimer = setTimeout(() => {
+        suppressNextGridClick = false;
+        suppressNextGridClickTimer = null;
+    }, 250);
+}
+
+// Area of interest upload
+async function importAoiFile(file) {
+    if (!file) return;
+
+    setAoiStatus(`Reading ${file.name}…`, { busy: true });
+
+    try {
+        const collection = await readVectorFile(file);
+        const parts = buildAoiParts(collection);
+        if (parts.length === 0) {
+            throw new Error(`${file.name} has no points, lines or polygons`);
+        }
+
+        setCurrentAoi(file.name, collection, parts);
+
+        const bounds = getAoiBounds(parts);
+        map.fitBounds(bounds, { padding: [40, 40] });
+
+        setAoiStatus(`Finding tiles in ${file.name}…`, { busy: true });
+        await loadGridChunksForBounds(bounds);
+
+        const features = findFeaturesIntersectingAoi(parts);
+        logShareDebug('importAoiFile: intersecting tiles found', {
+            file: file.name,
+            partCount: parts.length,
+            tileCount: features.length
+        });
+
+        if (features.length === 0) {
+            setAoiStatus(`No Sentinel-2 tiles intersect ${file.name}`);
+            return;
+        }
+
+        updateSelection(features, {
+            replace: true,
+            centerMap: false,
+            flash: true,
+            focusShareLink: false,
+            debugSource: 'aoi-upload'
+        });
+
+        setAoiStatus(`${features.length === 1 ? '1 tile intersects' : `${features.length} tiles intersect`} ${file.name}`);
+    } catch (error) {
+        logShareDebug('importAoiFile: failed to import AOI', { message: error?.message });
+        setAoiStatus(error?.message || 'Could not read the file', { error: true });
+    }
+}
+
+function setAoiStatus(message, options = {}) {
+    if (!aoiControlPanel || !aoiControlStatus) return;
+
+    aoiControlStatus.textContent = message;
+    aoiControlPanel.classList.toggle('error', Boolean(options.error));
+    aoiControlPanel.classList.remove('hidden');
+
+    if (aoiOptimiseButton) {
+        aoiOptimiseButton.disabled = !currentAoi || Boolean(options.busy);
+    }
+}
+
+function setCurrentAoi(label, collection, parts) {
+    currentAoi = { label, parts };
+    showAoiOverlay(collection);
+}
+
+function showAoiOverlay(collection) {
+    if (aoiLayer) {
+        map.removeLayer(aoiLayer);
+    }
+
+    aoiLayer = L.geoJSON(collection, {
+        interactive: false,
+        style: {
+            color: '#ff7a00',
+            weight: 2,
+            opacity: 0.95,
+            dashArray: '8 6',
+            fillColor: '#ff7a00',
+            fillOpacity: 0.12
+        },
+        pointToLayer: function (feature, latlng) {
+            return L.circleMarker(latlng, { radius: 6, interactive: false });
+        }
+    }).addTo(map);
+}
+
+function clearAoi() {
+    currentAoi = null;
+
+    if (aoiLayer) {
+        map.removeLayer(aoiLayer);
+        aoiLayer = null;
+    }
+
+    if (aoiControlPanel) {
+        aoiControlPanel.classList.add('hidden');
+    }
+}
+
+// Replace the selection with a minimal (greedy) set of tiles covering the AOI
+async function optimiseAoiCover() {
+    if (!currentAoi) return;
+
+    const { label, parts } = currentAoi;
+    setAoiStatus(`Optimising the cover of ${label}…`, { busy: true });
+
+    await loadGridChunksForBounds(getAoiBounds(parts));
+
+    const candidates = findFeaturesIntersectingAoi(parts);
+    const cover = computeMinimalTileCover(parts, candidates);
+
+    logShareDebug('optimiseAoiCover: cover computed', {
+        label,
+        candidateCount: candidates.length,
+        coverCount: cover.features.length,
+        sampleCount: cover.sampleCount,
+        coveredCount: cover.coveredCount
+    });
+
+    if (cover.features.length === 0) {
+        setAoiStatus(`No Sentinel-2 tiles intersect ${label}`);
+        return;
+    }
+
+    updateSelection(cover.features, {
+        replace: true,
+        centerMap: false,
+        flash: true,
+        focusShareLink: false,
+        debugSource: 'aoi-optimise'
+    });
+
+    const saved = candidates.length - cover.features.length;
+    const coverage = cover.sampleCount > 0 ? (cover.coveredCount / cover.sampleCount) * 100 : 0;
+    const coverageText = coverage >= 99.95 ? '100' : coverage.toFixed(1);
+    // Sparse samples over large AOIs can miss narrow gaps between tiles
+    const approximateText = cover.approximate ? 'about ' : '';
+    const shortfall = coverage < 99.95 ? ' (the rest has no Sentinel-2 tiles)' : '';
+
+    const tileText = cover.features.length === 1 ? '1 tile covers' : `${cover.features.length} tiles cover`;
+    setAoiStatus(`${tileText} ${approximateText}${coverageText}% of ${label}` +
+        `${shortfall}; ${saved} fewer than the ${candidates.length} intersecting`);
+}
+
+// Greedy set cover over sample points spread across the AOI. Every sample any
+// candidate covers stays covered, so the result covers as much of the AOI as
+// the naive selection does; redundant picks are pruned afterwards.
+function computeMinimalTileCover(parts, candidates) {
+    const spacing = getAoiSampleSpacing(parts);
+    const samples = sampleAoiPoints(parts, spacing);
+    const candidateNames = new Set(candidates.map(feature => getGridName(feature).toUpperCase()));
+    const tilesByName = new Map();
+    const covered = new Uint8Array(samples.length);
+    let coverableCount = 0;
+
+    samples.forEach((sample, i) => {
+        const latlng = L.latLng(sample[1], sample[0]);
+        let coverable = false;
+
+        findGridCandidatesAtLatLng(latlng).forEach(feature => {
+            const upper = getGridName(feature).toUpperCase();
+            if (!candidateNames.has(upper)) return;
+
+            let tile = tilesByName.get(upper);
+            if (!tile) {
+                tile = { feature, samples: [] };
+                tilesByName.set(upper, tile);
+            }
+            tile.samples.push(i);
+            coverable = true;
+        });
+
+        if (coverable) coverableCount++;
+    });
+
+    const remaining = Array.from(tilesByName.values());
+    const chosen = [];
+    let coveredCount = 0;
+
+    while (coveredCount < coverableCount && remaining.length > 0) {
+        let bestIndex = -1;
+        let bestGain = 0;
+
+        remaining.forEach((tile, index) => {
+            const gain = tile.samples.reduce((count, i) => count + (covered[i] ? 0 : 1), 0);
+            if (gain > bestGain) {
+                bestGain = gain;
+                bestIndex = index;
+            }
+        });
+
+        if (bestIndex < 0) break;
+
+        const [tile] = remaining.splice(bestIndex, 1);
+        tile.samples.forEach(i => {
+            if (!covered[i]) {
+                covered[i] = 1;
+                coveredCount++;
+            }
+        });
+        chosen.push(tile);
+    }
+
+    // Greedy picks can be made redundant by later ones
+    const coverCounts = new Uint16Array(samples.length);
+    chosen.forEach(tile => tile.samples.forEach(i => coverCounts[i]++));
+    for (let index = chosen.length - 1; index >= 0; index--) {
+        const tile = chosen[index];
+        if (tile.samples.every(i => coverCounts[i] > 1)) {
+            tile.samples.forEach(i => coverCounts[i]--);
+            chosen.splice(index, 1);
+        }
+    }
+
+    return {
+        features: chosen.map(tile => tile.feature),
+        sampleCount: samples.length,
+        coveredCount,
+        approximate: spacing > AOI_COVER_EXACT_SPACING
+    };
+}
+
+// Upper bound on the interior grid samples, so large AOIs stay responsive
+const AOI_COVER_MAX_SAMPLES = 20000;
+// Widest spacing that stays well under the ~10 km overlap between tiles
+const AOI_COVER_EXACT_SPACING = 0.04;
+
+// Grid spacing in degrees for sampleAoiPoints. Spacing wider than
+// AOI_COVER_EXACT_SPACING (large AOIs) can miss narrow gaps between tiles.
+function getAoiSampleSpacing(parts) {
+    const bounds = getAoiBounds(parts);
+    const span = Math.max(bounds.getEast() - bounds.getWest(), bounds.getNorth() - bounds.getSouth());
+    const polygonArea = parts
+        .filter(part => part.type === 'polygon')
+        .reduce((sum, part) => sum + ((part.bbox.maxLat - part.bbox.minLat) * (part.bbox.maxLng - part.bbox.minLng)), 0);
+
+    return Math.max(
+        Math.min(Math.max(span / 150, 0.005), AOI_COVER_EXACT_SPACING),
+        Math.sqrt(polygonArea / AOI_COVER_MAX_SAMPLES)
+    );
+}
+
+// Sample points inside AOI polygons on a regular grid (plus their vertices),
+// along lines, and at points. At up to AOI_COVER_EXACT_SPACING the spacing
+// stays well under the tile overlap, so no gap between chosen tiles goes
+// unnoticed.
+function sampleAoiPoints(parts, spacing) {
+    const samples = [];
+
+    parts.forEach(part => {
+        if (part.type === 'point') {
+            samples.push(part.coordinates);
+            return;
+        }
+
+        if (part.type === 'line') {
+            samples.push(...densifyPath(part.coordinates, spacing));
+            return;
+        }
+
+        part.rings.forEach(ring => samples.push(...densifyPath(ring, spacing)));
+
+        const { minLat, maxLat, minLng, maxLng } = part.bbox;
+        for (let lat = minLat + (spacing / 2); lat < maxLat; lat += spacing) {
+            for (let lng = minLng + (spacing / 2); lng < maxLng; lng += spacing) {
+                const point = [lng, lat];
+                if (isPointInPolygon(point, part.rings)) {
+                    samples.push(point);
+                }
+            }
+        }
+    });
+
+    return samples;
+}
+
+function densifyPath(path, spacing) {
+    const points = [];
+
+    for (let i = 0; i < path.length; i++) {
+        points.push(path[i]);
+        if (i === path.length - 1) break;
+
+        const [x1, y1] = path[i];
+        const [x2, y2] = path[i + 1];
+        const steps = Math.floor(Math.hypot(x2 - x1, y2 - y1) / spacing);
+        for (let step = 1; step < steps; step++) {
+            const t = step / steps;
+            points.push([x1 + ((x2 - x1) * t), y1 + ((y2 - y1) * t)]);
+        }
+    }
+
+    return points;
+}
+
+// Flatten the uploaded features into polygon, line and point parts with
+// their bounding boxes. Longitudes are unwrapped like the tiles so AOIs
+// crossing the antimeridian stay in one piece.
+function buildAoiParts(collection) {
+    const parts = [];
+
+    const addGeometry = geometry => {
+        if (!geometry) return;
+
+        switch (geometry.type) {
+            case 'Polygon':
+            case 'MultiPolygon': {
+                normaliseGeometryLongitudes(geometry);
+                const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+                polygons.forEach(rings => {
+                    if (Array.isArray(rings?.[0]) && rings[0].length >= 3) {
+                        parts.push({ type: 'polygon', rings, bbox: getCoordinateListBounds(rings[0]) });
+                    }
+                });
+                break;
+            }
+            case 'LineString':
+            case 'MultiLineString': {
+                const lines = (geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates)
+                    .map(line => unwrapRing(line));
+                geometry.coordinates = geometry.type === 'LineString' ? lines[0] : lines;
+                lines.forEach(line => {
+                    if (Array.isArray(line) && line.length >= 2) {
+                        parts.push({ type: 'line', coordinates: line, bbox: getCoordinateListBounds(line) });
+                    }
+                });
+                break;
+            }
+            case 'Point':
+                parts.push({ type: 'point', coordinates: geometry.coordinates, bbox: getCoordinateListBounds([geometry.coordinates]) });
+                break;
+            case 'MultiPoint':
+                geometry.coordinates.forEach(point => {
+                    parts.push({ type: 'point', coordinates: point, bbox: getCoordinateListBounds([point]) });
+                });
+                break;
+            case 'GeometryCollection':
+                (geometry.geometries || []).forEach(addGeometry);
+                break;
+            default:
+                break;
+        }
+    };
+
+    (collection?.features || []).forEach(feature => addGeometry(feature?.geometry));
+
+    const invalid = parts.find(part => !part.bbox ||
+        part.bbox.minLat < -90 || part.bbox.maxLat > 90 ||
+        part.bbox.minLng < -540 || part.bbox.maxLng > 540);
+    if (invalid) {
+        throw new Error('The coordinates are not longitude/latitude; export the file in WGS 84 (EPSG:4326)');
+    }
+
+    return parts;
+}
+
+function getCoordinateListBounds(coordinates) {
+    let minLat = Infinity, maxLat = -Infinity;
+    let minLng = Infinity, maxLng = -Infinity;
+
+    coordinates.forEach(coord => {
+        if (!Array.isArray(coord) || !Number.isFinite(coord[0]) || !Number.isFinite(coord[1])) return;
+        minLng = Math.min(minLng, coord[0]);
+        maxLng = Math.max(maxLng, coord[0]);
+        minLat = Math.min(minLat, coord[1]);
+        maxLat = Math.max(maxLat, coord[1]);
+    });
+
+    return Number.isFinite(minLat) ? { minLat, maxLat, minLng, maxLng } : null;
+}
+
+function getAoiBounds(parts) {
+    return parts.reduce((bounds, part) => bounds.extend(L.latLngBounds(
+        [part.bbox.minLat, part.bbox.minLng],
+        [part.bbox.maxLat, part.bbox.maxLng]
+    )), L.latLngBounds([]));
+}
+
+// Tiles whose polygons truly intersect any part of the AOI, not just its
+// bounding box
+function findFeaturesIntersectingAoi(parts) {
+    if (!gridData || !Array.isArray(parts)) {
+        return [];
+    }
+
+    const matches = [];
+    const seen = new Set();
+
+    parts.forEach(part => {
+        const partBounds = L.latLngBounds(
+            [part.bbox.minLat, part.bbox.minLng],
+            [part.bbox.maxLat, part.bbox.maxLng]
+        );
+
+        querySpatialIndex(partBounds).forEach(feature => {
+            if (!feature || !feature.geometry || seen.has(feature)) return;
+
+            if (doesAoiPartIntersectFeature(part, feature)) {
+                seen.add(feature);
+                matches.push(feature);
+            }
+        });
+    });
+
+    return dedupeFeaturesByName(matches);
+}
+
+function doesAoiPartIntersectFeature(part, feature) {
+    const geometry = feature.geometry;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const tileBbox = getGeometryBoundingBox(geometry);
+    if (!tileBbox || !Array.isArray(polygons)) return false;
+
+    // Compare in the same world copy as the tile
+    const offset = Math.round((((tileBbox.minLng + tileBbox.maxLng) / 2) -
+        ((part.bbox.minLng + part.bbox.maxLng) / 2)) / 360) * 360;
+    const partBbox = {
+        minLat: part.bbox.minLat,
+        maxLat: part.bbox.maxLat,
+        minLng: part.bbox.minLng + offset,
+        maxLng: part.bbox.maxLng + offset
+    };
+
+    if (partBbox.minLng > tileBbox.maxLng || partBbox.maxLng < tileBbox.minLng ||
+        partBbox.minLat > tileBbox.maxLat || partBbox.maxLat < tileBbox.minLat) {
+        return false;
+    }
+
+    const shift = coord => (offset === 0 ? coord : [coord[0] + offset, coord[1]]);
+
+    if (part.type === 'point') {
+        const point = shift(part.coordinates);
+        return polygons.some(polygon => isPointInPolygon(point, polygon));
+    }
+
+    if (part.type === 'line') {
+        const line = part.coordinates.map(shift);
+        return polygons.some(polygon =>
+            isPointInPolygon(line[0], polygon) ||
+            polygon.some(ring => doPathsCross(line, ring))
+        );
+    }
+
+    const aoiRings = part.rings.map(ring => ring.map(shift));
+    return polygons.some(polygon => doPolygonsIntersect(aoiRings, polygon));
+}
+
+// Two polygons intersect when any of their edges cross, or when one lies
+// entirely inside the other
+function doPolygonsIntersect(a, b) {
+    if (a.some(ringA => b.some(ringB => doPathsCross(ringA, ringB)))) {
+        return true;
+    }
+
+    return isPointInPolygon(a[0][0], b) || isPointInPolygon(b[0][0], a);
+}
+
+function doPathsCross(pathA, pathB) {
+    for (let i = 1; i < pathA.length; i++) {
+        const a1 = pathA[i - 1];
+        const a2 = pathA[i];
+        const minX = Math.min(a1[0], a2[0]);
+        const maxX = Math.max(a1[0], a2[0]);
+        const minY = Math.min(a1[1], a2[1]);
+        const maxY = Math.max(a1[1], a2[1]);
+
+        for (let j = 1; j < pathB.length; j++) {
+            const b1 = pathB[j - 1];
+            const b2 = pathB[j];
+
+            // Cheap reject before the orientation tests
+            if (Math.max(b1[0], b2[0]) < minX || Math.min(b1[0], b2[0]) > maxX ||
+                Math.max(b1[1], b2[1]) < minY || Math.min(b1[1], b2[1]) > maxY) {
+                continue;
+            }
+
+            if (doSegmentsIntersect(a1, a2, b1, b2)) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
+
+// Segment test including touching and collinear overlap
+function doSegmentsIntersect(p1, p2, q1, q2) {
+    const orientation = (a, b, c) => {
+        const value = ((b[1] - a[1]) * (c[0] - b[0])) - ((b[0] - a[0]) * (c[1] - b[1]));
+        if (Math.abs(value) < 1e-12) return 0;
+        return value > 0 ? 1 : 2;
+    };
+    const onSegment = (a, b, c) =>
+        Math.min(a[0], c[0]) <= b[0] && b[0] <= Math.max(a[0], c[0]) &&
+        Math.min(a[1], c[1]) <= b[1] && b[1] <= Math.max(a[1], c[1]);
+
+    const o1 = orientation(p1, p2, q1);
+    const o2 = orientation(p1, p2, q2);
+    const o3 = orientation(q1, q2, p1);
+    const o4 = orientation(q1, q2, p2);
+
+    if (o1 !== o2 && o3 !== o4) return true;
+
+    return (o1 === 0 && onSegment(p1, q1, p2)) ||
+        (o2 === 0 && onSegment(p1, q2, p2)) ||
+        (o3 === 0 && onSegment(q1, p1, q2)) ||
+        (o4 === 0 && onSegment(q1, p2, q2));
+}
+
+// Selection management
+function updateSelection(features, options = {}) {
+    if (!Array.isArray(features) || features.length === 0) {
+        return;
+    }
+
+    const {
+        replace = false,
+        centerMap = true,
+        flash = true,
+        focusShareLink = true,
+        debugSource = null
+    } = options;
+
+    if (debugSource) {
+        logShareDebug('updateSelection: invoked', {
+            debugSource,
+            featureCount: features.length,
+            replace,
+            centerMap,
+            flash,
+            focusShareLink
+        });
+    }
+
+    if (replace) {
+        selectedGridMap.clear();
+    }
+
+    let addedCount = 0;
+
+    features.forEach(feature => {
+        if (!feature) return;
+
+        const name = getGridName(feature);
+        if (!name) return;
+
+        const upper = name.toUpperCase();
+
+        if (!replace && selectedGridMap.has(upper)) {
+            return;
+        }
+
+        const centroid = getPolygonCentroid(feature.geometry);
+        selectedGridMap.set(upper, {
+            feature,
+            name,
+            centroid
+        });
+        addedCount++;
+    });
+
+    refreshSelectionState({
+        flash: flash && (addedCount > 0 || replace),
+        focusShareLink,
+        centerMap: centerMap && selectedGridMap.size > 0
+    });
+
+    if (debugSource) {
+        logShareDebug('updateSelection: selection refreshed', {
+            debugSource,
+            addedCount,
+            totalSelected: selectedGridMap.size
+        });
+    }
+}
+
+function removeGridFromSelection(gridName) {
+    if (!gridName) return;
+
+    const upper = gridName.toUpperCase();
+    if (!selectedGridMap.has(upper)) {
+        return;
+    }
+
+    const entry = selectedGridMap.get(upper);
+    selectedGridMap.delete(upper);
+
+    refreshSelectionState({
+        flash: false,
+        focusShareLink: false,
+        centerMap: false
+    });
+
+    clearHoverHighlight();
+}
+
+function removeGridsFromSelection(gridNames) {
+    if (!Array.isArray(gridNames)) return;
+
+    let removedCount = 0;
+    gridNames.forEach(name => {
+        if (name && selectedGridMap.delete(name.toUpperCase())) {
+            removedCount++;
+        }
+    });
+
+    if (removedCount === 0) {
+        return;
+    }
+
+    refreshSelectionState({
+        flash: false,
+        focusShareLink: false,
+        centerMap: false
+    });
+
+    clearHoverHighlight();
+}
+
+function clearSelection(options = {}) {
+    if (selectedGridMap.size === 0) {
+        return;
+    }
+
+    selectedGridMap.clear();
+
+    refreshSelectionState({
+        flash: false,
+        focusShareLink: false,
+        centerMap: false,
+        suppressShareLink: false
+    });
+
+    clearHoverHighlight();
+}
+
+// Selection history. Every change passes through refreshSelectionState, which
+// records the new selection here; undo and redo swap whole snapshots back in.
+function recordSelectionHistory(entries) {
+    if (selectionHistory.restoring) {
+        return;
+    }
+
+    const previous = selectionHistory.current;
+    const unchanged = previous.length === entries.length &&
+        previous.every(entry => selectedGridMap.get(entry.name.toUpperCase()) === entry);
+    if (unchanged) {
+        return;
+    }
+
+    selectionHistory.past.push(previous);
+    if (selectionHistory.past.length > SELECTION_HISTORY_LIMIT) {
+        selectionHistory.past.shift();
+    }
+    selectionHistory.future = [];
+    selectionHistory.current = entries.slice();
+    updateSelectionHistoryButtons();
+}
+
+function undoSelection() {
+    if (selectionHistory.past.length === 0) {
+        return;
+    }
+
+    selectionHistory.future.push(selectionHistory.current);
+    restoreSelectionSnapshot(selectionHistory.past.pop());
+}
+
+function redoSelection() {
+    if (selectionHistory.future.length === 0) {
+        return;
+    }
+
+    selectionHistory.past.push(selectionHistory.current);
+    restoreSelectionSnapshot(selectionHistory.future.pop());
+}
+
+function restoreSelectionSnapshot(entries) {
+    logShareDebug('restoreSelectionSnapshot: restoring selection', {
+        count: entries.length,
+        undoSteps: selectionHistory.past.length,
+        redoSteps: selectionHistory.future.length
+    });
+
+    selectedGridMap.clear();
+    entries.forEach(entry => {
+        selectedGridMap.set(entry.name.toUpperCase(), entry);
+    });
+    selectionHistory.current = entries;
+
+    selectionHistory.restoring = true;
+    try {
+        refreshSelectionState({
+            flash: false,
+            focusShareLink: false,
+            centerMap: false
+        });
+    } finally {
+        selectionHistory.restoring = false;
+    }
+
+    clearHoverHighlight();
+    updateSelectionHistoryButtons();
+}
+
+function updateSelectionHistoryButtons() {
+    [
+        [undoSelectionButton, selectionHistory.past.length === 0],
+        [redoSelectionButton, selectionHistory.future.length === 0]
+    ].forEach(([button, disabled]) => {
+        if (!button) return;
+        button.classList.toggle('disabled', disabled);
+        button.setAttribute('aria-disabled', disabled ? 'true' : 'false');
+    });
+}
+
+// Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes. Text fields keep their own
+// undo.
+function onSelectionHistoryKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey ||
+        event.target?.closest?.('input, textarea, select, [contenteditable="true"]')) {
+        return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoSelection();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoSelection();
+    }
+}
+
+function getSelectedEntries() {
+    return Array.from(selectedGridMap.values());
+}
+
+function getSelectedNamesSorted() {
+    return Array.from(selectedGridMap.values())
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b));
+}
+
+function refreshSelectionState(options = {}) {
+    const {
+        flash = true,
+        focusShareLink = true,
+        centerMap = false,
+        suppressShareLink = false
+    } = options;
+
+    const selectionEntries = getSelectedEntries();
+
+    recordSelectionHistory(selectionEntries);
+    renderSetOperationPreview();
+
+    // Keep the tile details panel's selection state in sync
+    renderTileDetails();
+
+    if (selectionEntries.length === 0) {
+        clearHighlight();
+        clearFootprintOutline();
+        updateAddressBarWithSelection([]);
+        if (!suppressShareLink) {
+            hideShareLink();
+        }
+        return;
+    }
+
+    if (centerMap && selectionEntries.length > 0) {
+        const primaryEntry = selectionEntries[0];
+        const centroid = primaryEntry?.centroid;
+        if (centroid) {
+            const targetZoom = Math.max(map.getZoom(), 10);
+            map.setView([centroid.lat, centroid.lng], targetZoom);
+        }
+    }
+
+    highlightGrids(selectionEntries.map(entry => entry.feature), { flash });
+    renderFootprintOutline();
+
+    const shareUrl = updateAddressBarWithSelection(getSelectedNamesSorted());
+
+    if (!suppressShareLink) {
+        showShareLink(selectionEntries, shareUrl, { focusShareLink });
+    }
+}
+
+function updateAddressBarWithSelection(gridNames) {
+    const shareUrl = buildShareUrl(gridNames);
+
+    if (window.history && window.history.replaceState) {
+        window.history.replaceState({}, '', shareUrl);
+    }
+
+    return shareUrl;
+}
+
+// Build the share URL for a set of grid names from the current page URL
+function buildShareUrl(gridNames) {
+    const namesArray = Array.isArray(gridNames) ? gridNames : [];
+    const upperSorted = [...new Set(namesArray.map(name => name.toUpperCase()))].sort();
+
+    try {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('grid');
+        url.searchParams.delete('grids');
+
+        if (upperSorted.length === 1) {
+            url.searchParams.set('grid', upperSorted[0]);
+        } else if (upperSorted.length > 1) {
+            url.searchParams.set('grids', upperSorted.join(','));
+        }
+
+        return url.toString();
+    } catch (error) {
+        const origin = (window.location.origin && window.location.origin !== 'null')
+            ? window.location.origin
+            : '';
+        const basePath = `${origin}${window.location.pathname}`;
+        const hash = window.location.hash || '';
+
+        let query = '';
+        if (upperSorted.length === 1) {
+            query = `?grid=${encodeURIComponent(upperSorted[0])}`;
+        } else if (upperSorted.length > 1) {
+            query = `?grids=${encodeURIComponent(upperSorted.join(','))}`;
+        }
+
+        return `${basePath}${query}${hash}`;
+    }
+}
+
+function getSelectedFeatures() {
+    return getSelectedEntries()
+        .map(entry => entry.feature)
+        .filter(feature => !!feature);
+}
+
+function downloadSelectionAsGeoJSON() {
+    const features = getSelectedFeatures();
+    if (features.length === 0) {
+        setShareLinkFeedback('Select grids to export first');
+        return;
+    }
+
+    const featureCollection = {
+        type: 'FeatureCollection',
+        features: features.map(feature => {
+            const copy = JSON.parse(JSON.stringify(feature));
+            copy.geometry = splitGeometryAtAntimeridian(copy.geometry);
+            copy.properties = {
+                ...(copy.properties || {}),
+                ...getTileMetadataProperties(getGridName(feature))
+            };
+            return copy;
+        })
+    };
+
+    const filename = buildSelectionFilename('sentinel-grids', 'geojson');
+    triggerDownload(filename, 'application/geo+json', JSON.stringify(featureCollection, null, 2));
+}
+
+function downloadSelectionAsCSV() {
+    const selectionEntries = getSelectedEntries();
+    if (selectionEntries.length === 0) {
+        setShareLinkFeedback('Select grids to export first');
+        return;
+    }
+
+    const { headers, rows } = buildSelectionTable(selectionEntries);
+    const csvContent = [
+        headers.map(escapeCsvValue).join(','),
+        ...rows.map(values => values.map(escapeCsvValue).join(','))
+    ].join('\n');
+    const filename = buildSelectionFilename('sentinel-2-grid-tile', 'csv');
+    triggerDownload(filename, 'text/csv', csvContent);
+}
+
+// Attribute table of the selection shared by the CSV and Shapefile exports:
+// name, centroid, tile metadata, then any other feature properties
+function buildSelectionTable(selectionEntries) {
+    const propertyKeys = new Set();
+
+    selectionEntries.forEach(entry => {
+        const properties = entry.feature?.properties;
+        if (properties && typeof properties === 'object') {
+            Object.keys(properties).forEach(key => {
+                propertyKeys.add(key);
+            });
+        }
+    });
+
+    const metadataKeys = Object.keys(getTileMetadataProperties(null));
+    const orbitColumn = getRelativeOrbitColumn();
+    const orderedPropertyKeys = Array.from(propertyKeys)
+        .filter(key => typeof key === 'string' && key.toLowerCase() !== 'name' && key !== orbitColumn && !metadataKeys.includes(key))
+        .sort();
+
+    const headers = ['name', 'centroid_lat', 'centroid_lng', ...metadataKeys, orbitColumn, ...orderedPropertyKeys];
+
+    const rows = selectionEntries.map(entry => {
+        const name = entry.name || getGridName(entry.feature) || '';
+        const centroid = entry.centroid || getPolygonCentroid(entry.feature?.geometry) || { lat: '', lng: '' };
+        const properties = entry.feature?.properties || {};
+
+        const baseValues = [name, formatCsvNumber(centroid.lat), formatCsvNumber(wrapLongitude(centroid.lng))];
+        const metadata = getTileMetadataProperties(name);
+        const metadataValues = metadataKeys.map(key => metadata[key] === null ? '' : metadata[key]);
+        const orbits = entry.feature ? getTileRelativeOrbits(entry.feature) : null;
+        const orbitValue = orbits ? orbits.map(formatRelativeOrbit).join(';') : '';
+        const propertyValues = orderedPropertyKeys.map(key => {
+            const value = properties[key];
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'object') return JSON.stringify(value);
+            return value;
+        });
+
+        return [...baseValues, ...metadataValues, orbitValue, ...propertyValues];
+    });
+
+    return { headers, rows };
+}
+
+// Zipped ESRI Shapefile (.shp, .shx, .dbf, .prj, .cpg) in WGS 84 with the
+// same attributes as the CSV export
+async function downloadSelectionAsShapefile() {
+    const selectionEntries = getSelectedEntries();
+    if (selectionEntries.length === 0) {
+        setShareLinkFeedback('Select grids to export first');
+        return;
+    }
+
+    try {
+        const { headers, rows } = buildSelectionTable(selectionEntries);
+        const polygons = selectionEntries.map(entry => {
+            const geometry = splitGeometryAtAntimeridian(entry.feature.geometry);
+            return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        });
+
+        const { shp, shx, dbf } = writeShapefile(polygons, headers, rows);
+        const base = buildSelectionFilename('sentinel-grids', 'zip').replace(/\.zip$/, '');
+        const archive = await createZipArchive([
+            { name: `${base}.shp`, data: shp },
+            { name: `${base}.shx`, data: shx },
+            { name: `${base}.dbf`, data: dbf },
+            { name: `${base}.prj`, data: WGS84_PRJ },
+            { name: `${base}.cpg`, data: 'UTF-8' }
+        ]);
+
+        triggerDownload(`${base}.zip`, 'application/zip', archive);
+    } catch (error) {
+        logShareDebug('downloadSelectionAsShapefile: failed to create Shapefile', { message: error?.message });
+        setShareLinkFeedback('Unable to create Shapefile');
+    }
+}
+
+// KML for Google Earth, or KMZ (the KML zipped as doc.kml) when compressed
+async function downloadSelectionAsKml(options = {}) {
+    const { compressed = false } = options;
+    const selectionEntries = getSelectedEntries();
+    if (selectionEntries.length === 0) {
+        setShareLinkFeedback('Select grids to export first');
+        return;
+    }
+
+    const kml = buildSelectionKml(selectionEntries);
+
+    if (!compressed) {
+        triggerDownload(buildSelectionFilename('sentinel-grids', 'kml'), 'application/vnd.google-earth.kml+xml', kml);
+        return;
+    }
+
+    try {
+        const archive = await createZipArchive([{ name: 'doc.kml', data: kml }]);
+        triggerDownload(buildSelectionFilename('sentinel-grids', 'kmz'), 'application/vnd.google-earth.kmz', archive);
+    } catch (error) {
+        logShareDebug('downloadSelectionAsKml: failed to create KMZ', { message: error?.message });
+        setShareLinkFeedback('Unable to create KMZ');
+    }
+}
+
+// One folder per UTM zone, each placemark styled with its zone's grid colour
+function buildSelectionKml(entries) {
+    const zones = new Map();
+    entries
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+            const zone = entry.name.slice(0, 2);
+            if (!zones.has(zone)) zones.set(zone, []);
+            zones.get(zone).push(entry);
+        });
+
+    const styles = [];
+    const folders = [];
+
+    zones.forEach((zoneEntries, zone) => {
+        const styleId = `zone-${zone}`;
+        const color = getGridColor(zone);
+        styles.push(`
+    <Style id="${styleId}">
+      <LineStyle><color>${toKmlColor(color, 1)}</color><width>2</width></LineStyle>
+      <PolyStyle><color>${toKmlColor(color, 0.35)}</color></PolyStyle>
+    </Style>`);
+
+        folders.push(`
+    <Folder>
+      <name>UTM zone ${escapeXml(zone)}</name>
+${zoneEntries.map(entry => buildTileKmlPlacemark(entry, styleId)).join('\n')}
+    </Folder>`);
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Sentinel-2 tiles (${entries.length})</name>${styles.join('')}${folders.join('')}
+  </Document>
+</kml>
+`;
+}
+
+function buildTileKmlPlacemark(entry, styleId) {
+    const feature = entry.feature;
+    const name = entry.name || getGridName(feature);
+    const metadata = getTileMetadataProperties(name);
+
+    const table = getTileDetailRows(feature).map(([label, value]) =>
+        `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value).replace(/\n/g, '<br>')}</td></tr>`
+    ).join('');
+    const extendedData = Object.entries(metadata)
+        .filter(([, value]) => value !== null)
+        .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+
+    return `      <Placemark>
+        <name>${escapeXml(name)}</name>
+        <styleUrl>#${styleId}</styleUrl>
+        <description><![CDATA[<table>${table}</table>]]></description>
+        <ExtendedData>${extendedData}</ExtendedData>
+        ${buildKmlGeometry(splitGeometryAtAntimeridian(feature.geometry))}
+      </Placemark>`;
+}
+
+function buildKmlGeometry(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const toRing = ring => `<LinearRing><coordinates>${ring.map(coord => `${coord[0]},${coord[1]}`).join(' ')}</coordinates></LinearRing>`;
+
+    const kmlPolygons = polygons.map(polygon => {
+        const [outer, ...holes] = polygon;
+        return `<Polygon><tessellate>1</tessellate><outerBoundaryIs>${toRing(outer)}</outerBoundaryIs>${holes.map(hole => `<innerBoundaryIs>${toRing(hole)}</innerBoundaryIs>`).join('')}</Polygon>`;
+    });
+
+    return kmlPolygons.length === 1 ? kmlPolygons[0] : `<MultiGeometry>${kmlPolygons.join('')}</MultiGeometry>`;
+}
+
+// KML colours are aabbggrr hex. Accepts the hsl() colours of getGridColor as
+// well as #rrggbb.
+function toKmlColor(color, opacity = 1) {
+    let rgb = null;
+
+    const hsl = /^hsl\(\s*([\d.]+),\s*([\d.]+)%,\s*([\d.]+)%\s*\)$/i.exec(color);
+    const hex = /^#([0-9a-f]{6})$/i.exec(color);
+
+    if (hsl) {
+        rgb = hslToRgb(Number(hsl[1]), Number(hsl[2]) / 100, Number(hsl[3]) / 100);
+    } else if (hex) {
+        rgb = [0, 2, 4].map(i => parseInt(hex[1].slice(i, i + 2), 16));
+    } else {
+        rgb = [231, 76, 60]; // Default red, as in getGridColor
+    }
+
+    const toHex = value => Math.round(value).toString(16).padStart(2, '0');
+    return `${toHex(opacity * 255)}${toHex(rgb[2])}${toHex(rgb[1])}${toHex(rgb[0])}`;
+}
+
+function hslToRgb(hue, saturation, lightness) {
+    const chroma = (1 - Math.abs((2 * lightness) - 1)) * saturation;
+    const h = ((hue % 360) + 360) % 360 / 60;
+    const x = chroma * (1 - Math.abs((h % 2) - 1));
+    const m = lightness - (chroma / 2);
+
+    const [r, g, b] = h < 1 ? [chroma, x, 0]
+        : h < 2 ? [x, chroma, 0]
+            : h < 3 ? [0, chroma, x]
+                : h < 4 ? [0, x, chroma]
+                    : h < 5 ? [x, 0, chroma]
+                        : [chroma, 0, x];
+
+    return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Sentinel-2 tiles are 109,800 m squares whose upper-left corner sits on the
+// 60 m pixel grid of their UTM zone
+const SENTINEL2_TILE_EXTENT_M = 109800;
+const SENTINEL2_TILE_ORIGIN_GRID_M = 60;
+
+// Zip of GeoJSON files, one per UTM EPSG code, with every selected tile
+// reprojected into its own zone and its origin recorded
+async function downloadSelectionAsUtm() {
+    const selectionEntries = getSelectedEntries();
+    if (selectionEntries.length === 0) {
+        setShareLinkFeedback('Select grids to export first');
+        return;
+    }
+
+    const collections = new Map(); // EPSG code -> features
+    const skipped = [];
+
+    selectionEntries
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+            const feature = buildUtmTileFeature(entry);
+            if (!feature) {
+                skipped.push(entry.name);
+                return;
+            }
+
+            const epsg = feature.properties.epsg;
+            if (!collections.has(epsg)) collections.set(epsg, []);
+            collections.get(epsg).push(feature);
+        });
+
+    if (collections.size === 0) {
+        setShareLinkFeedback('No valid tile IDs to reproject');
+        return;
+    }
+
+    try {
+        const entries = [...collections.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([epsg, features]) => ({
+                name: `sentinel-2-tiles-EPSG${epsg}.geojson`,
+                data: JSON.stringify({
+                    type: 'FeatureCollection',
+                    name: `sentinel-2-tiles-EPSG${epsg}`,
+                    crs: { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${epsg}` } },
+                    features
+                }, null, 2)
+            }));
+
+        const archive = await createZipArchive(entries);
+        triggerDownload(buildSelectionFilename('sentinel-grids-utm', 'zip'), 'application/zip', archive);
+
+        if (skipped.length > 0) {
+            setShareLinkFeedback(`Skipped ${skipped.length} tile${skipped.length === 1 ? '' : 's'} without a valid ID`);
+        }
+    } catch (error) {
+        logShareDebug('downloadSelectionAsUtm: failed to create UTM export', { message: error?.message });
+        setShareLinkFeedback('Unable to create UTM export');
+    }
+}
+
+// The tile's footprint in metres in its own UTM zone, with the origin
+// (upper-left corner) snapped to the 60 m grid
+function buildUtmTileFeature(entry) {
+    const decoded = decodeTileId(entry.name);
+    if (!decoded) return null;
+
+    const { zone, hemisphere, epsg } = decoded;
+    const geometry = entry.feature.geometry;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+    let minEasting = Infinity;
+    let maxNorthing = -Infinity;
+
+    const projected = polygons.map(polygon => polygon.map(ring => ring.map(coord => {
+        const { easting, northing } = projectToTileUtm(coord[1], coord[0], zone, hemisphere);
+        minEasting = Math.min(minEasting, easting);
+        maxNorthing = Math.max(maxNorthing, northing);
+        return [Math.round(easting * 100) / 100, Math.round(northing * 100) / 100];
+    })));
+
+    const originEasting = Math.round(minEasting / SENTINEL2_TILE_ORIGIN_GRID_M) * SENTINEL2_TILE_ORIGIN_GRID_M;
+    const originNorthing = Math.round(maxNorthing / SENTINEL2_TILE_ORIGIN_GRID_M) * SENTINEL2_TILE_ORIGIN_GRID_M;
+
+    return {
+        type: 'Feature',
+        properties: {
+            name: entry.name,
+            epsg,
+            utm_zone: zone,
+            hemisphere,
+            origin_easting: originEasting,
+            origin_northing: originNorthing,
+            extent_m: SENTINEL2_TILE_EXTENT_M,
+            min_easting: originEasting,
+            max_easting: originEasting + SENTINEL2_TILE_EXTENT_M,
+            min_northing: originNorthing - SENTINEL2_TILE_EXTENT_M,
+            max_northing: originNorthing
+        },
+        geometry: projected.length === 1
+            ? { type: 'Polygon', coordinates: projected[0] }
+            : { type: 'MultiPolygon', coordinates: projected }
+    };
+}
+
+// Project into a fixed zone and hemisphere. Points across the equator keep
+// the tile's false northing, so they come out negative or above 10,000 km
+// rather than jumping.
+function projectToTileUtm(lat, lng, zone, hemisphere) {
+    const utm = latLngToUtm(lat, lng, zone);
+    let northing = utm.northing;
+
+    if (utm.hemisphere === 'S' && hemisphere === 'N') {
+        northing -= 10000000;
+    } else if (utm.hemisphere === 'N' && hemisphere === 'S') {
+        northing += 10000000;
+    }
+
+    return { easting: utm.easting, northing };
+}
+
+// Union of the selected tiles as one (Multi)Polygon, with longitudes still
+// unwrapped across the antimeridian, plus its geodesic area
+function buildSelectionFootprint() {
+    const features = getSelectedFeatures();
+    if (features.length === 0) return null;
+
+    const geometry = dissolvePolygons(features);
+    if (!geometry) return null;
+
+    return {
+        geometry,
+        tileCount: features.length,
+        areaKm2: computeGeodesicArea(geometry) / 1e6
+    };
+}
+
+function formatFootprintArea(areaKm2) {
+    return `${areaKm2.toLocaleString(undefined, { maximumFractionDigits: 1 })} km²`;
+}
+
+function downloadSelectionFootprint() {
+    if (selectedGridMap.size === 0) {
+        setShareLinkFeedback('Select grids to export first');
+        return;
+    }
+
+    const footprint = buildSelectionFootprint();
+    if (!footprint) {
+        setShareLinkFeedback('Unable to dissolve the selection');
+        return;
+    }
+
+    const feature = {
+        type: 'Feature',
+        properties: {
+            tile_count: footprint.tileCount,
+            area_km2: Number(footprint.areaKm2.toFixed(3)),
+            tiles: getSelectedNamesSorted()
+        },
+        geometry: splitGeometryAtAntimeridian(footprint.geometry)
+    };
+
+    const filename = buildSelectionFilename('sentinel-2-footprint', 'geojson');
+    triggerDownload(filename, 'application/geo+json', JSON.stringify(feature, null, 2));
+    setShareLinkFeedback(`Footprint: ${formatFootprintArea(footprint.areaKm2)}`);
+}
+
+function toggleFootprintOutline() {
+    footprintVisible = !footprintVisible;
+
+    if (shareShowFootprintButton) {
+        shareShowFootprintButton.textContent = footprintVisible ? 'Hide footprint' : 'Show footprint';
+        shareShowFootprintButton.setAttribute('aria-pressed', footprintVisible ? 'true' : 'false');
+    }
+
+    const footprint = renderFootprintOutline();
+    if (footprint) {
+        setShareLinkFeedback(`Footprint: ${formatFootprintArea(footprint.areaKm2)}`);
+    }
+}
+
+// Redraw the outline for the current selection while it is switched on
+function renderFootprintOutline() {
+    clearFootprintOutline();
+    if (!footprintVisible || !map || selectedGridMap.size === 0) return null;
+
+    const footprint = buildSelectionFootprint();
+    if (!footprint) return null;
+
+    footprintLayer = L.geoJSON({
+        type: 'FeatureCollection',
+        features: withAntimeridianCopies([{ type: 'Feature', properties: {}, geometry: footprint.geometry }])
+    }, {
+        pane: 'footprint-pane',
+        interactive: false,
+        renderer: footprintRenderer,
+        style: {
+            color: '#e4572e',
+            weight: 3,
+            opacity: 1,
+            fill: false
+        }
+    }).addTo(map);
+
+    return footprint;
+}
+
+function clearFootprintOutline() {
+    if (footprintLayer) {
+        map.removeLayer(footprintLayer);
+        footprintLayer = null;
+    }
+}
+
+function escapeCsvValue(value) {
+    const stringValue = value === null || value === undefined ? '' : String(value);
+    if (/[",\n]/.test(stringValue)) {
+        return '"' + stringValue.replace(/"/g, '""') + '"';
+    }
+    return stringValue;
+}
+
+function formatCsvNumber(num) {
+    if (typeof num !== 'number' || Number.isNaN(num)) {
+        return '';
+    }
+    return num.toFixed(6);
+}
+
+function buildSelectionFilename(base, extension) {
+    const timestamp = new Date().toISOString().replace(/[:T]/g, '-').split('.')[0];
+    return `${base}-selection-${timestamp}.${extension}`;
+}
+
+function triggerDownload(filename, mimeType, content) {
+    try {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 2000);
+    } catch (error) {
+        setShareLinkFeedback('Unable to download selection');
+    }
+}
+
+function setupShareLinkUI() {
+    shareLinkContainer = document.getElementById('share-link-container');
+    if (!shareLinkContainer) return;
+
+    shareLinkInput = document.getElementById('share-link-input');
+    shareLinkCopyButton = document.getElementById('share-link-copy');
+    shareLinkFeedback = document.getElementById('share-link-feedback');
+    shareLinkOptionsContainer = document.getElementById('share-link-options');
+    shareDownloadGeoJsonButton = document.getElementById('share-download-geojson');
+    shareDownloadCsvButton = document.getElementById('share-download-csv');
+    shareDownloadKmlButton = document.getElementById('share-download-kml');
+    shareDownloadKmzButton = document.getElementById('share-download-kmz');
+    shareDownloadShapefileButton = document.getElementById('share-download-shapefile');
+    shareDownloadUtmButton = document.getElementById('share-download-utm');
+    shareDownloadFootprintButton = document.getElementById('share-download-footprint');
+    shareShowFootprintButton = document.getElementById('share-show-footprint');
+    shareClearSelectionButton = document.getElementById('share-clear-selection');
+    shareZoomSelectionButton = document.getElementById('share-zoom-selection');
+
+    if (shareLinkCopyButton) {
+        shareLinkCopyButton.addEventListener('click', async function () {
+            if (!shareLinkInput || !shareLinkInput.value) return;
+
+            const supportsClipboard = navigator.clipboard && navigator.clipboard.writeText;
+
+            if (supportsClipboard) {
+                try {
+                    await navigator.clipboard.writeText(shareLinkInput.value);
+                    return;
+                } catch (error) {
+                    // Fall back to manual copy below
+                }
+            }
+
+            shareLinkInput.focus();
+            shareLinkInput.select();
+        });
+    }
+
+    if (shareLinkInput) {
+        shareLinkInput.addEventListener('focus', function () {
+            shareLinkInput.select();
+        });
+    }
+
+    if (shareLinkOptionsContainer) {
+        shareLinkOptionsContainer.addEventListener('click', function (event) {
+            const optionButton = event.target.closest('.share-option');
+            if (!optionButton) return;
+
+            const gridName = optionButton.dataset.grid;
+            if (!gridName) return;
+
+            event.preventDefault();
+            removeGridFromSelection(gridName);
+        });
+
+        shareLinkOptionsContainer.addEventListener('mouseleave', function () {
+            clearHoverHighlight();
+        });
+    }
+
+    if (shareDownloadGeoJsonButton) {
+        shareDownloadGeoJsonButton.addEventListener('click', function () {
+            downloadSelectionAsGeoJSON();
+        });
+    }
+
+    if (shareDownloadCsvButton) {
+        shareDownloadCsvButton.addEventListener('click', function () {
+            downloadSelectionAsCSV();
+        });
+    }
+
+    if (shareDownloadKmlButton) {
+        shareDownloadKmlButton.addEventListener('click', function () {
+            downloadSelectionAsKml();
+        });
+    }
+
+    if (shareDownloadKmzButton) {
+        shareDownloadKmzButton.addEventListener('click', function () {
+            downloadSelectionAsKml({ compressed: true });
+        });
+    }
+
+    if (shareDownloadShapefileButton) {
+        shareDownloadShapefileButton.addEventListener('click', function () {
+            downloadSelectionAsShapefile();
+        });
+    }
+
+    if (shareDownloadUtmButton) {
+        shareDownloadUtmButton.addEventListener('click', function () {
+            downloadSelectionAsUtm();
+        });
+    }
+
+    if (shareDownloadFootprintButton) {
+        shareDownloadFootprintButton.addEventListener('click', function () {
+            downloadSelectionFootprint();
+        });
+    }
+
+    if (shareShowFootprintButton) {
+        shareShowFootprintButton.addEventListener('click', function () {
+            toggleFootprintOutline();
+        });
+    }
+
+    if (shareClearSelectionButton) {
+        shareClearSelectionButton.addEventListener('click', function () {
+            clearSelection({ silent: false });
+        });
+    }
+
+    if (shareZoomSelectionButton) {
+        shareZoomSelectionButton.addEventListener('click', function () {
+            zoomToSelection();
+        });
+    }
+
+    shareTabButtons = Array.from(shareLinkContainer.querySelectorAll('.share-tab'));
+    shareTabButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            setShareTab(button.dataset.tab);
+        });
+    });
+
+    setupShareCodeUI();
+}
+
+function setShareTab(tab) {
+    shareActiveTab = tab === 'code' ? 'code' : 'share';
+
+    shareTabButtons.forEach(button => {
+        const active = button.dataset.tab === shareActiveTab;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+
+    ['share', 'code'].forEach(name => {
+        const panel = document.getElementById(`share-tab-${name}`);
+        if (panel) {
+            panel.classList.toggle('hidden', name !== shareActiveTab);
+        }
+    });
+
+    if (shareActiveTab === 'code') {
+        renderShareCode();
+    }
+}
+
+// Data access snippets for the selected tiles. STAC catalogues differ in how
+// they expose the MGRS tile: Earth Search has grid:code ("MGRS-31UFS"),
+// Planetary Computer has s2:mgrs_tile ("31UFS").
+const CODE_SNIPPET_CATALOGS = {
+    'earth-search': {
+        label: 'Earth Search (AWS)',
+        url: 'https://earth-search.aws.element84.com/v1',
+        collection: 'sentinel-2-l2a',
+        tileProperty: 'grid:code',
+        tilePrefix: 'MGRS-'
+    },
+    'planetary-computer': {
+        label: 'Planetary Computer',
+        url: 'https://planetarycomputer.microsoft.com/api/stac/v1',
+        collection: 'sentinel-2-l2a',
+        tileProperty: 's2:mgrs_tile',
+        tilePrefix: '',
+        signing: true
+    }
+};
+const CODE_SNIPPET_DEFAULT_DAYS = 90;
+
+function setupShareCodeUI() {
+    const catalogSelect = document.getElementById('share-code-catalog');
+    const startInput = document.getElementById('share-code-start');
+    const endInput = document.getElementById('share-code-end');
+    const copyButton = document.getElementById('share-code-copy');
+
+    if (catalogSelect) {
+        catalogSelect.innerHTML = Object.entries(CODE_SNIPPET_CATALOGS)
+            .map(([id, catalog]) => `<option value="${id}">${escapeHtml(catalog.label)}</option>`)
+            .join('');
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (endInput && !endInput.value) {
+        endInput.value = today;
+    }
+    if (startInput && !startInput.value) {
+        startInput.value = addDaysToIsoDate(today, -CODE_SNIPPET_DEFAULT_DAYS);
+    }
+
+    ['share-code-kind', 'share-code-catalog', 'share-code-start', 'share-code-end', 'share-code-cloud'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', renderShareCode);
+            input.addEventListener('change', renderShareCode);
+        }
+    });
+
+    if (copyButton) {
+        copyButton.addEventListener('click', copyShareCode);
+    }
+}
+
+function getShareCodeOptions() {
+    const value = id => document.getElementById(id)?.value || '';
+    const kind = value('share-code-kind') || 'stac';
+    const catalog = CODE_SNIPPET_CATALOGS[value('share-code-catalog')] || Object.values(CODE_SNIPPET_CATALOGS)[0];
+    const start = value('share-code-start');
+    const end = value('share-code-end');
+    const cloud = Number.parseFloat(value('share-code-cloud'));
+    const tiles = getSelectedNamesSorted().map(name => name.toUpperCase());
+
+    let error = null;
+    if (tiles.length === 0) {
+        error = 'Select tiles to generate code';
+    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+        error = 'Enter a start and end date';
+    } else if (start > end) {
+        error = 'The start date is after the end date';
+    } else if (!Number.isFinite(cloud) || cloud < 0 || cloud > 100) {
+        error = 'Cloud cover must be between 0 and 100';
+    }
+
+    return { kind, catalog, start, end, maxCloud: cloud, tiles, error };
+}
+
+function renderShareCode() {
+    const output = document.getElementById('share-code-output');
+    const hint = document.getElementById('share-code-hint');
+    const catalogSelect = document.getElementById('share-code-catalog');
+    const copyButton = document.getElementById('share-code-copy');
+    if (!output) return;
+
+    const options = getShareCodeOptions();
+
+    // Earth Engine and openEO have their own catalogues
+    if (catalogSelect) {
+        catalogSelect.disabled = options.kind === 'gee' || options.kind === 'openeo';
+    }
+
+    let code = '';
+    let hintText = '';
+    if (!options.error) {
+        if (options.kind === 'pystac') {
+            code = buildPystacSnippet(options);
+            hintText = `Needs: pip install pystac-client${options.catalog.signing ? ' planetary-computer' : ''}`;
+        } else if (options.kind === 'gee') {
+            code = buildEarthEngineSnippet(options);
+            hintText = 'Paste into the Earth Engine Code Editor';
+        } else if (options.kind === 'openeo') {
+            code = buildOpenEoSnippet(options);
+            hintText = 'Needs: pip install openeo. Runs on the Copernicus Data Space Ecosystem back-end';
+        } else {
+            code = JSON.stringify(buildStacSearchBody(options), null, 2);
+            hintText = `POST to ${options.catalog.url}/search`;
+        }
+    }
+
+    output.value = code;
+    if (hint) {
+        hint.textContent = options.error || hintText;
+        hint.classList.toggle('error', !!options.error);
+    }
+    if (copyButton) {
+        copyButton.disabled = !code;
+    }
+}
+
+async function copyShareCode() {
+    const output = document.getElementById('share-code-output');
+    if (!output || !output.value) return;
+
+    let copied = false;
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        try {
+            await navigator.clipboard.writeText(output.value);
+            copied = true;
+        } catch (error) {
+            // Fall back to manual copy below
+        }
+    }
+
+    if (!copied) {
+        output.focus();
+        output.select();
+    }
+
+    const feedback = document.getElementById('share-code-feedback');
+    if (!feedback) return;
+
+    feedback.textContent = copied ? 'Copied' : 'Press Ctrl+C to copy';
+    if (shareCodeFeedbackTimer) {
+        clearTimeout(shareCodeFeedbackTimer);
+    }
+    shareCodeFeedbackTimer = setTimeout(() => {
+        feedback.textContent = '';
+        shareCodeFeedbackTimer = null;
+    }, 2000);
+}
+
+// CQL2 filter on the catalogue's tile property and eo:cloud_cover
+function buildStacSearchBody(options) {
+    const { catalog, tiles, start, end, maxCloud } = options;
+    return {
+        collections: [catalog.collection],
+        datetime: `${start}T00:00:00Z/${end}T23:59:59Z`,
+        'filter-lang': 'cql2-json',
+        filter: {
+            op: 'and',
+            args: [
+                { op: 'in', args: [{ property: catalog.tileProperty }, tiles.map(tile => `${catalog.tilePrefix}${tile}`)] },
+                { op: '<=', args: [{ property: 'eo:cloud_cover' }, maxCloud] }
+            ]
+        },
+        limit: 100
+    };
+}
+
+function buildPystacSnippet(options) {
+    const { catalog, tiles, start, end, maxCloud } = options;
+    const tileValues = catalog.tilePrefix
+        ? `[f"${catalog.tilePrefix}{tile}" for tile in TILES]`
+        : 'TILES';
+
+    return [
+        'from pystac_client import Client',
+        ...(catalog.signing ? ['import planetary_computer'] : []),
+        '',
+        `TILES = ${formatCodeStringList(tiles, { quote: '"', trailingComma: true })}`,
+        '',
+        'catalog = Client.open(',
+        `    "${catalog.url}",`,
+        ...(catalog.signing ? ['    modifier=planetary_computer.sign_inplace,'] : []),
+        ')',
+        'search = catalog.search(',
+        `    collections=["${catalog.collection}"],`,
+        `    datetime="${start}/${end}",`,
+        '    filter={',
+        '        "op": "and",',
+        '        "args": [',
+        `            {"op": "in", "args": [{"property": "${catalog.tileProperty}"}, ${tileValues}]},`,
+        `            {"op": "<=", "args": [{"property": "eo:cloud_cover"}, ${maxCloud}]},`,
+        '        ],',
+        '    },',
+        '    filter_lang="cql2-json",',
+        ')',
+        '',
+        'items = search.item_collection()',
+        'print(f"{len(items)} scenes")',
+        'for item in items:',
+        '    print(item.id, item.datetime.date(), item.properties.get("eo:cloud_cover"))',
+        ''
+    ].join('\n');
+}
+
+// filterDate() excludes its end date, so the range runs to the day after
+function buildEarthEngineSnippet(options) {
+    const { tiles, start, end, maxCloud } = options;
+    return [
+        `var tiles = ${formatCodeStringList(tiles, { quote: '\'' })};`,
+        '',
+        'var collection = ee.ImageCollection(\'COPERNICUS/S2_SR_HARMONIZED\')',
+        `    .filterDate('${start}', '${addDaysToIsoDate(end, 1)}')`,
+        '    .filter(ee.Filter.inList(\'MGRS_TILE\', tiles))',
+        `    .filter(ee.Filter.lte('CLOUDY_PIXEL_PERCENTAGE', ${maxCloud}));`,
+        '',
+        'print(\'Scenes\', collection.size());',
+        'Map.addLayer(collection.median(), {bands: [\'B4\', \'B3\', \'B2\'], min: 0, max: 3000}, \'Median RGB\');',
+        ''
+    ].join('\n');
+}
+
+// The tileId property filter does the real work; the spatial extent only
+// narrows the back-end's search
+function buildOpenEoSnippet(options) {
+    const { tiles, start, end, maxCloud } = options;
+    const bounds = getSelectionLngLatExtent();
+    const extent = bounds
+        ? `{"west": ${bounds.west}, "south": ${bounds.south}, "east": ${bounds.east}, "north": ${bounds.north}}`
+        : 'None';
+
+    return [
+        'import openeo',
+        '',
+        `TILES = ${formatCodeStringList(tiles, { quote: '"', trailingComma: true })}`,
+        '',
+        'connection = openeo.connect("openeo.dataspace.copernicus.eu").authenticate_oidc()',
+        'cube = connection.load_collection(',
+        '    "SENTINEL2_L2A",',
+        `    spatial_extent=${extent},`,
+        `    temporal_extent=["${start}", "${addDaysToIsoDate(end, 1)}"],`,
+        '    bands=["B02", "B03", "B04", "B08"],',
+        `    max_cloud_cover=${maxCloud},`,
+        '    properties={"tileId": lambda tile_id: openeo.processes.array_contains(TILES, tile_id)},',
+        ')',
+        'cube.execute_batch(outputfile="sentinel-2.nc")',
+        ''
+    ].join('\n');
+}
+
+// Bounding box of the selection rounded outwards to 4 decimals. West is
+// greater than east when the selection crosses the antimeridian.
+function getSelectionLngLatExtent() {
+    let minLat = Infinity, maxLat = -Infinity;
+    let minLng = Infinity, maxLng = -Infinity;
+
+    getSelectedFeatures().forEach(feature => {
+        const bbox = getGeometryBoundingBox(feature.geometry);
+        if (!bbox) return;
+        minLat = Math.min(minLat, bbox.minLat);
+        maxLat = Math.max(maxLat, bbox.maxLat);
+        minLng = Math.min(minLng, bbox.minLng);
+        maxLng = Math.max(maxLng, bbox.maxLng);
+    });
+
+    if (!Number.isFinite(minLat) || !Number.isFinite(minLng)) return null;
+
+    const floor = value => Math.floor(value * 1e4) / 1e4;
+    const ceil = value => Math.ceil(value * 1e4) / 1e4;
+    const wrap = lng => (lng >= -180 && lng <= 180 ? lng : wrapLongitude(lng));
+    const spansWorld = maxLng - minLng >= 360;
+
+    return {
+        west: spansWorld ? -180 : floor(wrap(minLng)),
+        south: floor(minLat),
+        east: spansWorld ? 180 : ceil(wrap(maxLng)),
+        north: ceil(maxLat)
+    };
+}
+
+// Quoted list literal, wrapped eight names to a line once it gets long
+function formatCodeStringList(values, options = {}) {
+    const { quote = '"', trailingComma = false } = options;
+    const quoted = values.map(value => `${quote}${value}${quote}`);
+
+    if (quoted.length <= 8) {
+        return `[${quoted.join(', ')}]`;
+    }
+
+    const lines = [];
+    for (let i = 0; i < quoted.length; i += 8) {
+        lines.push(`    ${quoted.slice(i, i + 8).join(', ')}`);
+    }
+    return `[\n${lines.join(',\n')}${trailingComma ? ',' : ''}\n]`;
+}
+
+function addDaysToIsoDate(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function showShareLink(selectionEntries, shareUrl, options = {}) {
+    if (!shareLinkContainer) return;
+
+    const { focusShareLink = true } = options;
+
+    shareLinkContainer.classList.remove('hidden');
+
+    const count = selectionEntries.length;
+    const primaryName = count === 1 ? selectionEntries[0].name : null;
+
+    if (shareLinkInput) {
+        shareLinkInput.value = shareUrl;
+        const ariaLabel = count === 1
+            ? `Shareable link for grid ${primaryName}`
+            : `Shareable link for ${count} grids`;
+        shareLinkInput.setAttribute('aria-label', ariaLabel);
+    }
+
+    updateShareLinkOptions(selectionEntries);
+
+    if (shareActiveTab === 'code') {
+        renderShareCode();
+    }
+
+    if (!focusShareLink) {
+        return;
+    }
+
+    if (count > 1 && shareLinkOptionsContainer) {
+        const firstOption = shareLinkOptionsContainer.querySelector('.share-option');
+        if (firstOption) {
+            firstOption.focus();
+            return;
+        }
+    }
+
+    if (shareLinkInput) {
+        shareLinkInput.focus();
+        shareLinkInput.select();
+    }
+}
+
+function updateShareLinkOptions(selectionEntries) {
+    if (!shareLinkOptionsContainer) return;
+
+    if (!Array.isArray(selectionEntries) || selectionEntries.length === 0) {
+        shareLinkOptionsContainer.innerHTML = '';
+        shareLinkOptionsContainer.classList.add('hidden');
+        return;
+    }
+
+    shareLinkOptionsContainer.classList.remove('hidden');
+
+    const sortedEntries = [...selectionEntries].sort((a, b) => a.name.localeCompare(b.name));
+
+    const optionsHtml = sortedEntries.map(entry => {
+        const upper = entry.name.toUpperCase();
+        return `
+            <button type="button" class="share-option active" data-grid="${upper}" aria-label="Remove grid ${entry.name}">
+                <span class="share-option-name">${entry.name}</span>
+            </button>
+        `;
+    }).join('');
+
+    shareLinkOptionsContainer.innerHTML = optionsHtml;
+
+    shareLinkOptionsContainer.querySelectorAll('.share-option').forEach(button => {
+        button.addEventListener('mouseenter', function () {
+            const gridName = this.dataset.grid;
+            if (gridName) {
+                showHoverHighlight(gridName);
+            }
+        });
+
+        button.addEventListener('mouseleave', function () {
+            clearHoverHighlight();
+        });
+    });
+}
 
-function showHoverHighlight(gridName) {
-    if (!map || !gridName) return;
+function hideShareLink() {
+    if (shareLinkContainer) {
+        shareLinkContainer.classList.add('hidden');
+    }
 
-    const entry = selectedGridMap.get(gridName.toUpperCase());
-    if (!entry || !entry.feature) return;
+    if (shareLinkFeedback) {
+        shareLinkFeedback.textContent = '';
+    }
 
-    clearHoverHighlight();
+    if (shareLinkFeedbackTimer) {
+        clearTimeout(shareLinkFeedbackTimer);
+        shareLinkFeedbackTimer = null;
+    }
+}
+
+function setShareLinkFeedback(message) {
+    if (!shareLinkFeedback) return;
+
+    shareLinkFeedback.textContent = message;
+
+    if (shareLinkFeedbackTimer) {
+        clearTimeout(shareLinkFeedbackTimer);
+    }
+
+    if (!message) {
+        shareLinkFeedbackTimer = null;
+        return;
+    }
+
+    shareLinkFeedbackTimer = setTimeout(() => {
+        if (shareLinkFeedback) {
+            shareLinkFeedback.textContent = '';
+        }
+    }, 3000);
+}
+
+// Tile details panel
+function setupTileDetailsUI() {
+    tileDetailsContainer = document.getElementById('tile-details');
+    if (!tileDetailsContainer) return;
+
+    const closeButton = document.getElementById('tile-details-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', function () {
+            hideTileDetails();
+        });
+    }
+
+    tileDetailsContainer.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') {
+            hideTileDetails();
+        }
+    });
+
+    tileDetailsContainer.addEventListener('click', function (event) {
+        const actionButton = event.target.closest('[data-tile-action]');
+        if (!actionButton || !tileDetailsFeature) return;
+
+        const action = actionButton.dataset.tileAction;
+
+        if (action === 'toggle-selection') {
+            toggleTileDetailsSelection();
+        } else if (action === 'zoom') {
+            zoomToTileDetails();
+        } else if (action === 'copy-link') {
+            copyTileDetailsLink();
+        } else if (action === 'neighbour') {
+            const neighbour = searchIndex.find(item => item.name === actionButton.dataset.grid);
+            if (neighbour) {
+                showTileDetails(neighbour.feature);
+            }
+        }
+    });
+}
+
+function showTileDetails(feature) {
+    if (!tileDetailsContainer || !feature) return;
+
+    tileDetailsFeature = feature;
+    renderTileDetails();
+    showTileDetailsOutline(feature);
+    tileDetailsContainer.classList.remove('hidden');
+}
+
+function hideTileDetails() {
+    tileDetailsFeature = null;
+    clearTileDetailsOutline();
+    if (tileDetailsContainer) {
+        tileDetailsContainer.classList.add('hidden');
+    }
+}
+
+function renderTileDetails() {
+    const title = document.getElementById('tile-details-title');
+    const body = document.getElementById('tile-details-body');
+    const extras = document.getElementById('tile-details-extras');
+    if (!title || !body || !extras || !tileDetailsFeature) return;
+
+    const feature = tileDetailsFeature;
+    const name = getGridName(feature);
+    const upper = name.toUpperCase();
+    const isSelected = selectedGridMap.has(upper);
+
+    title.textContent = name;
+    body.innerHTML = '';
+
+    getTileDetailRows(feature).forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.textContent = value;
+        body.appendChild(term);
+        body.appendChild(description);
+    });
+
+    const neighbours = findNeighbourTiles(feature);
+    const neighbourCells = ['NW', 'N', 'NE', 'W', null, 'E', 'SW', 'S', 'SE'].map(key => {
+        if (key === null) {
+            return `<span class="tile-neighbour current">${name}</span>`;
+        }
 
-    hoverHighlightLayer = L.geoJSON(entry.feature, {
+        const neighbour = neighbours[key];
+        if (!neighbour) {
+            return `<span class="tile-neighbour empty" title="${key}: no tile">&ndash;</span>`;
+        }
+
+        const neighbourName = getGridName(neighbour);
+        const selectedClass = selectedGridMap.has(neighbourName.toUpperCase()) ? ' selected' : '';
+        return `<button type="button" class="tile-neighbour${selectedClass}" data-tile-action="neighbour" data-grid="${neighbourName.toUpperCase()}" title="${key}: ${neighbourName}">${neighbourName}</button>`;
+    }).join('');
+
+    extras.innerHTML = `
+        <div class="tile-details-section-title">Neighbouring tiles</div>
+        <div class="tile-neighbours">${neighbourCells}</div>
+        <div class="tile-details-section-title">Share link</div>
+        <div class="tile-details-link-row">
+            <input id="tile-details-link" type="text" readonly aria-label="Shareable link for grid ${name}">
+            <button type="button" data-tile-action="copy-link">Copy</button>
+        </div>
+        <div class="tile-details-actions">
+            <button type="button" data-tile-action="toggle-selection" class="${isSelected ? 'danger' : ''}">${isSelected ? 'Remove from selection' : 'Add to selection'}</button>
+            <button type="button" data-tile-action="zoom">Zoom to tile</button>
+        </div>
+    `;
+
+    const linkInput = document.getElementById('tile-details-link');
+    if (linkInput) {
+        linkInput.value = buildShareUrl([name]);
+        linkInput.addEventListener('focus', function () {
+            linkInput.select();
+        });
+    }
+}
+
+// Label/value rows describing a tile, shared by the details panel and exports
+function getTileDetailRows(feature) {
+    const name = getGridName(feature);
+    const decoded = decodeTileId(name);
+    const centroid = getPolygonCentroid(feature.geometry);
+    const bbox = getGeometryBoundingBox(feature.geometry);
+    const areaKm2 = computeGeodesicArea(feature.geometry) / 1e6;
+    const rows = [];
+
+    if (centroid) {
+        rows.push(['Centroid', `${centroid.lat.toFixed(5)}, ${wrapLongitude(centroid.lng).toFixed(5)}`]);
+    }
+
+    if (bbox) {
+        rows.push(['Bounds', `N ${bbox.maxLat.toFixed(4)}, S ${bbox.minLat.toFixed(4)}\n` +
+            `W ${wrapLongitude(bbox.minLng).toFixed(4)}, E ${wrapLongitude(bbox.maxLng).toFixed(4)}`]);
+    }
+
+    rows.push(['Area', `${areaKm2.toLocaleString(undefined, { maximumFractionDigits: 1 })} km²`]);
+
+    if (decoded) {
+        rows.push(
+            ['UTM zone', `${decoded.zoneLabel}${decoded.hemisphere}`],
+            ['Hemisphere', decoded.hemisphere === 'N' ? 'Northern' : 'Southern'],
+            ['Latitude band', decoded.band],
+            ['100 km square', `${decoded.square} (column ${decoded.column}, row ${decoded.row})`],
+            ['EPSG', `${decoded.epsg} (WGS 84 / UTM zone ${decoded.zone}${decoded.hemisphere})`]
+        );
+    } else {
+        rows.push(['Tile ID', 'Not a valid MGRS tile ID']);
+    }
+
+    const orbits = getTileRelativeOrbits(feature);
+    if (orbits) {
+        rows.push([getRelativeOrbitLabel(), orbits.length > 0 ? orbits.map(formatRelativeOrbit).join(', ') : 'None']);
+    }
+
+    return rows;
+}
+
+function toggleTileDetailsSelection() {
+    if (!tileDetailsFeature) return;
+
+    const upper = getGridName(tileDetailsFeature).toUpperCase();
+    if (selectedGridMap.has(upper)) {
+        removeGridFromSelection(upper);
+    } else {
+        updateSelection([tileDetailsFeature], {
+            replace: false,
+            centerMap: false,
+            flash: true,
+            focusShareLink: false
+        });
+    }
+}
+
+function zoomToTileDetails() {
+    if (!map || !tileDetailsFeature) return;
+
+    const bounds = computeBoundsForFeatures([tileDetailsFeature]);
+    if (bounds && bounds.isValid()) {
+        map.fitBounds(bounds, { padding: [80, 80] });
+    }
+}
+
+async function copyTileDetailsLink() {
+    const linkInput = document.getElementById('tile-details-link');
+    if (!linkInput || !linkInput.value) return;
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        try {
+            await navigator.clipboard.writeText(linkInput.value);
+            return;
+        } catch (error) {
+            // Fall back to manual copy below
+        }
+    }
+
+    linkInput.focus();
+    linkInput.select();
+}
+
+function showTileDetailsOutline(feature) {
+    clearTileDetailsOutline();
+    if (!map || !feature) return;
+
+    tileDetailsLayer = L.geoJSON({
+        type: 'FeatureCollection',
+        features: withAntimeridianCopies([feature])
+    }, {
         pane: 'highlight-pane',
         interactive: false,
-        className: 'selection-hover',
         style: {
-            color: '#ff4d4f',
-            weight: 1.5,
-            opacity: 0.9,
-            fillOpacity: 0.35,
-            fillColor: '#ff4d4f'
+            color: '#00b3ff',
+            weight: 3,
+            opacity: 1,
+            dashArray: '6 4',
+            fillOpacity: 0.08,
+            fillColor: '#00b3ff'
         }
     }).addTo(map);
+}
 
-    if (hoverHighlightLayer) {
-        if (typeof hoverHighlightLayer.bringToFront === 'function') {
-            hoverHighlightLayer.bringToFront();
-        } else if (typeof hoverHighlightLayer.eachLayer === 'function') {
-            hoverHighlightLayer.eachLayer(layer => {
-                if (layer && typeof layer.bringToFront === 'function') {
-                    layer.bringToFront();
-                }
-            });
+function clearTileDetailsOutline() {
+    if (tileDetailsLayer) {
+        map.removeLayer(tileDetailsLayer);
+        tileDetailsLayer = null;
+    }
+}
+
+// Bulk paste dialog
+function setupBulkPasteUI() {
+    const container = document.getElementById('bulk-paste');
+    if (!container) return;
+
+    const openButton = document.getElementById('bulk-paste-open');
+    const closeButton = document.getElementById('bulk-paste-close');
+    const applyButton = document.getElementById('bulk-paste-apply');
+    const input = document.getElementById('bulk-paste-input');
+    const report = document.getElementById('bulk-paste-report');
+    const searchInput = document.getElementById('grid-search');
+
+    if (openButton) {
+        openButton.addEventListener('click', function () {
+            openBulkPaste();
+        });
+    }
+
+    if (closeButton) {
+        closeButton.addEventListener('click', closeBulkPaste);
+    }
+
+    // Clicking the backdrop closes the dialog
+    container.addEventListener('click', function (event) {
+        if (event.target === container) {
+            closeBulkPaste();
+        }
+    });
+
+    container.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') {
+            closeBulkPaste();
+        } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            applyBulkPaste();
         }
+    });
+
+    if (applyButton) {
+        applyButton.addEventListener('click', applyBulkPaste);
+    }
+
+    if (input && report) {
+        input.addEventListener('input', function () {
+            report.innerHTML = '';
+        });
+    }
+
+    if (report) {
+        report.addEventListener('click', function (event) {
+            const suggestion = event.target.closest('.bulk-paste-suggestion');
+            if (!suggestion) return;
+
+            const item = searchIndex.find(entry => entry.name === suggestion.dataset.grid);
+            if (!item) return;
+
+            updateSelection([item.feature], {
+                replace: false,
+                centerMap: false,
+                flash: true,
+                focusShareLink: false,
+                debugSource: 'bulk-paste-suggestion'
+            });
+
+            const row = suggestion.closest('li');
+            if (row) {
+                row.classList.add('resolved');
+                row.querySelectorAll('.bulk-paste-suggestion').forEach(button => button.remove());
+                row.insertAdjacentHTML('beforeend', `<span class="bulk-paste-no-suggestion">added ${escapeHtml(item.originalName)}</span>`);
+            }
+        });
+    }
+
+    // Pasting a list into the search box opens the dialog with it
+    if (searchInput) {
+        searchInput.addEventListener('paste', function (event) {
+            const text = event.clipboardData?.getData('text') || '';
+            if (tokeniseTileList(text).candidates.filter(candidate => !candidate.nearMiss).length < 2) return;
+
+            event.preventDefault();
+            openBulkPaste(text);
+        });
     }
 }
 
-function clearHoverHighlight() {
-    if (hoverHighlightLayer) {
-        map.removeLayer(hoverHighlightLayer);
-        hoverHighlightLayer = null;
+function openBulkPaste(text = null) {
+    const container = document.getElementById('bulk-paste');
+    const input = document.getElementById('bulk-paste-input');
+    const report = document.getElementById('bulk-paste-report');
+    if (!container || !input) return;
+
+    if (text !== null) {
+        input.value = text;
+    }
+    if (report) {
+        report.innerHTML = '';
     }
+
+    hideSearchResults();
+    container.classList.remove('hidden');
+    input.focus();
 }
 
-// Clear grid highlight
-function clearHighlight() {
-    if (highlightLayer) {
-        map.removeLayer(highlightLayer);
-        highlightLayer = null;
+function closeBulkPaste() {
+    const container = document.getElementById('bulk-paste');
+    if (container) {
+        container.classList.add('hidden');
     }
+}
 
-    highlightHaloLayer = null;
-    highlightCoreLayer = null;
-    activeHighlightMode = null;
+// Letter suffixes of ordinary numbers ("15km", "2nd", "4pm") that would
+// otherwise look like a tile ID with a letter missing or added
+const TILE_NEAR_MISS_SUFFIXES = new Set([
+    'KM', 'CM', 'MM', 'MI', 'FT', 'KG', 'LB', 'KB', 'MB', 'GB', 'TB', 'HZ',
+    'ST', 'ND', 'RD', 'TH', 'AM', 'PM', 'HR', 'HRS', 'MIN', 'SEC', 'KMH', 'MPH'
+]);
+
+// One edit away from a tile ID: a valid zone and latitude band with a square
+// letter missing or added (31UD, 31UDQQ), or an extra zone digit (311UDQ)
+function isTileNameNearMiss(name) {
+    const match = /^(\d{2})(\d?)([A-Z]+)$/.exec(name);
+    if (!match) return false;
+
+    const [, zone, extraDigit, letters] = match;
+    const expectedLength = extraDigit ? [3] : [2, 4];
+    return Number(zone) >= 1 && Number(zone) <= 60 &&
+        expectedLength.includes(letters.length) &&
+        /^[C-HJ-NP-X]/.test(letters) &&
+        !TILE_NEAR_MISS_SUFFIXES.has(letters);
+}
 
-    clearHoverHighlight();
+// Split free text into tile-ID-like tokens and wildcard patterns. Near-misses
+// of a tile ID (see isTileNameNearMiss) are kept as nearMiss candidates so
+// they are reported as unknown. Anything else (words, dates, numbers, 15km)
+// is counted as ignored.
+function tokeniseTileList(text) {
+    const candidates = [];
+    let ignoredCount = 0;
+
+    const addToken = token => {
+        if (!token) return;
+
+        const normalised = normaliseSearchQuery(token);
+        if (/^\d{2}[A-Z]{3}$/.test(normalised)) {
+            candidates.push({ token, name: normalised });
+        } else if (isTileNameNearMiss(normalised)) {
+            candidates.push({ token, name: normalised, nearMiss: true });
+        } else {
+            ignoredCount++;
+        }
+    };
+
+    String(text || '').split(/[\s,;"'`|]+/).forEach(piece => {
+        if (!piece) return;
+
+        if (isTilePattern(piece)) {
+            const parsed = parseTilePattern(piece);
+            if (parsed) {
+                candidates.push({ token: piece, name: parsed.text, pattern: parsed });
+            } else {
+                ignoredCount++;
+            }
+            return;
+        }
+
+        // A hyphenated ID such as 31-UDQ is one token, not two
+        const trimmed = piece.replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g, '');
+        const joined = normaliseSearchQuery(trimmed);
+        if (/^[A-Za-z0-9]+(-[A-Za-z0-9]+)+$/.test(trimmed) &&
+            (/^\d{2}[A-Z]{3}$/.test(joined) || isTileNameNearMiss(joined))) {
+            addToken(trimmed);
+            return;
+        }
+
+        piece.split(/[^A-Za-z0-9]+/).forEach(addToken);
+    });
+
+    return { candidates, ignoredCount };
 }
 
-function refreshHighlightForCurrentZoom() {
-    if (!map) {
+// Look up tokenised IDs and patterns in the catalogue, loading the chunks
+// they need. Returns the matched search items and the tokens that matched
+// nothing.
+async function resolveTileCandidates(candidates) {
+    const uniqueNames = [...new Set(candidates.filter(candidate => !candidate.pattern).map(candidate => candidate.name))];
+    const patterns = candidates.filter(candidate => candidate.pattern);
+    await loadGridChunks([
+        ...getGridChunkIdsForNames(uniqueNames),
+        ...patterns.flatMap(candidate => getGridChunkIdsForPattern(candidate.pattern))
+    ]);
+
+    const itemsByName = new Map(searchIndex.map(item => [item.name, item]));
+    const matchedByName = new Map();
+    const unknown = [];
+
+    uniqueNames.forEach(name => {
+        const item = itemsByName.get(name);
+        if (item) {
+            matchedByName.set(name, item);
+        } else {
+            unknown.push(candidates.find(candidate => candidate.name === name).token);
+        }
+    });
+
+    // Patterns expand to every tile they match
+    patterns.forEach(candidate => {
+        const items = findTilesMatchingPattern(candidate.pattern);
+        if (items.length === 0) {
+            unknown.push(candidate.token);
+        }
+        items.forEach(item => matchedByName.set(item.name, item));
+    });
+
+    return {
+        matched: [...matchedByName.values()],
+        unknown,
+        uniqueNames,
+        patterns,
+        itemsByName
+    };
+}
+
+async function applyBulkPaste() {
+    const input = document.getElementById('bulk-paste-input');
+    const report = document.getElementById('bulk-paste-report');
+    if (!input || !report) return;
+
+    const { candidates, ignoredCount } = tokeniseTileList(input.value);
+    if (candidates.length === 0) {
+        report.innerHTML = '<div class="bulk-paste-summary">No tile IDs found in the pasted text.</div>';
         return;
     }
 
-    if (selectedGridMap.size === 0) {
-        clearHighlight();
+    report.innerHTML = '<div class="bulk-paste-summary">Looking up tiles…</div>';
+    const { matched, unknown, uniqueNames, patterns, itemsByName } = await resolveTileCandidates(candidates);
+
+    const mode = document.querySelector('input[name="bulk-paste-mode"]:checked')?.value || 'add';
+
+    logShareDebug('applyBulkPaste: tokens matched', {
+        tokenCount: candidates.length,
+        matchedCount: matched.length,
+        unknownCount: unknown.length,
+        ignoredCount,
+        mode
+    });
+
+    if (matched.length > 0 && mode === 'remove') {
+        removeGridsFromSelection(matched.map(item => item.name));
+    } else if (matched.length > 0) {
+        const features = matched.map(item => item.feature);
+        updateSelection(features, {
+            replace: mode === 'replace',
+            centerMap: false,
+            flash: true,
+            focusShareLink: false,
+            debugSource: 'bulk-paste'
+        });
+
+        const bounds = computeBoundsForFeatures(features);
+        if (bounds && bounds.isValid()) {
+            map.fitBounds(bounds, { padding: [80, 80] });
+        }
+    }
+
+    if (unknown.length === 0) {
+        closeBulkPaste();
         return;
     }
 
-    if (highlightLayer && activeHighlightMode === 'polygons') {
-        if (typeof highlightLayer.eachLayer === 'function') {
-            highlightLayer.eachLayer(layer => {
-                if (layer && typeof layer.bringToFront === 'function') {
-                    layer.bringToFront();
-                }
-            });
+    const duplicateCount = candidates.length - uniqueNames.length - patterns.length;
+    const summary = [`${mode === 'remove' ? 'Removed' : 'Selected'} ${matched.length} tile${matched.length === 1 ? '' : 's'}.`];
+    if (duplicateCount > 0) {
+        summary.push(`${duplicateCount} duplicate${duplicateCount === 1 ? '' : 's'} skipped.`);
+    }
+    if (ignoredCount > 0) {
+        summary.push(`${ignoredCount} other word${ignoredCount === 1 ? '' : 's'} ignored.`);
+    }
+    summary.push(`${unknown.length} not recognised:`);
+
+    // Typos in the zone digits point at zones that may not be loaded yet
+    const unknownNames = unknown.filter(token => !isTilePattern(token)).map(token => normaliseSearchQuery(token));
+    await loadGridChunks(getGridChunkIdsNearNames(unknownNames));
+    searchIndex.forEach(item => {
+        if (!itemsByName.has(item.name)) {
+            itemsByName.set(item.name, item);
         }
-        return;
+    });
+
+    const rows = unknown.map(token => {
+        const suggestions = isTilePattern(token) ? [] : suggestTileNames(normaliseSearchQuery(token), itemsByName);
+        const suggestionHtml = suggestions.length > 0
+            ? `<span class="bulk-paste-no-suggestion">did you mean</span> ${suggestions.map(item =>
+                `<button type="button" class="bulk-paste-suggestion" data-grid="${item.name}">${escapeHtml(item.originalName)}</button>`
+            ).join(' ')}`
+            : `<span class="bulk-paste-no-suggestion">${isTilePattern(token) ? 'matches no tiles' : 'no similar tiles'}</span>`;
+
+        return `<li><code>${escapeHtml(token)}</code> ${suggestionHtml}</li>`;
+    }).join('');
+
+    report.innerHTML = `
+        <div class="bulk-paste-summary">${summary.join(' ')}</div>
+        <ul class="bulk-paste-unknown">${rows}</ul>
+    `;
+}
+
+// Chunks whose zone is at most one edit away from the zone of each name
+function getGridChunkIdsNearNames(names) {
+    if (!gridChunkState.manifest || !Array.isArray(names)) {
+        return [];
     }
 
-    const features = getSelectedFeatures();
-    if (features.length === 0) {
-        clearHighlight();
-        return;
+    return gridChunkState.manifest.chunks.filter(chunk => {
+        const prefix = String(chunk.prefix || '').toUpperCase();
+        return prefix && names.some(name => getEditDistance(prefix, name.slice(0, prefix.length)) <= 1);
+    }).map(chunk => chunk.id);
+}
+
+// Closest loaded tile names, at most two edits away
+function suggestTileNames(name, itemsByName, limit = 3) {
+    const suggestions = [];
+
+    itemsByName.forEach(item => {
+        if (Math.abs(item.name.length - name.length) > 1) return;
+        const distance = getEditDistance(name, item.name);
+        if (distance <= 2) {
+            suggestions.push({ item, distance });
+        }
+    });
+
+    suggestions.sort((a, b) => (a.distance - b.distance) || a.item.name.localeCompare(b.item.name));
+    return suggestions.slice(0, limit).map(entry => entry.item);
+}
+
+// Saved selections: named tile sets kept in localStorage, with export and
+// import of the whole library as one JSON file
+const SAVED_SELECTIONS_KEY = 's2-explorer-saved-selections';
+const SAVED_SELECTIONS_FORMAT = 'sentinel-2-saved-selections';
+
+function getSavedSelections() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(SAVED_SELECTIONS_KEY));
+        return Array.isArray(stored?.selections) ? stored.selections.filter(isValidSavedSelection) : [];
+    } catch (error) {
+        return [];
     }
+}
 
-    highlightGrids(features, { flash: false });
+function storeSavedSelections(selections) {
+    try {
+        window.localStorage.setItem(SAVED_SELECTIONS_KEY, JSON.stringify({ version: 1, selections }));
+        return true;
+    } catch (error) {
+        return false; // Storage unavailable (private browsing or quota)
+    }
 }
 
-function processGridClick(feature, event, overrideOptions = {}) {
-    if (!feature) return;
+function isValidSavedSelection(item) {
+    return !!item &&
+        typeof item.id === 'string' &&
+        typeof item.name === 'string' &&
+        Array.isArray(item.tiles) &&
+        item.tiles.every(name => typeof name === 'string');
+}
 
-    if (suppressNextGridClick) {
-        suppressNextGridClick = false;
-        if (suppressNextGridClickTimer) {
-            clearTimeout(suppressNextGridClickTimer);
-            suppressNextGridClickTimer = null;
-        }
-        return;
-    }
+function createSavedSelectionId() {
+    return `sel-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
-    const latlng = event?.latlng || null;
-    const candidates = latlng
-        ? findGridCandidatesAtLatLng(latlng)
-        : [];
+// Append " (2)", " (3)"... until the name is not taken
+function getUniqueSavedSelectionName(name, selections) {
+    const taken = new Set(selections.map(item => item.name.toLowerCase()));
+    if (!taken.has(name.toLowerCase())) return name;
 
-    if (!candidates.some(candidate => candidate === feature)) {
-        candidates.unshift(feature);
+    let counter = 2;
+    while (taken.has(`${name} (${counter})`.toLowerCase())) {
+        counter++;
     }
+    return `${name} (${counter})`;
+}
 
-    const uniqueCandidates = dedupeFeaturesByName(candidates);
-    if (uniqueCandidates.length === 0) {
-        return;
-    }
+function setupSavedSelectionsUI() {
+    const container = document.getElementById('saved-selections');
+    if (!container) return;
+
+    const openButton = document.getElementById('saved-selections-open');
+    const shareSaveButton = document.getElementById('share-save-selection');
+    const closeButton = document.getElementById('saved-selections-close');
+    const form = document.getElementById('saved-selections-form');
+    const list = document.getElementById('saved-selections-list');
+    const exportButton = document.getElementById('saved-selections-export');
+    const importButton = document.getElementById('saved-selections-import');
+    const importInput = document.getElementById('saved-selections-import-input');
+
+    [openButton, shareSaveButton].forEach(button => {
+        if (button) {
+            button.addEventListener('click', function () {
+                openSavedSelections();
+            });
+        }
+    });
 
-    const selectionSizeBeforeToggle = selectedGridMap.size;
-    const namesToRemove = [];
-    const featuresToAdd = [];
+    if (closeButton) {
+        closeButton.addEventListener('click', closeSavedSelections);
+    }
 
-    uniqueCandidates.forEach(candidate => {
-        const name = getGridName(candidate);
-        if (!name) {
-            return;
+    // Clicking the backdrop closes the dialog
+    container.addEventListener('click', function (event) {
+        if (event.target === container) {
+            closeSavedSelections();
         }
+    });
 
-        const upper = name.toUpperCase();
-        if (selectedGridMap.has(upper)) {
-            namesToRemove.push(upper);
-        } else {
-            featuresToAdd.push({ feature: candidate, name, upper });
+    container.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') {
+            closeSavedSelections();
         }
     });
 
-    if (namesToRemove.length === 0 && featuresToAdd.length === 0) {
-        return;
+    if (form) {
+        form.addEventListener('submit', function (event) {
+            event.preventDefault();
+            saveCurrentSelection();
+        });
     }
 
-    let mutated = false;
+    if (list) {
+        list.addEventListener('click', function (event) {
+            const button = event.target.closest('[data-saved-action]');
+            if (!button) return;
 
-    if (namesToRemove.length > 0) {
-        namesToRemove.forEach(upper => {
-            if (selectedGridMap.has(upper)) {
-                selectedGridMap.delete(upper);
-                mutated = true;
-            }
+            const id = button.closest('[data-id]')?.dataset.id;
+            handleSavedSelectionAction(button.dataset.savedAction, id, button);
         });
-    }
 
-    if (featuresToAdd.length > 0) {
-        featuresToAdd.forEach(entry => {
-            if (selectedGridMap.has(entry.upper)) {
-                return;
+        list.addEventListener('keydown', function (event) {
+            if (event.key === 'Enter' && event.target.closest('.saved-selection-edit')) {
+                event.preventDefault();
+                const id = event.target.closest('[data-id]')?.dataset.id;
+                handleSavedSelectionAction('commit-rename', id);
             }
-            const centroid = getPolygonCentroid(entry.feature.geometry);
-            selectedGridMap.set(entry.upper, {
-                feature: entry.feature,
-                name: entry.name,
-                centroid
-            });
-            mutated = true;
         });
     }
 
-    if (!mutated) {
-        return;
+    if (exportButton) {
+        exportButton.addEventListener('click', exportSavedSelections);
     }
 
-    clearHoverHighlight();
+    if (importButton && importInput) {
+        importButton.addEventListener('click', function () {
+            importInput.click();
+        });
 
-    const centerMap = overrideOptions.centerMap !== undefined
-        ? overrideOptions.centerMap
-        : (selectionSizeBeforeToggle === 0 && selectedGridMap.size > 0);
+        importInput.addEventListener('change', function () {
+            const file = importInput.files?.[0];
+            importInput.value = '';
+            if (file) {
+                importSavedSelections(file);
+            }
+        });
+    }
+}
 
-    const focusShareLink = overrideOptions.focusShareLink !== undefined
-        ? overrideOptions.focusShareLink
-        : false;
+function openSavedSelections() {
+    const container = document.getElementById('saved-selections');
+    if (!container) return;
 
-    const flash = overrideOptions.flash !== undefined
-        ? overrideOptions.flash
-        : (featuresToAdd.length > 0);
+    hideSearchResults();
+    setSavedSelectionsStatus('');
+    renderSavedSelections();
+    container.classList.remove('hidden');
 
-    refreshSelectionState({
-        flash,
-        focusShareLink,
-        centerMap
-    });
+    const nameInput = document.getElementById('saved-selection-name');
+    if (nameInput && selectedGridMap.size > 0) {
+        nameInput.focus();
+    }
 }
 
-function findGridCandidatesAtLatLng(latlng) {
-    if (!latlng || !polygonLayer || typeof polygonLayer.eachLayer !== 'function') {
-        return [];
+function closeSavedSelections() {
+    const container = document.getElementById('saved-selections');
+    if (container) {
+        container.classList.add('hidden');
     }
+}
 
-    const candidates = [];
-
-    polygonLayer.eachLayer(layer => {
-        const feature = layer.feature;
-        if (!feature || !feature.geometry) return;
-
-        if (isLatLngInFeature(latlng, feature)) {
-            candidates.push(feature);
-        }
-    });
+function setSavedSelectionsStatus(message, options = {}) {
+    const { error = false } = options;
+    const status = document.getElementById('saved-selections-status');
+    if (!status) return;
 
-    return candidates;
+    status.textContent = message || '';
+    status.classList.toggle('error', !!error);
 }
 
-function isLatLngInFeature(latlng, feature) {
-    if (!feature || !feature.geometry) return false;
-
-    const point = [latlng.lng, latlng.lat];
-    const geometry = feature.geometry;
+function formatSavedSelectionDate(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return '';
 
-    if (geometry.type === 'Polygon') {
-        return isPointInPolygon(point, geometry.coordinates);
+    try {
+        return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    } catch (error) {
+        return date.toISOString().slice(0, 16).replace('T', ' ');
     }
+}
 
-    if (geometry.type === 'MultiPolygon') {
-        return geometry.coordinates.some(polygon => isPointInPolygon(point, polygon));
+function renderSavedSelections(editingId = null) {
+    const list = document.getElementById('saved-selections-list');
+    const saveButton = document.getElementById('saved-selection-save');
+    const exportButton = document.getElementById('saved-selections-export');
+    if (!list) return;
+
+    if (saveButton) {
+        saveButton.disabled = selectedGridMap.size === 0;
+        saveButton.textContent = selectedGridMap.size === 0
+            ? 'Select tiles to save'
+            : `Save ${selectedGridMap.size} tile${selectedGridMap.size === 1 ? '' : 's'}`;
     }
 
-    return false;
-}
+    const selections = getSavedSelections()
+        .sort((a, b) => String(b.modified).localeCompare(String(a.modified)));
 
-function isPointInPolygon(point, polygon) {
-    if (!polygon || polygon.length === 0) return false;
+    if (exportButton) {
+        exportButton.disabled = selections.length === 0;
+    }
 
-    const outerRing = polygon[0];
-    if (!isPointInLinearRing(point, outerRing)) {
-        return false;
+    if (selections.length === 0) {
+        list.innerHTML = '<li class="saved-selections-empty">No saved selections yet.</li>';
+        return;
     }
 
-    for (let i = 1; i < polygon.length; i++) {
-        if (isPointInLinearRing(point, polygon[i])) {
-            return false;
+    list.innerHTML = selections.map(item => {
+        const count = `${item.tiles.length} tile${item.tiles.length === 1 ? '' : 's'}`;
+        const modified = formatSavedSelectionDate(item.modified);
+
+        if (item.id === editingId) {
+            return `
+                <li class="saved-selection editing" data-id="${escapeHtml(item.id)}">
+                    <div class="saved-selection-edit">
+                        <input type="text" class="saved-selection-edit-name" maxlength="80" value="${escapeHtml(item.name)}" aria-label="Name">
+                        <input type="text" class="saved-selection-edit-description" maxlength="200" value="${escapeHtml(item.description || '')}" placeholder="Description (optional)" aria-label="Description">
+                    </div>
+                    <div class="saved-selection-actions">
+                        <button type="button" data-saved-action="commit-rename">Save</button>
+                        <button type="button" data-saved-action="cancel-rename">Cancel</button>
+                    </div>
+                </li>
+            `;
         }
-    }
 
-    return true;
-}
+        return `
+            <li class="saved-selection" data-id="${escapeHtml(item.id)}">
+                <div class="saved-selection-name">${escapeHtml(item.name)}</div>
+                ${item.description ? `<div class="saved-selection-description">${escapeHtml(item.description)}</div>` : ''}
+                <div class="saved-selection-meta">${count}${modified ? ` · modified ${escapeHtml(modified)}` : ''}</div>
+                <div class="saved-selection-actions">
+                    <button type="button" data-saved-action="load">Load</button>
+                    <button type="button" data-saved-action="rename">Rename</button>
+                    <button type="button" data-saved-action="duplicate">Duplicate</button>
+                    <button type="button" data-saved-action="delete" class="danger">Delete</button>
+                </div>
+            </li>
+        `;
+    }).join('');
 
-function isPointInLinearRing(point, ring) {
-    if (!ring || ring.length === 0) return false;
+    if (editingId) {
+        list.querySelector('.saved-selection-edit-name')?.focus();
+    }
+}
 
-    let inside = false;
+function handleSavedSelectionAction(action, id, button = null) {
+    if (!id) return;
 
-    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-        const xi = ring[i][0];
-        const yi = ring[i][1];
-        const xj = ring[j][0];
-        const yj = ring[j][1];
+    const selections = getSavedSelections();
+    const item = selections.find(entry => entry.id === id);
+    if (!item) {
+        renderSavedSelections();
+        return;
+    }
 
-        const intersects = ((yi > point[1]) !== (yj > point[1])) &&
-            (point[0] < ((xj - xi) * (point[1] - yi)) / ((yj - yi) || 1e-12) + xi);
+    if (action === 'load') {
+        loadSavedSelection(item);
+    } else if (action === 'rename') {
+        renderSavedSelections(id);
+    } else if (action === 'cancel-rename') {
+        renderSavedSelections();
+    } else if (action === 'commit-rename') {
+        const row = [...document.querySelectorAll('#saved-selections-list [data-id]')]
+            .find(element => element.dataset.id === id);
+        const name = row?.querySelector('.saved-selection-edit-name')?.value.trim();
+        if (!name) {
+            setSavedSelectionsStatus('Enter a name for the selection', { error: true });
+            return;
+        }
 
-        if (intersects) {
-            inside = !inside;
+        const others = selections.filter(entry => entry.id !== id);
+        item.name = getUniqueSavedSelectionName(name, others);
+        item.description = row.querySelector('.saved-selection-edit-description')?.value.trim() || '';
+        item.modified = new Date().toISOString();
+        updateSavedSelections(selections, `Renamed to "${item.name}"`);
+    } else if (action === 'duplicate') {
+        const now = new Date().toISOString();
+        selections.push({
+            ...item,
+            id: createSavedSelectionId(),
+            name: getUniqueSavedSelectionName(`${item.name} (copy)`, selections),
+            tiles: item.tiles.slice(),
+            created: now,
+            modified: now
+        });
+        updateSavedSelections(selections, `Duplicated "${item.name}"`);
+    } else if (action === 'delete') {
+        // Ask once more on the button itself instead of a modal confirm
+        if (button && !button.classList.contains('confirm')) {
+            button.classList.add('confirm');
+            button.textContent = 'Confirm delete';
+            return;
         }
-    }
 
-    return inside;
+        updateSavedSelections(selections.filter(entry => entry.id !== id), `Deleted "${item.name}"`);
+    }
 }
 
-function dedupeFeaturesByName(features) {
-    if (!Array.isArray(features) || features.length === 0) {
-        return [];
+function updateSavedSelections(selections, message) {
+    if (!storeSavedSelections(selections)) {
+        setSavedSelectionsStatus('Unable to save: browser storage is unavailable or full', { error: true });
+        return false;
     }
 
-    const uniqueFeatures = [];
-    const seenNames = new Set();
+    setSavedSelectionsStatus(message);
+    renderSavedSelections();
+    return true;
+}
 
-    features.forEach(feature => {
-        if (!feature) return;
-        const name = getGridName(feature);
-        if (!name) return;
+// Save the current selection. Saving under an existing name updates it.
+function saveCurrentSelection() {
+    const nameInput = document.getElementById('saved-selection-name');
+    const descriptionInput = document.getElementById('saved-selection-description');
+    const tiles = getSelectedNamesSorted();
 
-        const upper = name.toUpperCase();
-        if (seenNames.has(upper)) return;
+    if (tiles.length === 0) {
+        setSavedSelectionsStatus('Select tiles to save first', { error: true });
+        return;
+    }
 
-        seenNames.add(upper);
-        uniqueFeatures.push(feature);
+    const now = new Date().toISOString();
+    const name = nameInput?.value.trim() || `Selection ${formatSavedSelectionDate(now)}`;
+    const description = descriptionInput?.value.trim() || '';
+    const selections = getSavedSelections();
+    const existing = selections.find(item => item.name.toLowerCase() === name.toLowerCase());
+
+    if (existing) {
+        existing.tiles = tiles;
+        existing.modified = now;
+        if (description) {
+            existing.description = description;
+        }
+    } else {
+        selections.push({ id: createSavedSelectionId(), name, description, tiles, created: now, modified: now });
+    }
+
+    logShareDebug('saveCurrentSelection: saving selection', {
+        name,
+        tileCount: tiles.length,
+        updated: !!existing
     });
 
-    return uniqueFeatures;
+    const count = `${tiles.length} tile${tiles.length === 1 ? '' : 's'}`;
+    if (updateSavedSelections(selections, existing ? `Updated "${existing.name}" (${count})` : `Saved "${name}" (${count})`)) {
+        if (nameInput) nameInput.value = '';
+        if (descriptionInput) descriptionInput.value = '';
+    }
 }
 
-function computeBoundsForFeatures(features) {
-    if (!Array.isArray(features) || features.length === 0) {
-        return null;
-    }
+async function loadSavedSelection(item) {
+    setSavedSelectionsStatus(`Loading "${item.name}"…`);
 
-    const bounds = L.latLngBounds();
-    let hasValidCoordinate = false;
+    const names = [...new Set(item.tiles.map(name => name.toUpperCase()))];
+    await loadGridChunks(getGridChunkIdsForNames(names));
 
-    features.forEach(feature => {
-        const geometry = feature?.geometry;
-        const extended = extendBoundsWithGeometry(bounds, geometry);
+    const itemsByName = new Map(searchIndex.map(entry => [entry.name, entry]));
+    const features = [];
+    const missing = [];
 
-        if (!extended) {
-            const centroid = getPolygonCentroid(geometry);
-            if (centroid) {
-                bounds.extend([centroid.lat, centroid.lng]);
-                hasValidCoordinate = true;
-            }
+    names.forEach(name => {
+        const match = itemsByName.get(name);
+        if (match) {
+            features.push(match.feature);
         } else {
-            hasValidCoordinate = true;
+            missing.push(name);
         }
     });
 
-    return hasValidCoordinate ? bounds : null;
-}
-
-function zoomToSelection() {
-    if (!map) return;
+    logShareDebug('loadSavedSelection: loading saved selection', {
+        name: item.name,
+        tileCount: names.length,
+        missingCount: missing.length
+    });
 
-    const features = getSelectedFeatures();
-    if (features.length === 0) {
-        return;
-    }
+    updateSelection(features, {
+        replace: true,
+        centerMap: false,
+        flash: true,
+        focusShareLink: false,
+        debugSource: 'saved-selection'
+    });
 
     const bounds = computeBoundsForFeatures(features);
     if (bounds && bounds.isValid()) {
         map.fitBounds(bounds, { padding: [80, 80] });
     }
-}
-
-function extendBoundsWithGeometry(bounds, geometry) {
-    if (!geometry || !bounds) return false;
-
-    let extended = false;
-
-    const extendCoords = coords => {
-        if (!Array.isArray(coords)) return;
-        coords.forEach(coord => {
-            if (!Array.isArray(coord) || coord.length < 2) return;
-            const lng = coord[0];
-            const lat = coord[1];
-            if (typeof lat === 'number' && typeof lng === 'number') {
-                bounds.extend([lat, lng]);
-                extended = true;
-            }
-        });
-    };
 
-    switch (geometry.type) {
-        case 'Polygon':
-            geometry.coordinates?.forEach(ring => extendCoords(ring));
-            break;
-        case 'MultiPolygon':
-            geometry.coordinates?.forEach(polygon => {
-                polygon?.forEach(ring => extendCoords(ring));
-            });
-            break;
-        case 'LineString':
-            extendCoords(geometry.coordinates);
-            break;
-        case 'MultiLineString':
-            geometry.coordinates?.forEach(line => extendCoords(line));
-            break;
-        case 'Point':
-            extendCoords([geometry.coordinates]);
-            break;
-        case 'MultiPoint':
-            extendCoords(geometry.coordinates);
-            break;
-        case 'GeometryCollection':
-            geometry.geometries?.forEach(child => {
-                if (extendBoundsWithGeometry(bounds, child)) {
-                    extended = true;
-                }
-            });
-            break;
-        default:
-            break;
+    if (missing.length > 0) {
+        setSavedSelectionsStatus(
+            `Loaded ${features.length} of ${names.length} tiles; not found: ${missing.slice(0, 10).join(', ')}${missing.length > 10 ? '…' : ''}`,
+            { error: true }
+        );
+        return;
     }
 
-    return extended;
+    closeSavedSelections();
 }
 
-function setupRectangleSelection() {
-    if (!map) return;
-
-    const container = map.getContainer();
-
-    map.on('mousedown', onRectangleMouseDown);
-    map.on('mousemove', onRectangleMouseMove);
-    map.on('mouseup', onRectangleMouseUp);
-    container.addEventListener('mouseleave', onRectangleMouseLeave);
-    document.addEventListener('mouseup', onDocumentMouseUp);
+function exportSavedSelections() {
+    const selections = getSavedSelections();
+    if (selections.length === 0) {
+        setSavedSelectionsStatus('Nothing to export yet', { error: true });
+        return;
+    }
+
+    const library = {
+        format: SAVED_SELECTIONS_FORMAT,
+        version: 1,
+        exported: new Date().toISOString(),
+        selections
+    };
+
+    const date = new Date().toISOString().slice(0, 10);
+    triggerDownload(`sentinel-2-saved-selections-${date}.json`, 'application/json', JSON.stringify(library, null, 2));
+    setSavedSelectionsStatus(`Exported ${selections.length} selection${selections.length === 1 ? '' : 's'}`);
 }
 
-function onRectangleMouseDown(event) {
-    if (!event.originalEvent || !event.originalEvent.shiftKey) {
+// Merge an exported library into this one. Entries already present (same id)
+// keep whichever copy was modified last; clashing names get a suffix.
+async function importSavedSelections(file) {
+    let library;
+    try {
+        library = JSON.parse(await file.text());
+    } catch (error) {
+        setSavedSelectionsStatus(`${file.name} is not valid JSON`, { error: true });
         return;
     }
 
-    if (!gridData) {
+    if (library?.format !== SAVED_SELECTIONS_FORMAT || !Array.isArray(library.selections)) {
+        setSavedSelectionsStatus(`${file.name} is not a saved selections library`, { error: true });
         return;
     }
 
-    event.originalEvent.preventDefault();
-
-    rectangleSelectState.active = true;
-    rectangleSelectState.startLatLng = event.latlng;
-    rectangleSelectState.lastLatLng = event.latlng;
-    rectangleSelectState.hasMoved = false;
-    rectangleSelectState.draggingWasEnabled = typeof map.dragging?.enabled === 'function'
-        ? map.dragging.enabled()
-        : true;
+    const selections = getSavedSelections();
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
 
-    if (rectangleSelectState.draggingWasEnabled && map.dragging) {
-        map.dragging.disable();
-    }
+    library.selections.forEach(imported => {
+        if (!isValidSavedSelection(imported)) {
+            skipped++;
+            return;
+        }
 
-    map.getContainer().style.cursor = 'crosshair';
+        const entry = {
+            id: imported.id,
+            name: imported.name.trim() || 'Imported selection',
+            description: typeof imported.description === 'string' ? imported.description : '',
+            tiles: imported.tiles.map(name => name.toUpperCase()),
+            created: imported.created || new Date().toISOString(),
+            modified: imported.modified || new Date().toISOString()
+        };
 
-    rectangleSelectState.rectangle = L.rectangle(
-        L.latLngBounds(event.latlng, event.latlng),
-        {
-            color: '#3498db',
-            weight: 1,
-            fillOpacity: 0.1,
-            dashArray: '4 2',
-            interactive: false
+        const index = selections.findIndex(item => item.id === entry.id);
+        if (index !== -1) {
+            if (String(entry.modified) > String(selections[index].modified)) {
+                selections[index] = entry;
+                updated++;
+            }
+            return;
         }
-    ).addTo(map);
+
+        entry.name = getUniqueSavedSelectionName(entry.name, selections);
+        selections.push(entry);
+        added++;
+    });
+
+    const summary = [`Imported ${added} selection${added === 1 ? '' : 's'}`];
+    if (updated > 0) summary.push(`updated ${updated}`);
+    if (skipped > 0) summary.push(`skipped ${skipped} invalid`);
+
+    updateSavedSelections(selections, summary.join(', '));
 }
 
-function onRectangleMouseMove(event) {
-    if (!rectangleSelectState.active || !rectangleSelectState.rectangle) {
-        return;
+// Import of tile lists from GeoJSON and CSV files, including the explorer's
+// own downloads. The tile ID column is picked automatically when obvious and
+// chosen by the user otherwise.
+const TILE_NAME_COLUMNS = ['name', 'tile_id', 'tileid', 'tile', 'mgrs_tile', 'grid', 'title', 'id'];
+
+let selectionImportTable = null; // { fileName, columns, rows } of the file being imported
+
+function setupSelectionImportUI() {
+    const container = document.getElementById('selection-import');
+    if (!container) return;
+
+    const openButton = document.getElementById('selection-import-open');
+    const closeButton = document.getElementById('selection-import-close');
+    const chooseButton = document.getElementById('selection-import-choose');
+    const fileInput = document.getElementById('selection-import-input');
+    const applyButton = document.getElementById('selection-import-apply');
+    const columnSelect = document.getElementById('selection-import-column');
+
+    if (openButton) {
+        openButton.addEventListener('click', function () {
+            openSelectionImport();
+        });
     }
 
-    rectangleSelectState.hasMoved = true;
-    rectangleSelectState.lastLatLng = event.latlng;
-    const bounds = L.latLngBounds(rectangleSelectState.startLatLng, event.latlng);
-    rectangleSelectState.rectangle.setBounds(bounds);
-}
+    if (closeButton) {
+        closeButton.addEventListener('click', closeSelectionImport);
+    }
 
-function onRectangleMouseUp(event) {
-    if (!rectangleSelectState.active) {
-        return;
+    // Clicking the backdrop closes the dialog
+    container.addEventListener('click', function (event) {
+        if (event.target === container) {
+            closeSelectionImport();
+        }
+    });
+
+    container.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') {
+            closeSelectionImport();
+        }
+    });
+
+    if (chooseButton && fileInput) {
+        chooseButton.addEventListener('click', function () {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', function () {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (file) {
+                readSelectionImportFile(file);
+            }
+        });
     }
 
-    completeRectangleSelection(event?.latlng || rectangleSelectState.lastLatLng);
+    if (columnSelect) {
+        columnSelect.addEventListener('change', renderSelectionImportMapping);
+    }
+
+    if (applyButton) {
+        applyButton.addEventListener('click', applySelectionImport);
+    }
 }
 
-function onRectangleMouseLeave() {
-    if (!rectangleSelectState.active) {
-        return;
+function openSelectionImport(file = null) {
+    const container = document.getElementById('selection-import');
+    if (!container) return;
+
+    selectionImportTable = null;
+    hideSearchResults();
+    renderSelectionImportMapping();
+    setSelectionImportReport('');
+    container.classList.remove('hidden');
+
+    if (file) {
+        readSelectionImportFile(file);
+    } else {
+        document.getElementById('selection-import-choose')?.focus();
     }
+}
 
-    // If the mouse leaves the map container without releasing, keep the shape
-    // but record that we've moved to ensure a selection occurs on document mouseup.
-    rectangleSelectState.hasMoved = true;
+function closeSelectionImport() {
+    const container = document.getElementById('selection-import');
+    if (container) {
+        container.classList.add('hidden');
+    }
+    selectionImportTable = null;
 }
 
-function onDocumentMouseUp(event) {
-    if (!rectangleSelectState.active) {
-        return;
+function setSelectionImportReport(html) {
+    const report = document.getElementById('selection-import-report');
+    if (report) {
+        report.innerHTML = html;
     }
+}
+
+async function readSelectionImportFile(file) {
+    selectionImportTable = null;
+    renderSelectionImportMapping();
+    setSelectionImportReport(`<div class="bulk-paste-summary">Reading ${escapeHtml(file.name)}…</div>`);
 
-    let latlng = null;
     try {
-        latlng = map.mouseEventToLatLng(event);
+        const table = await readTileTable(file);
+        if (table.rows.length === 0) {
+            throw new Error(`${file.name} has no rows`);
+        }
+
+        selectionImportTable = { fileName: file.name, ...table };
+        setSelectionImportReport('');
+        renderSelectionImportMapping();
     } catch (error) {
-        latlng = rectangleSelectState.lastLatLng || rectangleSelectState.startLatLng;
+        logShareDebug('readSelectionImportFile: failed to read selection file', { message: error?.message });
+        setSelectionImportReport(`<div class="bulk-paste-summary error">${escapeHtml(error?.message || `Could not read ${file.name}`)}</div>`);
     }
-
-    completeRectangleSelection(latlng);
 }
 
-function resetRectangleSelection() {
-    const wasDraggingEnabled = rectangleSelectState.draggingWasEnabled;
+// Read a CSV or vector file into { columns, rows } where each row is
+// { label, values } keyed by column name
+async function readTileTable(file) {
+    const fileName = (file?.name || '').toLowerCase();
 
-    if (rectangleSelectState.rectangle) {
-        map.removeLayer(rectangleSelectState.rectangle);
+    if (/\.(csv|tsv|txt)$/.test(fileName)) {
+        const rows = parseCsv(await file.text(), fileName.endsWith('.tsv') ? '\t' : null);
+        const header = (rows[0] || []).map((cell, i) => cell.trim() || `Column ${i + 1}`);
+
+        return {
+            columns: header,
+            rows: rows.slice(1).map((cells, i) => ({
+                label: `Row ${i + 2}`,
+                values: Object.fromEntries(header.map((column, j) => [column, (cells[j] || '').trim()]))
+            }))
+        };
     }
 
-    rectangleSelectState.active = false;
-    rectangleSelectState.startLatLng = null;
-    rectangleSelectState.lastLatLng = null;
-    rectangleSelectState.rectangle = null;
-    rectangleSelectState.hasMoved = false;
-    rectangleSelectState.draggingWasEnabled = true;
+    const collection = await readVectorFile(file);
+    const columns = [];
+    const rows = collection.features.map((feature, i) => {
+        const values = {};
+        Object.entries(feature.properties || {}).forEach(([key, value]) => {
+            if (value === null || typeof value === 'object') return;
+            if (!columns.includes(key)) columns.push(key);
+            values[key] = String(value).trim();
+        });
+        return { label: `Feature ${i + 1}`, values };
+    });
 
-    map.getContainer().style.cursor = '';
+    return { columns, rows };
+}
 
-    if (map && map.dragging && wasDraggingEnabled) {
-        map.dragging.enable();
-    }
+function isTileIdLike(value) {
+    return /^\d{2}[A-Z]{3}$/.test(normaliseSearchQuery(String(value || '')));
 }
 
-function completeRectangleSelection(finalLatLng) {
-    const hasMoved = rectangleSelectState.hasMoved;
-    const startLatLng = rectangleSelectState.startLatLng;
+// Columns holding tile IDs, best first: known names, then the share of rows
+// that look like tile IDs
+function rankTileNameColumns(table) {
+    return table.columns
+        .map(column => {
+            const filled = table.rows.filter(row => row.values[column]);
+            const tileLike = filled.filter(row => isTileIdLike(row.values[column])).length;
+            const known = TILE_NAME_COLUMNS.indexOf(column.toLowerCase());
+            return { column, tileLike, ratio: filled.length ? tileLike / filled.length : 0, known };
+        })
+        .filter(candidate => candidate.tileLike > 0)
+        .sort((a, b) => {
+            const aKnown = a.known === -1 ? Infinity : a.known;
+            const bKnown = b.known === -1 ? Infinity : b.known;
+            return (b.ratio - a.ratio) || (aKnown - bKnown) || (b.tileLike - a.tileLike);
+        });
+}
 
-    resetRectangleSelection();
+// The best column when the choice is clear: a known name, or the only column
+// with tile IDs in it
+function pickTileNameColumn(ranked) {
+    if (ranked.length === 0) return null;
+    if (ranked.length === 1) return ranked[0].column;
 
-    if (hasMoved) {
-        scheduleSuppressNextGridClick();
-    }
+    const [best, next] = ranked;
+    if (best.known !== -1 && best.ratio > next.ratio) return best.column;
+    if (best.known !== -1 && next.known === -1 && best.ratio === next.ratio) return best.column;
 
-    if (!hasMoved || !startLatLng || !finalLatLng) {
-        return;
-    }
+    return null;
+}
 
-    const bounds = L.latLngBounds(startLatLng, finalLatLng);
+function renderSelectionImportMapping() {
+    const mapping = document.getElementById('selection-import-mapping');
+    const columnSelect = document.getElementById('selection-import-column');
+    const fileLabel = document.getElementById('selection-import-file');
+    const applyButton = document.getElementById('selection-import-apply');
+    const table = selectionImportTable;
 
-    const selectedFeatures = findFeaturesInBounds(bounds);
-    if (selectedFeatures.length === 0) {
-        return;
+    if (fileLabel) {
+        fileLabel.textContent = table ? `${table.fileName}: ${table.rows.length} row${table.rows.length === 1 ? '' : 's'}` : 'No file chosen';
     }
 
-    const replaceSelection = selectedGridMap.size === 0;
+    if (!table) {
+        if (mapping) mapping.classList.add('hidden');
+        if (applyButton) applyButton.disabled = true;
+        return;
+    }
 
-    const newFeaturesCount = selectedFeatures.reduce((count, feature) => {
-        const name = getGridName(feature);
-        if (!name) return count;
-        const upper = name.toUpperCase();
-        return count + (replaceSelection || !selectedGridMap.has(upper) ? 1 : 0);
-    }, 0);
+    const ranked = rankTileNameColumns(table);
 
-    if (!replaceSelection && newFeaturesCount === 0) {
+    if (ranked.length === 0) {
+        if (mapping) mapping.classList.add('hidden');
+        if (applyButton) applyButton.disabled = true;
+        setSelectionImportReport(`<div class="bulk-paste-summary error">No column in ${escapeHtml(table.fileName)} contains tile IDs. To select the tiles covering an area, upload it from the map's area of interest button instead.</div>`);
         return;
     }
 
-    updateSelection(selectedFeatures, {
-        replace: replaceSelection,
-        centerMap: false,
-        flash: true,
-        focusShareLink: false
-    });
+    // Keep the user's choice while it is still a candidate
+    if (!table.column || !ranked.some(candidate => candidate.column === table.column)) {
+        table.column = pickTileNameColumn(ranked);
+        table.ambiguous = table.column === null;
+    }
 
-}
+    if (columnSelect && !table.columnOptionsRendered) {
+        table.columnOptionsRendered = true;
+        columnSelect.innerHTML = (table.column ? '' : '<option value="">Choose the tile ID column…</option>') + ranked.map(candidate => {
+            const samples = table.rows
+                .map(row => row.values[candidate.column])
+                .filter(Boolean)
+                .slice(0, 3)
+                .join(', ');
+            return `<option value="${escapeHtml(candidate.column)}">${escapeHtml(candidate.column)} (${candidate.tileLike} IDs, e.g. ${escapeHtml(samples)})</option>`;
+        }).join('');
+        columnSelect.value = table.column || '';
+    } else if (columnSelect) {
+        table.column = columnSelect.value || null;
+    }
 
-function scheduleSuppressNextGridClick() {
-    suppressNextGridClick = true;
-    if (suppressNextGridClickTimer) {
-        clearTimeout(suppressNextGridClickTimer);
+    // Only ask when the column is ambiguous, but keep the choice visible
+    if (mapping) {
+        mapping.classList.toggle('hidden', !table.ambiguous && ranked.length === 1);
+        mapping.classList.toggle('ambiguous', !!table.ambiguous);
     }
-    suppressNextGridClickTimer = setTimeout(() => {
-        suppressNextGridClick = false;
-        suppressNextGridClickTimer = null;
-    }, 250);
-}
 
-function findFeaturesInBounds(bounds) {
-    if (!gridData || !bounds) {
-        return [];
+    if (applyButton) {
+        applyButton.disabled = !table.column;
     }
+}
 
-    const matches = [];
+async function applySelectionImport() {
+    const table = selectionImportTable;
+    if (!table || !table.column) return;
 
-    gridData.features.forEach(feature => {
-        if (!feature || !feature.geometry) return;
+    const column = table.column;
+    const mode = document.querySelector('input[name="selection-import-mode"]:checked')?.value || 'replace';
+    const candidates = [];
+    const unmatchedRows = [];
 
-        if (doesFeatureIntersectBounds(feature, bounds)) {
-            matches.push(feature);
+    table.rows.forEach(row => {
+        const value = row.values[column] || '';
+        const name = normaliseSearchQuery(value);
+        if (/^\d{2}[A-Z]{3}$/.test(name)) {
+            candidates.push({ token: value, name, row });
+        } else {
+            unmatchedRows.push({ row, value, reason: value ? 'not a tile ID' : 'empty' });
         }
     });
 
-    return dedupeFeaturesByName(matches);
-}
+    setSelectionImportReport('<div class="bulk-paste-summary">Looking up tiles…</div>');
+    const { matched, unknown } = await resolveTileCandidates(candidates);
 
-function doesFeatureIntersectBounds(feature, bounds) {
-    if (!feature || !feature.geometry) return false;
+    // Report every row of an unknown ID, not just the first
+    const unknownNames = new Set(unknown.map(token => normaliseSearchQuery(token)));
+    candidates.forEach(candidate => {
+        if (unknownNames.has(candidate.name)) {
+            unmatchedRows.push({ row: candidate.row, value: candidate.token, reason: 'unknown tile' });
+        }
+    });
 
-    const geometry = feature.geometry;
+    logShareDebug('applySelectionImport: rows matched', {
+        file: table.fileName,
+        column,
+        rowCount: table.rows.length,
+        matchedCount: matched.length,
+        unmatchedCount: unmatchedRows.length,
+        mode
+    });
 
-    if (geometry.type === 'Polygon' && geometry.coordinates?.[0]) {
-        if (isPolygonIntersectingBounds(geometry.coordinates[0], bounds)) {
-            return true;
-        }
-    } else if (geometry.type === 'MultiPolygon') {
-        if (geometry.coordinates.some(polygon => polygon?.[0] && isPolygonIntersectingBounds(polygon[0], bounds))) {
-            return true;
+    if (matched.length > 0) {
+        const features = matched.map(item => item.feature);
+        updateSelection(features, {
+            replace: mode === 'replace',
+            centerMap: false,
+            flash: true,
+            focusShareLink: false,
+            debugSource: 'selection-import'
+        });
+
+        const bounds = computeBoundsForFeatures(features);
+        if (bounds && bounds.isValid()) {
+            map.fitBounds(bounds, { padding: [80, 80] });
         }
     }
 
-    const centroid = getPolygonCentroid(geometry);
-    if (centroid) {
-        return bounds.contains([centroid.lat, centroid.lng]);
+    if (unmatchedRows.length === 0) {
+        closeSelectionImport();
+        return;
     }
 
-    return false;
+    const rowOrder = new Map(table.rows.map((row, i) => [row, i]));
+    unmatchedRows.sort((a, b) => rowOrder.get(a.row) - rowOrder.get(b.row));
+
+    const shown = unmatchedRows.slice(0, 50).map(({ row, value, reason }) =>
+        `<li><span class="bulk-paste-no-suggestion">${escapeHtml(row.label)}</span> <code>${escapeHtml(value || '—')}</code> <span class="bulk-paste-no-suggestion">${reason}</span></li>`
+    ).join('');
+    const more = unmatchedRows.length > 50 ? `<li class="bulk-paste-no-suggestion">and ${unmatchedRows.length - 50} more</li>` : '';
+
+    setSelectionImportReport(`
+        <div class="bulk-paste-summary">Selected ${matched.length} tile${matched.length === 1 ? '' : 's'} from "${escapeHtml(column)}". ${unmatchedRows.length} row${unmatchedRows.length === 1 ? '' : 's'} did not match a known tile:</div>
+        <ul class="bulk-paste-unknown">${shown}${more}</ul>
+    `);
 }
 
-// Selection management
-function updateSelection(features, options = {}) {
-    if (!Array.isArray(features) || features.length === 0) {
-        return;
-    }
+// Set operations between the current selection (A) and another tile set (B)
+// given as a share link, a pasted list, a saved selection or a file
+const SET_OPERATIONS = {
+    union: { label: 'A ∪ B', keeps: ['a', 'both', 'b'] },
+    intersection: { label: 'A ∩ B', keeps: ['both'] },
+    difference: { label: 'A − B', keeps: ['a'] },
+    symmetric: { label: 'A △ B', keeps: ['a', 'b'] }
+};
 
-    const {
-        replace = false,
-        centerMap = true,
-        flash = true,
-        focusShareLink = true,
-        debugSource = null
-    } = options;
+const SET_OPERATION_STYLES = {
+    a: { label: 'Only in A', color: '#3498db' },
+    both: { label: 'In A and B', color: '#8e44ad' },
+    b: { label: 'Only in B', color: '#e67e22' },
+    dropped: { label: 'Dropped from A', color: '#c0392b' }
+};
 
-    if (debugSource) {
-        logShareDebug('updateSelection: invoked', {
-            debugSource,
-            featureCount: features.length,
-            replace,
-            centerMap,
-            flash,
-            focusShareLink
-        });
+function setupSetOperationsUI() {
+    const container = document.getElementById('set-operations');
+    if (!container) return;
+
+    const openButton = document.getElementById('share-set-operations');
+    const closeButton = document.getElementById('set-operations-close');
+    const cancelButton = document.getElementById('set-operations-cancel');
+    const applyButton = document.getElementById('set-operations-apply');
+    const input = document.getElementById('set-operations-input');
+    const fileButton = document.getElementById('set-operations-file');
+    const fileInput = document.getElementById('set-operations-file-input');
+    const savedSelect = document.getElementById('set-operations-saved');
+
+    if (openButton) {
+        openButton.addEventListener('click', openSetOperations);
     }
 
-    if (replace) {
-        selectedGridMap.clear();
-    }
+    [closeButton, cancelButton].forEach(button => {
+        if (button) {
+            button.addEventListener('click', closeSetOperations);
+        }
+    });
 
-    let addedCount = 0;
+    container.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') {
+            closeSetOperations();
+        }
+    });
 
-    features.forEach(feature => {
-        if (!feature) return;
+    if (applyButton) {
+        applyButton.addEventListener('click', applySetOperation);
+    }
 
-        const name = getGridName(feature);
-        if (!name) return;
+    container.querySelectorAll('input[name="set-operation"]').forEach(radio => {
+        radio.addEventListener('change', renderSetOperationPreview);
+    });
 
-        const upper = name.toUpperCase();
+    if (input) {
+        const debouncedResolve = debounce(() => {
+            const text = input.value.trim();
+            if (savedSelect) savedSelect.value = '';
+            setSetOperationSource(text ? 'pasted text' : null, () => resolveTileCandidates(extractTileListFromText(text).candidates));
+        }, 400);
 
-        if (!replace && selectedGridMap.has(upper)) {
-            return;
-        }
+        input.addEventListener('input', debouncedResolve);
+    }
 
-        const centroid = getPolygonCentroid(feature.geometry);
-        selectedGridMap.set(upper, {
-            feature,
-            name,
-            centroid
+    if (fileButton && fileInput) {
+        fileButton.addEventListener('click', function () {
+            fileInput.click();
         });
-        addedCount++;
-    });
 
-    refreshSelectionState({
-        flash: flash && (addedCount > 0 || replace),
-        focusShareLink,
-        centerMap: centerMap && selectedGridMap.size > 0
-    });
+        fileInput.addEventListener('change', function () {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
 
-    if (debugSource) {
-        logShareDebug('updateSelection: selection refreshed', {
-            debugSource,
-            addedCount,
-            totalSelected: selectedGridMap.size
+            if (input) input.value = '';
+            if (savedSelect) savedSelect.value = '';
+            setSetOperationSource(file.name, () => readTileSetFile(file));
+        });
+    }
+
+    if (savedSelect) {
+        savedSelect.addEventListener('change', function () {
+            const item = getSavedSelections().find(entry => entry.id === savedSelect.value);
+            if (input) input.value = '';
+            setSetOperationSource(item ? item.name : null, () => resolveTileCandidates(
+                (item ? item.tiles : []).map(name => ({ token: name, name: name.toUpperCase() }))
+            ));
         });
     }
 }
 
-function removeGridFromSelection(gridName) {
-    if (!gridName) return;
+function openSetOperations() {
+    const container = document.getElementById('set-operations');
+    const savedSelect = document.getElementById('set-operations-saved');
+    if (!container) return;
+
+    if (savedSelect) {
+        const current = savedSelect.value;
+        savedSelect.innerHTML = '<option value="">Saved selection…</option>' + getSavedSelections()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(item => `<option value="${escapeHtml(item.id)}">${escapeHtml(item.name)} (${item.tiles.length})</option>`)
+            .join('');
+        savedSelect.value = current;
+        savedSelect.disabled = savedSelect.options.length === 1;
+    }
+
+    hideSearchResults();
+    container.classList.remove('hidden');
+    renderSetOperationPreview();
+    document.getElementById('set-operations-input')?.focus();
+}
+
+function closeSetOperations() {
+    const container = document.getElementById('set-operations');
+    if (container) {
+        container.classList.add('hidden');
+    }
+    clearSetOperationPreview();
+}
+
+function isSetOperationsOpen() {
+    const container = document.getElementById('set-operations');
+    return !!container && !container.classList.contains('hidden');
+}
+
+// Resolve tile set B. `resolve` returns { matched, unknown } like
+// resolveTileCandidates.
+async function setSetOperationSource(label, resolve) {
+    const token = ++setOperationState.token;
+    const status = document.getElementById('set-operations-source-status');
+
+    if (!label) {
+        setOperationState.other = null;
+        if (status) status.textContent = '';
+        renderSetOperationPreview();
+        return;
+    }
+
+    if (status) status.textContent = `Reading ${label}…`;
+
+    try {
+        const { matched, unknown } = await resolve();
+        if (token !== setOperationState.token) return;
+
+        setOperationState.other = {
+            label,
+            items: new Map(matched.map(item => [item.name, item])),
+            unknown
+        };
+
+        if (status) {
+            const parts = [`B: ${matched.length} tile${matched.length === 1 ? '' : 's'} from ${label}`];
+            if (unknown.length > 0) {
+                parts.push(`${unknown.length} not recognised (${unknown.slice(0, 5).join(', ')}${unknown.length > 5 ? '…' : ''})`);
+            }
+            status.textContent = parts.join('; ');
+            status.classList.remove('error');
+        }
+    } catch (error) {
+        if (token !== setOperationState.token) return;
 
-    const upper = gridName.toUpperCase();
-    if (!selectedGridMap.has(upper)) {
-        return;
+        logShareDebug('setSetOperationSource: failed to read tile set', { message: error?.message });
+        setOperationState.other = null;
+        if (status) {
+            status.textContent = error?.message || `Could not read ${label}`;
+            status.classList.add('error');
+        }
     }
 
-    const entry = selectedGridMap.get(upper);
-    selectedGridMap.delete(upper);
+    renderSetOperationPreview();
+}
 
-    refreshSelectionState({
-        flash: false,
-        focusShareLink: false,
-        centerMap: false
+// Tile IDs from free text, including the grids of any share links in it
+function extractTileListFromText(text) {
+    const linkNames = [];
+    const remainder = String(text || '').replace(/https?:\/\/\S+/gi, link => {
+        try {
+            const params = new URL(link).searchParams;
+            [params.get('grids'), params.get('grid')].forEach(value => {
+                if (value) linkNames.push(...value.split(','));
+            });
+        } catch (error) {
+            return link;
+        }
+        return ' ';
     });
 
-    clearHoverHighlight();
+    const { candidates, ignoredCount } = tokeniseTileList(remainder);
+    const linkCandidates = tokeniseTileList(linkNames.join(' ')).candidates;
+
+    return { candidates: [...linkCandidates, ...candidates], ignoredCount };
 }
 
-function clearSelection(options = {}) {
-    if (selectedGridMap.size === 0) {
-        return;
+// Tiles named in a CSV (name column) or vector file. Vector files without tile
+// names stand for an area: every tile intersecting it is used.
+async function readTileSetFile(file) {
+    const fileName = (file?.name || '').toLowerCase();
+
+    if (fileName.endsWith('.csv') || fileName.endsWith('.txt')) {
+        const text = await file.text();
+        const rows = parseCsv(text);
+        const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+        const column = header.findIndex(cell => ['name', 'tile', 'tile_id', 'tileid', 'grid', 'mgrs_tile'].includes(cell));
+
+        const candidates = column === -1
+            ? tokeniseTileList(text).candidates
+            : tokeniseTileList(rows.slice(1).map(row => row[column] || '').join('\n')).candidates;
+
+        return resolveTileCandidates(candidates);
     }
 
-    selectedGridMap.clear();
+    const collection = await readVectorFile(file);
+    const namedCandidates = tokeniseTileList(
+        collection.features.map(feature => getGridName(feature)).join('\n')
+    ).candidates;
 
-    refreshSelectionState({
-        flash: false,
-        focusShareLink: false,
-        centerMap: false,
-        suppressShareLink: false
-    });
+    if (namedCandidates.some(candidate => !candidate.nearMiss)) {
+        return resolveTileCandidates(namedCandidates);
+    }
 
-    clearHoverHighlight();
+    const parts = buildAoiParts(collection);
+    if (parts.length === 0) {
+        throw new Error(`${file.name} has no tile names or geometries`);
+    }
+
+    await loadGridChunksForBounds(getAoiBounds(parts));
+    const features = findFeaturesIntersectingAoi(parts);
+    const itemsByName = new Map(searchIndex.map(item => [item.name, item]));
+
+    return {
+        matched: features.map(feature => itemsByName.get(getGridName(feature).toUpperCase())).filter(Boolean),
+        unknown: []
+    };
 }
 
-function getSelectedEntries() {
-    return Array.from(selectedGridMap.values());
+function getSelectedSetOperation() {
+    const checked = document.querySelector('input[name="set-operation"]:checked');
+    return SET_OPERATIONS[checked?.value] ? checked.value : 'difference';
 }
 
-function getSelectedNamesSorted() {
-    return Array.from(selectedGridMap.values())
-        .map(entry => entry.name)
-        .sort((a, b) => a.localeCompare(b));
+// Split A and B into the regions of a Venn diagram and work out which of
+// them the operation keeps. Features are keyed by upper-case tile name.
+function computeSetOperation(operation, selection, other) {
+    const groups = { a: [], both: [], b: [] };
+
+    selection.forEach((entry, name) => {
+        groups[other.has(name) ? 'both' : 'a'].push({ name, feature: entry.feature });
+    });
+    other.forEach((item, name) => {
+        if (!selection.has(name)) {
+            groups.b.push({ name, feature: item.feature });
+        }
+    });
+
+    const keeps = SET_OPERATIONS[operation].keeps;
+    const result = keeps.flatMap(group => groups[group].map(tile => ({ ...tile, group })));
+    const dropped = ['a', 'both']
+        .filter(group => !keeps.includes(group))
+        .flatMap(group => groups[group].map(tile => ({ ...tile, group: 'dropped' })));
+
+    return { groups, result, dropped };
 }
 
-function refreshSelectionState(options = {}) {
-    const {
-        flash = true,
-        focusShareLink = true,
-        centerMap = false,
-        suppressShareLink = false
-    } = options;
+function renderSetOperationPreview() {
+    if (!isSetOperationsOpen()) return;
 
-    const selectionEntries = getSelectedEntries();
+    const legend = document.getElementById('set-operations-legend');
+    const applyButton = document.getElementById('set-operations-apply');
+    const other = setOperationState.other;
 
-    if (selectionEntries.length === 0) {
-        clearHighlight();
-        updateAddressBarWithSelection([]);
-        if (!suppressShareLink) {
-            hideShareLink();
-        }
+    clearSetOperationPreview();
+
+    if (!other) {
+        if (legend) legend.innerHTML = `<li class="set-operations-empty">A: ${selectedGridMap.size} selected tile${selectedGridMap.size === 1 ? '' : 's'}. Paste a list, a share link or load a file for B.</li>`;
+        if (applyButton) applyButton.disabled = true;
         return;
     }
 
-    if (centerMap && selectionEntries.length > 0) {
-        const primaryEntry = selectionEntries[0];
-        const centroid = primaryEntry?.centroid;
-        if (centroid) {
-            const targetZoom = Math.max(map.getZoom(), 10);
-            map.setView([centroid.lat, centroid.lng], targetZoom);
+    const operation = getSelectedSetOperation();
+    const { groups, result, dropped } = computeSetOperation(operation, selectedGridMap, other.items);
+    const keeps = SET_OPERATIONS[operation].keeps;
+
+    if (legend) {
+        const rows = ['a', 'both', 'b']
+            .filter(group => keeps.includes(group) && groups[group].length > 0)
+            .map(group => [group, groups[group].length]);
+        if (dropped.length > 0) {
+            rows.push(['dropped', dropped.length]);
         }
+
+        legend.innerHTML = `
+            <li class="set-operations-result">${SET_OPERATIONS[operation].label}: ${result.length} tile${result.length === 1 ? '' : 's'} (selection has ${selectedGridMap.size})</li>
+            ${rows.map(([group, count]) => `
+                <li><span class="set-operations-swatch${group === 'dropped' ? ' dropped' : ''}" style="border-color: ${SET_OPERATION_STYLES[group].color}; background: ${group === 'dropped' ? 'transparent' : SET_OPERATION_STYLES[group].color}"></span>${SET_OPERATION_STYLES[group].label}: ${count}</li>
+            `).join('')}
+        `;
     }
 
-    highlightGrids(selectionEntries.map(entry => entry.feature), { flash });
+    if (applyButton) {
+        applyButton.disabled = false;
+    }
 
-    const shareUrl = updateAddressBarWithSelection(getSelectedNamesSorted());
+    const tiles = [...result, ...dropped];
+    if (tiles.length === 0 || !map) return;
 
-    if (!suppressShareLink) {
-        showShareLink(selectionEntries, shareUrl, { focusShareLink });
-    }
+    setOperationState.layer = L.geoJSON({
+        type: 'FeatureCollection',
+        features: withAntimeridianCopies(tiles.map(tile => ({
+            ...tile.feature,
+            properties: { ...(tile.feature.properties || {}), setGroup: tile.group }
+        })))
+    }, {
+        pane: 'highlight-pane',
+        interactive: false,
+        renderer: polygonRenderer,
+        style: feature => {
+            const group = feature.properties.setGroup;
+            const color = SET_OPERATION_STYLES[group].color;
+            return group === 'dropped'
+                ? { color, weight: 2, opacity: 0.9, dashArray: '4 4', fillOpacity: 0 }
+                : { color, weight: 2, opacity: 0.95, fillColor: color, fillOpacity: 0.3 };
+        }
+    }).addTo(map);
 }
 
-function updateAddressBarWithSelection(gridNames) {
-    const namesArray = Array.isArray(gridNames) ? gridNames : [];
-    const upperSorted = [...new Set(namesArray.map(name => name.toUpperCase()))].sort();
-
-    let shareUrl = window.location.href;
+function clearSetOperationPreview() {
+    if (setOperationState.layer) {
+        map.removeLayer(setOperationState.layer);
+        setOperationState.layer = null;
+    }
+}
 
-    try {
-        const url = new URL(window.location.href);
-        url.searchParams.delete('grid');
-        url.searchParams.delete('grids');
+function applySetOperation() {
+    const other = setOperationState.other;
+    if (!other) return;
 
-        if (upperSorted.length === 1) {
-            url.searchParams.set('grid', upperSorted[0]);
-        } else if (upperSorted.length > 1) {
-            url.searchParams.set('grids', upperSorted.join(','));
-        }
+    const operation = getSelectedSetOperation();
+    const { result } = computeSetOperation(operation, selectedGridMap, other.items);
 
-        shareUrl = url.toString();
+    logShareDebug('applySetOperation: applying set operation', {
+        operation,
+        source: other.label,
+        selectionCount: selectedGridMap.size,
+        otherCount: other.items.size,
+        resultCount: result.length
+    });
 
-        if (window.history && window.history.replaceState) {
-            window.history.replaceState({}, '', shareUrl);
-        }
-    } catch (error) {
-        const origin = (window.location.origin && window.location.origin !== 'null')
-            ? window.location.origin
-            : '';
-        const basePath = `${origin}${window.location.pathname}`;
-        const hash = window.location.hash || '';
+    closeSetOperations();
 
-        let query = '';
-        if (upperSorted.length === 1) {
-            query = `?grid=${encodeURIComponent(upperSorted[0])}`;
-        } else if (upperSorted.length > 1) {
-            query = `?grids=${encodeURIComponent(upperSorted.join(','))}`;
-        }
+    if (result.length === 0) {
+        clearSelection();
+        return;
+    }
 
-        shareUrl = `${basePath}${query}${hash}`;
+    const features = result.map(tile => tile.feature);
+    updateSelection(features, {
+        replace: true,
+        centerMap: false,
+        flash: true,
+        focusShareLink: false,
+        debugSource: 'set-operation'
+    });
 
-        if (window.history && window.history.replaceState) {
-            window.history.replaceState({}, '', shareUrl);
-        }
+    const bounds = computeBoundsForFeatures(features);
+    if (bounds && bounds.isValid()) {
+        map.fitBounds(bounds, { padding: [80, 80] });
     }
-
-    return shareUrl;
 }
 
-function getSelectedFeatures() {
-    return getSelectedEntries()
-        .map(entry => entry.feature)
-        .filter(feature => !!feature);
-}
+// Scenes available for the selected tiles from the STAC API in CONFIG.stacApi.
+// Each tile is searched around its centre (any STAC server supports bbox and
+// datetime) and items are then matched to the tile from their properties, so
+// servers without the filter extension work too. When the landing page
+// declares CQL2 text filtering the tile and cloud cover are also filtered on
+// the server.
+const sceneSearchState = {
+    token: 0, // Discards searches overtaken by a newer one
+    capabilities: new Map(), // API URL -> { searchUrl, filter }
+    results: [], // { tile, scenes, error, truncated } per searched tile
+    sort: { key: 'date', descending: true }
+};
+const SCENE_SEARCH_CONCURRENCY = 3;
+const SCENE_SORT_LABELS = {
+    date: 'Date',
+    cloud: 'Cloud %',
+    level: 'Level'
+};
 
-function downloadSelectionAsGeoJSON() {
-    const features = getSelectedFeatures();
-    if (features.length === 0) {
-        setShareLinkFeedback('Select grids to export first');
+function setupSceneSearchUI() {
+    const container = document.getElementById('scene-search');
+    const openButton = document.getElementById('share-find-scenes');
+    if (!container) return;
+
+    if (!CONFIG.stacApi?.url) {
+        if (openButton) openButton.classList.add('hidden');
         return;
     }
 
-    const featureCollection = {
-        type: 'FeatureCollection',
-        features: features.map(feature => JSON.parse(JSON.stringify(feature)))
-    };
+    const closeButton = document.getElementById('scene-search-close');
+    const form = document.getElementById('scene-search-form');
+    const results = document.getElementById('scene-search-results');
+    const exportButton = document.getElementById('scene-search-export');
+    const endpoint = document.getElementById('scene-search-endpoint');
+    const startInput = document.getElementById('scene-search-start');
+    const endInput = document.getElementById('scene-search-end');
 
-    const filename = buildSelectionFilename('sentinel-grids', 'geojson');
-    triggerDownload(filename, 'application/geo+json', JSON.stringify(featureCollection, null, 2));
-}
+    if (endpoint) {
+        endpoint.textContent = CONFIG.stacApi.url;
+    }
 
-function downloadSelectionAsCSV() {
-    const selectionEntries = getSelectedEntries();
-    if (selectionEntries.length === 0) {
-        setShareLinkFeedback('Select grids to export first');
-        return;
+    const today = new Date().toISOString().slice(0, 10);
+    if (endInput && !endInput.value) {
+        endInput.value = today;
+    }
+    if (startInput && !startInput.value) {
+        startInput.value = addDaysToIsoDate(today, -CODE_SNIPPET_DEFAULT_DAYS);
     }
 
-    const propertyKeys = new Set();
+    if (openButton) {
+        openButton.addEventListener('click', openSceneSearch);
+    }
 
-    selectionEntries.forEach(entry => {
-        const properties = entry.feature?.properties;
-        if (properties && typeof properties === 'object') {
-            Object.keys(properties).forEach(key => {
-                propertyKeys.add(key);
-            });
+    if (closeButton) {
+        closeButton.addEventListener('click', closeSceneSearch);
+    }
+
+    // Clicking the backdrop closes the dialog
+    container.addEventListener('click', function (event) {
+        if (event.target === container) {
+            closeSceneSearch();
         }
     });
 
-    const orderedPropertyKeys = Array.from(propertyKeys)
-        .filter(key => typeof key === 'string' && key.toLowerCase() !== 'name')
-        .sort();
-
-    const headers = ['name', 'centroid_lat', 'centroid_lng', ...orderedPropertyKeys];
-
-    const rows = selectionEntries.map(entry => {
-        const name = entry.name || getGridName(entry.feature) || '';
-        const centroid = entry.centroid || getPolygonCentroid(entry.feature?.geometry) || { lat: '', lng: '' };
-        const properties = entry.feature?.properties || {};
+    container.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') {
+            closeSceneSearch();
+        }
+    });
 
-        const baseValues = [name, formatCsvNumber(centroid.lat), formatCsvNumber(centroid.lng)];
-        const propertyValues = orderedPropertyKeys.map(key => {
-            const value = properties[key];
-            if (value === null || value === undefined) return '';
-            if (typeof value === 'object') return JSON.stringify(value);
-            return value;
+    if (form) {
+        form.addEventListener('submit', function (event) {
+            event.preventDefault();
+            runSceneSearch();
         });
+    }
 
-        return [...baseValues, ...propertyValues].map(escapeCsvValue).join(',');
-    });
+    if (results) {
+        results.addEventListener('click', function (event) {
+            const button = event.target.closest('[data-scene-sort]');
+            if (!button) return;
+
+            const key = button.dataset.sceneSort;
+            const { sort } = sceneSearchState;
+            sceneSearchState.sort = {
+                key,
+                // Dates start newest first, the others lowest first
+                descending: sort.key === key ? !sort.descending : key === 'date'
+            };
+            renderSceneSearchResults();
+        });
+    }
 
-    const csvContent = [headers.map(escapeCsvValue).join(','), ...rows].join('\n');
-    const filename = buildSelectionFilename('sentinel-2-grid-tile', 'csv');
-    triggerDownload(filename, 'text/csv', csvContent);
+    if (exportButton) {
+        exportButton.addEventListener('click', downloadScenesAsCsv);
+    }
 }
 
-function escapeCsvValue(value) {
-    const stringValue = value === null || value === undefined ? '' : String(value);
-    if (/[",\n]/.test(stringValue)) {
-        return '"' + stringValue.replace(/"/g, '""') + '"';
+function openSceneSearch() {
+    const container = document.getElementById('scene-search');
+    if (!container) return;
+
+    hideSearchResults();
+    container.classList.remove('hidden');
+
+    const searchButton = document.getElementById('scene-search-submit');
+    const count = selectedGridMap.size;
+    const maxTiles = CONFIG.stacApi.maxTiles || Infinity;
+
+    if (searchButton) {
+        searchButton.disabled = count === 0;
     }
-    return stringValue;
-}
 
-function formatCsvNumber(num) {
-    if (typeof num !== 'number' || Number.isNaN(num)) {
-        return '';
+    if (count === 0) {
+        setSceneSearchStatus('Select tiles to search for scenes', { error: true });
+    } else if (count > maxTiles) {
+        setSceneSearchStatus(`Only the first ${maxTiles} of ${count} selected tiles will be searched`);
+    } else if (sceneSearchState.results.length === 0) {
+        setSceneSearchStatus('');
+    }
+
+    renderSceneSearchResults();
+    if (searchButton && !searchButton.disabled) {
+        searchButton.focus();
     }
-    return num.toFixed(6);
 }
 
-function buildSelectionFilename(base, extension) {
-    const timestamp = new Date().toISOString().replace(/[:T]/g, '-').split('.')[0];
-    return `${base}-selection-${timestamp}.${extension}`;
+function closeSceneSearch() {
+    const container = document.getElementById('scene-search');
+    if (container) {
+        container.classList.add('hidden');
+    }
 }
 
-function triggerDownload(filename, mimeType, content) {
-    try {
-        const blob = new Blob([content], { type: mimeType });
-        const url = URL.createObjectURL(blob);
+function setSceneSearchStatus(message, options = {}) {
+    const { error = false } = options;
+    const status = document.getElementById('scene-search-status');
+    if (!status) return;
 
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    status.textContent = message || '';
+    status.classList.toggle('error', !!error);
+}
 
-        setTimeout(() => URL.revokeObjectURL(url), 2000);
-    } catch (error) {
-        setShareLinkFeedback('Unable to download selection');
+async function runSceneSearch() {
+    const start = document.getElementById('scene-search-start')?.value || '';
+    const end = document.getElementById('scene-search-end')?.value || '';
+    const maxCloud = Number.parseFloat(document.getElementById('scene-search-cloud')?.value);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+        setSceneSearchStatus('Enter a start and end date', { error: true });
+        return;
+    }
+    if (start > end) {
+        setSceneSearchStatus('The start date is after the end date', { error: true });
+        return;
+    }
+    if (!Number.isFinite(maxCloud) || maxCloud < 0 || maxCloud > 100) {
+        setSceneSearchStatus('Cloud cover must be between 0 and 100', { error: true });
+        return;
     }
-}
 
-function setupShareLinkUI() {
-    shareLinkContainer = document.getElementById('share-link-container');
-    if (!shareLinkContainer) return;
+    const entries = getSelectedEntries()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .slice(0, CONFIG.stacApi.maxTiles || undefined);
+    if (entries.length === 0) {
+        setSceneSearchStatus('Select tiles to search for scenes', { error: true });
+        return;
+    }
 
-    shareLinkInput = document.getElementById('share-link-input');
-    shareLinkCopyButton = document.getElementById('share-link-copy');
-    shareLinkFeedback = document.getElementById('share-link-feedback');
-    shareLinkOptionsContainer = document.getElementById('share-link-options');
-    shareDownloadGeoJsonButton = document.getElementById('share-download-geojson');
-    shareDownloadCsvButton = document.getElementById('share-download-csv');
-    shareClearSelectionButton = document.getElementById('share-clear-selection');
-    shareZoomSelectionButton = document.getElementById('share-zoom-selection');
+    const token = ++sceneSearchState.token;
+    const options = { start, end, maxCloud };
+    const results = entries.map(entry => ({ tile: entry.name.toUpperCase(), scenes: [], error: null, truncated: false }));
+    sceneSearchState.results = results;
+    renderSceneSearchResults();
 
-    if (shareLinkCopyButton) {
-        shareLinkCopyButton.addEventListener('click', async function () {
-            if (!shareLinkInput || !shareLinkInput.value) return;
+    let done = 0;
+    setSceneSearchStatus(`Searching ${entries.length} tile${entries.length === 1 ? '' : 's'}…`);
 
-            const supportsClipboard = navigator.clipboard && navigator.clipboard.writeText;
+    try {
+        const capabilities = await getStacSearchCapabilities(CONFIG.stacApi.url);
+        if (token !== sceneSearchState.token) return;
 
-            if (supportsClipboard) {
+        const queue = entries.map((entry, i) => ({ entry, result: results[i] }));
+        const searchNext = async () => {
+            while (queue.length > 0) {
+                const { entry, result } = queue.shift();
                 try {
-                    await navigator.clipboard.writeText(shareLinkInput.value);
-                    return;
+                    const { scenes, truncated } = await searchStacScenesForTile(entry, options, capabilities);
+                    result.scenes = scenes;
+                    result.truncated = truncated;
                 } catch (error) {
-                    // Fall back to manual copy below
+                    result.error = error?.message || String(error);
                 }
+                if (token !== sceneSearchState.token) return;
+
+                done++;
+                setSceneSearchStatus(`Searched ${done} of ${entries.length} tiles…`);
+                renderSceneSearchResults();
             }
+        };
 
-            shareLinkInput.focus();
-            shareLinkInput.select();
-        });
+        await Promise.all(Array.from({ length: Math.min(SCENE_SEARCH_CONCURRENCY, queue.length) }, searchNext));
+    } catch (error) {
+        if (token === sceneSearchState.token) {
+            setSceneSearchStatus(`Scene search failed: ${error?.message || error}`, { error: true });
+        }
+        return;
     }
 
-    if (shareLinkInput) {
-        shareLinkInput.addEventListener('focus', function () {
-            shareLinkInput.select();
-        });
-    }
+    if (token !== sceneSearchState.token) return;
 
-    if (shareLinkOptionsContainer) {
-        shareLinkOptionsContainer.addEventListener('click', function (event) {
-            const optionButton = event.target.closest('.share-option');
-            if (!optionButton) return;
+    const total = results.reduce((sum, result) => sum + result.scenes.length, 0);
+    const failed = results.filter(result => result.error).length;
+    setSceneSearchStatus(
+        `${total} scene${total === 1 ? '' : 's'} for ${results.length} tile${results.length === 1 ? '' : 's'}` +
+        (failed ? ` (${failed} search${failed === 1 ? '' : 'es'} failed)` : ''),
+        { error: failed > 0 && failed === results.length }
+    );
+    renderSceneSearchResults();
+}
 
-            const gridName = optionButton.dataset.grid;
-            if (!gridName) return;
+// Search endpoint and filter support from the API's landing page. A missing
+// or unreadable landing page just means "{url}/search without filters".
+async function getStacSearchCapabilities(apiUrl) {
+    if (sceneSearchState.capabilities.has(apiUrl)) {
+        return sceneSearchState.capabilities.get(apiUrl);
+    }
 
-            event.preventDefault();
-            removeGridFromSelection(gridName);
-        });
+    const base = apiUrl.replace(/\/+$/, '');
+    const capabilities = { searchUrl: `${base}/search`, filter: false };
 
-        shareLinkOptionsContainer.addEventListener('mouseleave', function () {
-            clearHoverHighlight();
-        });
-    }
+    try {
+        const response = await fetch(base, { headers: { Accept: 'application/json' } });
+        if (response.ok) {
+            const landing = await response.json();
+            const conformsTo = Array.isArray(landing?.conformsTo) ? landing.conformsTo : [];
+            const searchLink = (Array.isArray(landing?.links) ? landing.links : []).find(link =>
+                link?.rel === 'search' && link.href && (!link.method || link.method.toUpperCase() === 'GET')
+            );
 
-    if (shareDownloadGeoJsonButton) {
-        shareDownloadGeoJsonButton.addEventListener('click', function () {
-            downloadSelectionAsGeoJSON();
-        });
+            if (searchLink) {
+                capabilities.searchUrl = new URL(searchLink.href, `${base}/`).href;
+            }
+            capabilities.filter = conformsTo.some(uri => /item-search#filter/.test(uri)) &&
+                conformsTo.some(uri => /cql2-text/.test(uri));
+        }
+    } catch (error) {
+        // Fall back to the defaults above
     }
 
-    if (shareDownloadCsvButton) {
-        shareDownloadCsvButton.addEventListener('click', function () {
-            downloadSelectionAsCSV();
-        });
+    sceneSearchState.capabilities.set(apiUrl, capabilities);
+    return capabilities;
+}
+
+// GET item search around the tile centre, following "next" links until
+// CONFIG.stacApi.maxItemsPerTile items have been read
+async function searchStacScenesForTile(entry, options, capabilities) {
+    const { collections, tileProperty, tilePrefix = '', maxItemsPerTile = 200 } = CONFIG.stacApi;
+    const tile = entry.name.toUpperCase();
+    const centroid = entry.centroid || getPolygonCentroid(entry.feature?.geometry);
+    if (!centroid) {
+        throw new Error('Tile has no geometry');
     }
 
-    if (shareClearSelectionButton) {
-        shareClearSelectionButton.addEventListener('click', function () {
-            clearSelection({ silent: false });
-        });
+    const lng = wrapLongitude(centroid.lng);
+    const delta = 0.001;
+    const params = new URLSearchParams();
+    if (Array.isArray(collections) && collections.length > 0) {
+        params.set('collections', collections.join(','));
+    }
+    params.set('bbox', [lng - delta, centroid.lat - delta, lng + delta, centroid.lat + delta]
+        .map(value => value.toFixed(6)).join(','));
+    params.set('datetime', `${options.start}T00:00:00Z/${options.end}T23:59:59Z`);
+    params.set('limit', String(Math.min(maxItemsPerTile, 100)));
+
+    const useFilter = capabilities.filter && !!tileProperty;
+    if (useFilter) {
+        params.set('filter-lang', 'cql2-text');
+        params.set('filter', `"${tileProperty}" = '${tilePrefix}${tile}' AND "eo:cloud_cover" <= ${options.maxCloud}`);
     }
 
-    if (shareZoomSelectionButton) {
-        shareZoomSelectionButton.addEventListener('click', function () {
-            zoomToSelection();
-        });
+    let response = await fetch(`${capabilities.searchUrl}?${params}`, { headers: { Accept: 'application/geo+json, application/json' } });
+
+    // Some servers advertise filtering but reject these queryables
+    if (useFilter && response.status === 400) {
+        capabilities.filter = false;
+        params.delete('filter-lang');
+        params.delete('filter');
+        response = await fetch(`${capabilities.searchUrl}?${params}`, { headers: { Accept: 'application/geo+json, application/json' } });
     }
-}
 
-function showShareLink(selectionEntries, shareUrl, options = {}) {
-    if (!shareLinkContainer) return;
+    const items = [];
+    let truncated = false;
 
-    const { focusShareLink = true } = options;
+    for (;;) {
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
 
-    shareLinkContainer.classList.remove('hidden');
+        const page = await response.json();
+        const features = Array.isArray(page?.features) ? page.features : [];
+        items.push(...features);
 
-    const count = selectionEntries.length;
-    const primaryName = count === 1 ? selectionEntries[0].name : null;
+        const next = (Array.isArray(page?.links) ? page.links : []).find(link => link?.rel === 'next' && link.href);
+        if (!next || features.length === 0) break;
+        if (items.length >= maxItemsPerTile) {
+            truncated = true;
+            break;
+        }
+        // Only GET pagination is followed
+        if (next.method && next.method.toUpperCase() !== 'GET') break;
 
-    if (shareLinkInput) {
-        shareLinkInput.value = shareUrl;
-        const ariaLabel = count === 1
-            ? `Shareable link for grid ${primaryName}`
-            : `Shareable link for ${count} grids`;
-        shareLinkInput.setAttribute('aria-label', ariaLabel);
+        response = await fetch(new URL(next.href, capabilities.searchUrl).href, { headers: { Accept: 'application/geo+json, application/json' } });
     }
 
-    updateShareLinkOptions(selectionEntries);
+    const seen = new Set();
+    const scenes = items
+        .slice(0, maxItemsPerTile)
+        .filter(item => {
+            if (!item || seen.has(item.id)) return false;
+            seen.add(item.id);
 
-    if (!focusShareLink) {
-        return;
+            // Items that don't say which tile they are stay in
+            const itemTile = getStacItemTile(item);
+            if (itemTile && itemTile !== tile) return false;
+
+            const cloud = item.properties?.['eo:cloud_cover'];
+            return !(typeof cloud === 'number' && cloud > options.maxCloud);
+        })
+        .map(item => toSceneRecord(item, tile));
+
+    return { scenes, truncated };
+}
+
+// MGRS tile of a STAC item from the common property conventions, or its id
+function getStacItemTile(item) {
+    const properties = item?.properties || {};
+
+    if (typeof properties['s2:mgrs_tile'] === 'string') {
+        return properties['s2:mgrs_tile'].toUpperCase();
     }
 
-    if (count > 1 && shareLinkOptionsContainer) {
-        const firstOption = shareLinkOptionsContainer.querySelector('.share-option');
-        if (firstOption) {
-            firstOption.focus();
-            return;
-        }
+    if (typeof properties['grid:code'] === 'string' && /^MGRS-/i.test(properties['grid:code'])) {
+        return properties['grid:code'].slice(5).toUpperCase();
     }
 
-    if (shareLinkInput) {
-        shareLinkInput.focus();
-        shareLinkInput.select();
+    const zone = properties['mgrs:utm_zone'];
+    const band = properties['mgrs:latitude_band'];
+    const square = properties['mgrs:grid_square'];
+    if (zone !== undefined && band && square) {
+        return `${String(zone).padStart(2, '0')}${band}${square}`.toUpperCase();
     }
+
+    const match = /(?:^|_)T?(\d{2}[C-X][A-Z]{2})(?:_|$)/i.exec(String(item?.id || ''));
+    return match ? match[1].toUpperCase() : null;
 }
 
-function updateShareLinkOptions(selectionEntries) {
-    if (!shareLinkOptionsContainer) return;
+function getStacItemProcessingLevel(item) {
+    const properties = item?.properties || {};
 
-    if (!Array.isArray(selectionEntries) || selectionEntries.length === 0) {
-        shareLinkOptionsContainer.innerHTML = '';
-        shareLinkOptionsContainer.classList.add('hidden');
-        return;
+    if (properties['processing:level']) {
+        return String(properties['processing:level']);
     }
 
-    shareLinkOptionsContainer.classList.remove('hidden');
+    const productType = String(properties['s2:product_type'] || '');
+    if (/1C$/i.test(productType)) return 'L1C';
+    if (/2A$/i.test(productType)) return 'L2A';
 
-    const sortedEntries = [...selectionEntries].sort((a, b) => a.name.localeCompare(b.name));
+    const level = /l(1c|2a)/i.exec(String(item?.collection || ''));
+    return level ? `L${level[1].toUpperCase()}` : '';
+}
 
-    const optionsHtml = sortedEntries.map(entry => {
-        const upper = entry.name.toUpperCase();
-        return `
-            <button type="button" class="share-option active" data-grid="${upper}" aria-label="Remove grid ${entry.name}">
-                <span class="share-option-name">${entry.name}</span>
-            </button>
-        `;
-    }).join('');
+// Only http(s) links are kept, as they end up in the page as hrefs
+function getStacItemThumbnail(item) {
+    const assets = item?.assets || {};
+    const asset = assets.thumbnail || assets.rendered_preview || assets.preview ||
+        Object.values(assets).find(candidate => Array.isArray(candidate?.roles) && candidate.roles.includes('thumbnail'));
+    const link = (Array.isArray(item?.links) ? item.links : []).find(candidate => candidate?.rel === 'thumbnail' || candidate?.rel === 'preview');
+    const href = String(asset?.href || link?.href || '');
 
-    shareLinkOptionsContainer.innerHTML = optionsHtml;
+    return /^https?:\/\//i.test(href) ? href : '';
+}
 
-    shareLinkOptionsContainer.querySelectorAll('.share-option').forEach(button => {
-        button.addEventListener('mouseenter', function () {
-            const gridName = this.dataset.grid;
-            if (gridName) {
-                showHoverHighlight(gridName);
-            }
-        });
+function toSceneRecord(item, tile) {
+    const properties = item.properties || {};
+    const cloud = properties['eo:cloud_cover'];
 
-        button.addEventListener('mouseleave', function () {
-            clearHoverHighlight();
-        });
+    return {
+        tile,
+        id: String(item.id || ''),
+        collection: String(item.collection || ''),
+        datetime: String(properties.datetime || properties.start_datetime || ''),
+        cloudCover: typeof cloud === 'number' ? cloud : null,
+        level: getStacItemProcessingLevel(item),
+        thumbnail: getStacItemThumbnail(item)
+    };
+}
+
+// Unknown values sort last in either direction
+function sortSceneRecords(scenes) {
+    const { key, descending } = sceneSearchState.sort;
+    const valueOf = scene => {
+        if (key === 'cloud') return scene.cloudCover;
+        if (key === 'level') return scene.level || null;
+        return scene.datetime || null;
+    };
+
+    return scenes.slice().sort((a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        if (valueA === null || valueB === null) {
+            return (valueA === null) - (valueB === null);
+        }
+        const order = typeof valueA === 'number' ? valueA - valueB : String(valueA).localeCompare(String(valueB));
+        return descending ? -order : order;
     });
 }
 
-function hideShareLink() {
-    if (shareLinkContainer) {
-        shareLinkContainer.classList.add('hidden');
-    }
+function renderSceneSearchResults() {
+    const container = document.getElementById('scene-search-results');
+    const exportButton = document.getElementById('scene-search-export');
+    if (!container) return;
 
-    if (shareLinkFeedback) {
-        shareLinkFeedback.textContent = '';
+    const { results, sort } = sceneSearchState;
+
+    if (exportButton) {
+        exportButton.disabled = !results.some(result => result.scenes.length > 0);
     }
 
-    if (shareLinkFeedbackTimer) {
-        clearTimeout(shareLinkFeedbackTimer);
-        shareLinkFeedbackTimer = null;
+    if (results.length === 0) {
+        container.innerHTML = '';
+        return;
     }
-}
 
-function setShareLinkFeedback(message) {
-    if (!shareLinkFeedback) return;
+    const header = Object.entries(SCENE_SORT_LABELS).map(([key, label]) => {
+        const active = sort.key === key;
+        const arrow = active ? (sort.descending ? ' ▼' : ' ▲') : '';
+        const ariaSort = active ? (sort.descending ? 'descending' : 'ascending') : 'none';
+        return `<th aria-sort="${ariaSort}"><button type="button" data-scene-sort="${key}">${label}${arrow}</button></th>`;
+    }).join('');
 
-    shareLinkFeedback.textContent = message;
+    container.innerHTML = results.map(result => {
+        let body;
+        if (result.error) {
+            body = `<p class="scene-search-note error">Search failed: ${escapeHtml(result.error)}</p>`;
+        } else if (result.scenes.length === 0) {
+            body = '<p class="scene-search-note">No scenes match</p>';
+        } else {
+            const rows = sortSceneRecords(result.scenes).map(scene => `
+                <tr title="${escapeHtml(scene.id)}">
+                    <td>${escapeHtml(scene.datetime ? scene.datetime.slice(0, 16).replace('T', ' ') : '–')}</td>
+                    <td>${scene.cloudCover === null ? '–' : scene.cloudCover.toFixed(1)}</td>
+                    <td>${escapeHtml(scene.level || '–')}</td>
+                    <td>${scene.thumbnail ? `<a href="${escapeHtml(scene.thumbnail)}" target="_blank" rel="noopener">View</a>` : '–'}</td>
+                </tr>
+            `).join('');
+            body = `
+                <table class="scene-search-table">
+                    <thead><tr>${header}<th>Thumbnail</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        }
 
-    if (shareLinkFeedbackTimer) {
-        clearTimeout(shareLinkFeedbackTimer);
+        const count = result.scenes.length;
+        const summary = result.error ? '' : `${count}${result.truncated ? '+' : ''} scene${count === 1 ? '' : 's'}`;
+        return `
+            <section class="scene-search-tile">
+                <h3>${escapeHtml(result.tile)} <span>${summary}</span></h3>
+                ${body}
+            </section>
+        `;
+    }).join('');
+}
+
+function downloadScenesAsCsv() {
+    const scenes = sceneSearchState.results.flatMap(result => sortSceneRecords(result.scenes));
+    if (scenes.length === 0) {
+        setSceneSearchStatus('Search for scenes to export first', { error: true });
+        return;
     }
 
-    if (!message) {
-        shareLinkFeedbackTimer = null;
+    const headers = ['tile', 'item_id', 'collection', 'datetime', 'cloud_cover', 'processing_level', 'thumbnail'];
+    const rows = scenes.map(scene => [
+        scene.tile,
+        scene.id,
+        scene.collection,
+        scene.datetime,
+        scene.cloudCover === null ? '' : scene.cloudCover,
+        scene.level,
+        scene.thumbnail
+    ]);
+    const csvContent = [
+        headers.map(escapeCsvValue).join(','),
+        ...rows.map(values => values.map(escapeCsvValue).join(','))
+    ].join('\n');
+
+    triggerDownload(buildSelectionFilename('sentinel-2-scenes', 'csv'), 'text/csv', csvContent);
+}
+
+// Re-run the visible search once more of the catalogue has loaded
+function refreshOpenSearchResults() {
+    const searchInput = document.getElementById('grid-search');
+    const searchResults = document.getElementById('search-results');
+    if (!searchInput || !searchResults || !searchResults.classList.contains('show')) {
         return;
     }
 
-    shareLinkFeedbackTimer = setTimeout(() => {
-        if (shareLinkFeedback) {
-            shareLinkFeedback.textContent = '';
-        }
-    }, 3000);
+    const query = searchInput.value.trim().toUpperCase();
+    if (query.length > 0 && !parseCoordinateQuery(query) && !isTilePattern(query) && parseRelativeOrbitQuery(query) === null) {
+        performSearch(query);
+    }
 }
 
 // Hide search results
@@ -2072,6 +8127,7 @@ function hideSearchResults() {
     if (searchResults) {
         searchResults.classList.remove('show');
     }
+    clearPatternPreview();
 }
 
 function getGridParamsFromUrl() {
@@ -2221,6 +8277,7 @@ async function loadNoCoverageArea() {
     try {
         const response = await fetch(CONFIG.noCoverageAreaPath);
         if (!response.ok) {
+            logShareDebug('loadNoCoverageArea: request failed', { status: response.status });
             return;
         }
 
@@ -2231,6 +8288,9 @@ async function loadNoCoverageArea() {
 
     } catch (error) {
         logShareDebug('loadNoCoverageArea: failed', { message: error?.message });
+        if (isNetworkOffline()) {
+            setAppStatus({ offline: true });
+        }
     }
 }
 
@@ -2244,6 +8304,7 @@ function createNoCoverageLayer() {
         interactive: true, // Ensure it remains interactive
         onEachFeature: function (feature, layer) {
             layer.on('click', handleNoCoverageLayerClick);
+            layer.on('contextmenu', handleNoCoverageLayerContextMenu);
 
             // Ensure the layer stays on top when added
             layer.bringToFront();
@@ -2266,6 +8327,102 @@ function createNoCoverageLayer() {
     }, 100);
 }
 
+const RELATIVE_ORBIT_COUNT = 143;
+
+// Load the relative orbit swaths and the tiles each one touches (listed in
+// the dataset by the build tools). Without them (path unset or the request
+// fails) there is no overlay, orbit search or orbit details, and nothing else
+// changes.
+async function loadRelativeOrbits() {
+    if (!CONFIG.relativeOrbitsPath) return;
+
+    try {
+        const response = await fetch(CONFIG.relativeOrbitsPath);
+        if (!response.ok) {
+            logShareDebug('loadRelativeOrbits: request failed', { status: response.status });
+            return;
+        }
+
+        const data = await response.json();
+        const features = (Array.isArray(data?.features) ? data.features : [])
+            .filter(feature => getRelativeOrbitNumber(feature) !== null);
+        if (features.length === 0) return;
+
+        const tilesByOrbit = new Map();
+        const orbitsByTile = new Map();
+        features.forEach(feature => {
+            const orbit = getRelativeOrbitNumber(feature);
+            const tiles = Array.isArray(feature.properties.tiles) ? feature.properties.tiles : [];
+            tilesByOrbit.set(orbit, [...(tilesByOrbit.get(orbit) || []), ...tiles]);
+            tiles.forEach(tile => {
+                const name = String(tile).toUpperCase();
+                orbitsByTile.set(name, [...(orbitsByTile.get(name) || []), orbit]);
+            });
+        });
+        orbitsByTile.forEach(orbits => orbits.sort((a, b) => a - b));
+
+        relativeOrbits = { features, approximate: data.approximate === true, tilesByOrbit, orbitsByTile };
+        createRelativeOrbitLayer();
+
+        // Add the orbits to a tile already open in the details panel
+        renderTileDetails();
+    } catch (error) {
+        logShareDebug('loadRelativeOrbits: failed', { message: error?.message });
+    }
+}
+
+function getRelativeOrbitNumber(feature) {
+    const orbit = Number(feature?.properties?.orbit);
+    return Number.isInteger(orbit) && orbit >= 1 && orbit <= RELATIVE_ORBIT_COUNT ? orbit : null;
+}
+
+function formatRelativeOrbit(orbit) {
+    return `R${String(orbit).padStart(3, '0')}`;
+}
+
+// Modelled swaths (tools/generate-relative-orbits.js) are flagged approximate,
+// and every place that shows orbits says so
+function getRelativeOrbitLabel() {
+    return relativeOrbits?.approximate ? 'Relative orbits (approximate)' : 'Relative orbits';
+}
+
+function getRelativeOrbitColumn() {
+    return relativeOrbits?.approximate ? 'orbits_approx' : 'orbits';
+}
+
+// Off by default; swaths overlap their neighbours, so they are outlines with
+// a faint fill. Clicks fall through to the tiles like the coverage layer.
+function createRelativeOrbitLayer() {
+    if (!relativeOrbits || !map) return;
+
+    relativeOrbitLayer = L.geoJSON({
+        type: 'FeatureCollection',
+        features: withAntimeridianCopies(relativeOrbits.features)
+    }, {
+        style: feature => {
+            const color = `hsl(${(getRelativeOrbitNumber(feature) * 137.5) % 360}, 70%, 45%)`;
+            return { color, weight: 1.5, opacity: 0.9, fillColor: color, fillOpacity: 0.06 };
+        },
+        onEachFeature: function (feature, layer) {
+            const approximate = relativeOrbits.approximate ? ' (approximate swath)' : '';
+            layer.bindTooltip(`Relative orbit ${formatRelativeOrbit(getRelativeOrbitNumber(feature))}${approximate}`, { sticky: true });
+            layer.on('click', handleNoCoverageLayerClick);
+            layer.on('contextmenu', handleNoCoverageLayerContextMenu);
+        }
+    });
+
+    if (map.layerControl) {
+        map.layerControl.addOverlay(relativeOrbitLayer, getRelativeOrbitLabel());
+    }
+}
+
+// Relative orbits whose swath touches the tile, or null without orbit data
+function getTileRelativeOrbits(feature) {
+    if (!relativeOrbits || !feature?.geometry) return null;
+
+    return relativeOrbits.orbitsByTile.get(getGridName(feature).toUpperCase()) || [];
+}
+
 function handleNoCoverageLayerClick(event) {
     if (!event || !event.latlng) {
         return;
@@ -2276,11 +8433,32 @@ function handleNoCoverageLayerClick(event) {
         return;
     }
 
+    if (event.originalEvent?.altKey && !isSelectionGestureActive()) {
+        showTileDetails(candidates[0]);
+        return;
+    }
+
     processGridClick(candidates[0], event, {
         centerMap: false
     });
 }
 
+function handleNoCoverageLayerContextMenu(event) {
+    if (!event || !event.latlng) {
+        return;
+    }
+
+    const candidates = findGridCandidatesAtLatLng(event.latlng);
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+        return;
+    }
+
+    if (event.originalEvent) {
+        L.DomEvent.preventDefault(event.originalEvent);
+    }
+    showTileDetails(candidates[0]);
+}
+
 // Show/hide UI elements
 function hideLoading() {
     document.getElementById('loading').classList.add('hidden');
@@ -2296,6 +8474,120 @@ function showError(message) {
     `;
 }
 
+// Offline support
+function registerServiceWorker() {
+    window.addEventListener('online', () => setAppStatus({ offline: false }));
+    window.addEventListener('offline', () => setAppStatus({ offline: true }));
+
+    if (isNetworkOffline()) {
+        setAppStatus({ offline: true });
+    }
+
+    if (!CONFIG.serviceWorkerPath || !('serviceWorker' in navigator)) {
+        return;
+    }
+
+    // Service workers only run on http(s) origins
+    if (!/^https?:$/.test(window.location.protocol)) {
+        return;
+    }
+
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+
+    // A page already controlled by a worker was offline-ready before it loaded,
+    // so only a first install is announced
+    const alreadyInstalled = !!navigator.serviceWorker.controller;
+
+    navigator.serviceWorker.register(CONFIG.serviceWorkerPath).then(registration => {
+        logShareDebug('registerServiceWorker: registered', { scope: registration.scope });
+        return navigator.serviceWorker.ready;
+    }).then(() => {
+        if (alreadyInstalled) {
+            appStatusState.offlineReady = true;
+            return;
+        }
+        setAppStatus({ offlineReady: true });
+    }).catch(error => {
+        logShareDebug('registerServiceWorker: failed', { message: error?.message });
+    });
+}
+
+function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'offline':
+            setAppStatus({ offline: true });
+            break;
+        case 'online':
+            if (appStatusState.offline && !isNetworkOffline()) {
+                setAppStatus({ offline: false });
+            }
+            break;
+        case 'dataset-updated':
+            logShareDebug('handleServiceWorkerMessage: dataset updated', { url: message.url });
+            setAppStatus({ updateAvailable: true });
+            break;
+        default:
+            break;
+    }
+}
+
+function isNetworkOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+function setAppStatus(changes) {
+    const wasOfflineReady = appStatusState.offlineReady;
+    Object.assign(appStatusState, changes);
+    renderAppStatus({ announceOfflineReady: !wasOfflineReady && appStatusState.offlineReady });
+}
+
+function renderAppStatus(options = {}) {
+    const { announceOfflineReady = false } = options;
+    const container = document.getElementById('app-status');
+    const message = document.getElementById('app-status-message');
+    const reloadButton = document.getElementById('app-status-reload');
+    if (!container || !message || !reloadButton) return;
+
+    if (appStatusTimer) {
+        clearTimeout(appStatusTimer);
+        appStatusTimer = null;
+    }
+
+    container.classList.remove('offline', 'update');
+    reloadButton.classList.add('hidden');
+
+    if (appStatusState.updateAvailable) {
+        message.textContent = 'A newer grid dataset is available.';
+        reloadButton.classList.remove('hidden');
+        container.classList.add('update');
+    } else if (appStatusState.offline) {
+        message.textContent = 'Offline - using cached data';
+        container.classList.add('offline');
+    } else if (announceOfflineReady) {
+        message.textContent = 'Ready to use offline';
+        appStatusTimer = setTimeout(() => {
+            container.classList.add('hidden');
+            appStatusTimer = null;
+        }, 4000);
+    } else {
+        container.classList.add('hidden');
+        return;
+    }
+
+    container.classList.remove('hidden');
+}
+
+function setupAppStatusUI() {
+    const reloadButton = document.getElementById('app-status-reload');
+    if (reloadButton) {
+        reloadButton.addEventListener('click', function () {
+            window.location.reload();
+        });
+    }
+}
+
 // Utility functions
 function debounce(func, wait) {
     let timeout;
@@ -2321,6 +8613,14 @@ function setupEventListeners() {
 // Initialise when DOM is ready
 document.addEventListener('DOMContentLoaded', function () {
     setupShareLinkUI();
+    setupTileDetailsUI();
+    setupBulkPasteUI();
+    setupSavedSelectionsUI();
+    setupSetOperationsUI();
+    setupSelectionImportUI();
+    setupSceneSearchUI();
+    setupAppStatusUI();
+    registerServiceWorker();
     pendingGridSelection = getGridParamsFromUrl();
     logShareDebug('DOMContentLoaded: initial share link state', {
         href: window.location.href,
@@ -0,0 +1,236 @@
+// Service worker: precaches the app shell and grid datasets so the explorer
+// keeps working on patchy connections.
+//
+// - App shell: network first, falling back to the cache when offline
+// - Grid data: served from the cache, then revalidated in the background; the
+//   page is told when a newer dataset has been downloaded
+// - Leaflet from the CDN: cache first
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `s2-explorer-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `s2-explorer-data-${CACHE_VERSION}`;
+const CDN_CACHE = `s2-explorer-cdn-${CACHE_VERSION}`;
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'script.js',
+    'grid-index.js',
+    'file-formats.js',
+    'grid-worker.js',
+    'style.css',
+    'manifest.webmanifest',
+    'images/office_logo.png',
+    'images/icon.svg',
+    'images/icon-192.png',
+    'images/icon-512.png'
+];
+
+const DATA_ASSETS = [
+    'data/sentinel-2_grids.geojson',
+    'data/sentinel-2_no_coverage.geojson',
+    'data/sentinel-2_relative_orbits.geojson'
+];
+
+const CHUNK_MANIFEST = 'data/grid-chunks/manifest.json';
+
+const CDN_ASSETS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+];
+
+self.addEventListener('install', function (event) {
+    event.waitUntil((async () => {
+        const shellCache = await caches.open(SHELL_CACHE);
+        await shellCache.addAll(SHELL_ASSETS);
+
+        const dataCache = await caches.open(DATA_CACHE);
+        await dataCache.addAll(DATA_ASSETS);
+        await precacheGridChunks(dataCache);
+
+        // The CDN is optional at install time; it is cached on first use too
+        const cdnCache = await caches.open(CDN_CACHE);
+        await Promise.all(CDN_ASSETS.map(url => cdnCache.add(url).catch(() => null)));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', function (event) {
+    event.waitUntil((async () => {
+        const keep = new Set([SHELL_CACHE, DATA_CACHE, CDN_CACHE]);
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('s2-explorer-') && !keep.has(key))
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', function (event) {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        const scopePath = new URL(self.registration.scope).pathname;
+        const relativePath = url.pathname.startsWith(scopePath)
+            ? url.pathname.slice(scopePath.length)
+            : url.pathname;
+
+        if (relativePath.startsWith('data/')) {
+            event.respondWith(handleDataRequest(event, request));
+        } else {
+            event.respondWith(handleShellRequest(request));
+        }
+        return;
+    }
+
+    if (CDN_ASSETS.includes(request.url)) {
+        event.respondWith(handleCdnRequest(request));
+    }
+});
+
+async function handleShellRequest(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(stripSearch(request), response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Navigations carry the selection in the query string (?grids=...)
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('index.html') : null);
+        if (cached) {
+            notifyClients({ type: 'offline' });
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function handleDataRequest(event, request) {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const revalidation = revalidateDataEntry(cache, request, cached);
+
+    if (cached) {
+        event.waitUntil(revalidation.catch(() => null));
+        return cached.clone();
+    }
+
+    return revalidation;
+}
+
+// Download the latest copy of a data file, store it and report whether it
+// differs from the cached one
+async function revalidateDataEntry(cache, request, cached) {
+    let response;
+    try {
+        response = await fetch(request, { cache: 'no-cache' });
+    } catch (error) {
+        if (cached) {
+            notifyClients({ type: 'offline' });
+        }
+        throw error;
+    }
+
+    if (!response.ok) {
+        return response;
+    }
+
+    notifyClients({ type: 'online' });
+
+    const key = stripSearch(request);
+    const isChunkManifest = new URL(request.url).pathname.endsWith(CHUNK_MANIFEST);
+    const changed = cached
+        ? await hasDataChanged(cached.clone(), response.clone(), isChunkManifest)
+        : false;
+
+    await cache.put(key, response.clone());
+
+    if (changed) {
+        if (isChunkManifest) {
+            await precacheGridChunks(cache, { reload: true });
+        }
+        notifyClients({ type: 'dataset-updated', url: request.url });
+    }
+
+    return response;
+}
+
+async function hasDataChanged(cached, fresh, isChunkManifest) {
+    if (isChunkManifest) {
+        try {
+            const [previous, next] = await Promise.all([cached.json(), fresh.json()]);
+            return previous?.datasetVersion !== next?.datasetVersion;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    const signature = response => response.headers.get('ETag') || response.headers.get('Last-Modified');
+    const previous = signature(cached);
+    const next = signature(fresh);
+    return Boolean(previous && next && previous !== next);
+}
+
+// Cache every chunk listed in the chunk manifest, when the deployment has one
+async function precacheGridChunks(cache, options = {}) {
+    const { reload = false } = options;
+
+    try {
+        const manifestUrl = new URL(CHUNK_MANIFEST, self.registration.scope).href;
+        let response = reload ? await cache.match(manifestUrl) : null;
+        if (!response) {
+            response = await fetch(manifestUrl, { cache: 'no-cache' });
+            if (!response.ok) return;
+            await cache.put(manifestUrl, response.clone());
+        }
+
+        const manifest = await response.json();
+        const chunkUrls = (manifest?.chunks || [])
+            .filter(chunk => chunk && chunk.path)
+            .map(chunk => new URL(chunk.path, manifestUrl).href);
+
+        await Promise.all(chunkUrls.map(async url => {
+            const chunkResponse = await fetch(url, { cache: reload ? 'reload' : 'no-cache' });
+            if (chunkResponse.ok) {
+                await cache.put(url, chunkResponse);
+            }
+        }));
+    } catch (error) {
+        // Chunks are an optimisation; the monolithic GeoJSON is always cached
+    }
+}
+
+async function handleCdnRequest(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+function stripSearch(request) {
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    return url.href;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
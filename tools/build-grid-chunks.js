@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Split the monolithic Sentinel-2 grid GeoJSON into one compact chunk per UTM
+// zone plus a manifest, so the explorer only downloads the zones in view.
+//
+// Usage: node tools/build-grid-chunks.js [source.geojson] [output-dir]
+//
+// Chunk files drop the Z coordinate and round longitudes/latitudes to
+// 6 decimals (~0.1 m). Each chunk is { zone, tiles: [[name, coordinates]] }
+// where coordinates are MultiPolygon coordinates.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const root = path.resolve(__dirname, '..');
+const sourcePath = path.resolve(process.argv[2] || path.join(root, 'data', 'sentinel-2_grids.geojson'));
+const outputDir = path.resolve(process.argv[3] || path.join(root, 'data', 'grid-chunks'));
+const PRECISION = 1e6;
+
+function roundCoord(value) {
+    return Math.round(value * PRECISION) / PRECISION;
+}
+
+function getName(feature) {
+    const properties = feature.properties || {};
+    return properties.name || properties.Name || properties.title || properties.TITLE || properties.id || null;
+}
+
+function toMultiPolygon(geometry) {
+    if (!geometry) return null;
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return null;
+}
+
+function main() {
+    const source = fs.readFileSync(sourcePath);
+    const data = JSON.parse(source.toString('utf8'));
+    const zones = new Map();
+
+    (data.features || []).forEach(feature => {
+        const name = getName(feature);
+        const coordinates = toMultiPolygon(feature.geometry);
+        if (!name || !coordinates) return;
+
+        const zone = String(name).slice(0, 2);
+        if (!/^\d{2}$/.test(zone)) return;
+
+        const compact = coordinates.map(polygon => polygon.map(ring => ring.map(coord => [
+            roundCoord(coord[0]),
+            roundCoord(coord[1])
+        ])));
+
+        if (!zones.has(zone)) {
+            zones.set(zone, []);
+        }
+        zones.get(zone).push([String(name), compact]);
+    });
+
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const chunks = Array.from(zones.keys()).sort().map(zone => {
+        const tiles = zones.get(zone).sort((a, b) => a[0].localeCompare(b[0]));
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+        tiles.forEach(([, coordinates]) => {
+            coordinates.forEach(polygon => polygon[0].forEach(([lng, lat]) => {
+                bbox[0] = Math.min(bbox[0], lng);
+                bbox[1] = Math.min(bbox[1], lat);
+                bbox[2] = Math.max(bbox[2], lng);
+                bbox[3] = Math.max(bbox[3], lat);
+            }));
+        });
+
+        const file = `zone-${zone}.json`;
+        fs.writeFileSync(path.join(outputDir, file), JSON.stringify({ zone, tiles }));
+
+        return {
+            id: zone,
+            prefix: zone,
+            path: file,
+            featureCount: tiles.length,
+            bbox
+        };
+    });
+
+    const manifest = {
+        format: 'sentinel-2-grid-chunks',
+        formatVersion: 1,
+        datasetVersion: crypto.createHash('sha1').update(source).digest('hex').slice(0, 12),
+        source: path.basename(sourcePath),
+        featureCount: chunks.reduce((sum, chunk) => sum + chunk.featureCount, 0),
+        chunks
+    };
+
+    fs.writeFileSync(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${chunks.length} chunks (${manifest.featureCount} tiles) to ${path.relative(root, outputDir)}`);
+}
+
+main();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Build the relative orbit overlay from a GeoJSON of Sentinel-2 swath
+// polygons, such as ESA's relative orbit KML converted with
+// `ogr2ogr -f GeoJSON swaths.geojson <file>.kml`.
+//
+// Usage: node tools/build-relative-orbits.js <source.geojson> [output.geojson] [--property=Name] [--grid=grid.geojson]
+//
+// The orbit number is read from the first run of digits in the given
+// property (default: the first of orbit, relative_orbit, OrbitRelative, Name
+// that is present), so "R051", "51" and "Relative orbit 51" all work. Swaths
+// of the same orbit are merged into one MultiPolygon, Z is dropped and
+// coordinates are rounded to 5 decimals (~1 m). Line and point features are
+// skipped: the overlay needs swath polygons, not ground tracks. Each swath
+// lists the grid tiles it touches (`tiles`), computed against
+// data/sentinel-2_grids.geojson unless --grid names another catalogue.
+
+const fs = require('fs');
+const path = require('path');
+const { addSwathTiles } = require('./swath-tiles');
+
+const root = path.resolve(__dirname, '..');
+const args = process.argv.slice(2);
+const propertyArg = args.find(arg => arg.startsWith('--property='));
+const gridArg = args.find(arg => arg.startsWith('--grid='));
+const [sourceArg, outputArg] = args.filter(arg => !arg.startsWith('--'));
+const PROPERTY_CANDIDATES = propertyArg
+    ? [propertyArg.slice('--property='.length)]
+    : ['orbit', 'relative_orbit', 'OrbitRelative', 'Name'];
+const RELATIVE_ORBIT_COUNT = 143;
+const PRECISION = 1e5;
+
+if (!sourceArg) {
+    console.error('Usage: node tools/build-relative-orbits.js <source.geojson> [output.geojson] [--property=Name] [--grid=grid.geojson]');
+    process.exit(1);
+}
+
+const sourcePath = path.resolve(sourceArg);
+const outputPath = path.resolve(outputArg || path.join(root, 'data', 'sentinel-2_relative_orbits.geojson'));
+const gridPath = path.resolve(gridArg ? gridArg.slice('--grid='.length) : path.join(root, 'data', 'sentinel-2_grids.geojson'));
+
+function roundCoord(value) {
+    return Math.round(value * PRECISION) / PRECISION;
+}
+
+function getOrbit(feature) {
+    const properties = feature.properties || {};
+    const key = PROPERTY_CANDIDATES.find(candidate => properties[candidate] !== undefined && properties[candidate] !== null);
+    if (!key) return null;
+
+    const match = /\d+/.exec(String(properties[key]));
+    const orbit = match ? Number(match[0]) : NaN;
+    return orbit >= 1 && orbit <= RELATIVE_ORBIT_COUNT ? orbit : null;
+}
+
+function toMultiPolygon(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    if (geometry.type === 'GeometryCollection') {
+        return (geometry.geometries || []).flatMap(toMultiPolygon);
+    }
+    return [];
+}
+
+function main() {
+    const data = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+    const orbits = new Map();
+    let skipped = 0;
+
+    (data.features || []).forEach(feature => {
+        const orbit = getOrbit(feature);
+        const polygons = toMultiPolygon(feature.geometry);
+        if (orbit === null || polygons.length === 0) {
+            skipped++;
+            return;
+        }
+
+        const compact = polygons.map(polygon => polygon.map(ring => ring.map(coord => [
+            roundCoord(coord[0]),
+            roundCoord(coord[1])
+        ])));
+
+        if (!orbits.has(orbit)) {
+            orbits.set(orbit, []);
+        }
+        orbits.get(orbit).push(...compact);
+    });
+
+    const features = Array.from(orbits.keys()).sort((a, b) => a - b).map(orbit => ({
+        type: 'Feature',
+        properties: { orbit },
+        geometry: { type: 'MultiPolygon', coordinates: orbits.get(orbit) }
+    }));
+
+    if (features.length === 0) {
+        console.error('No swath polygons with a relative orbit number found; check --property');
+        process.exit(1);
+    }
+
+    const tileCount = addSwathTiles(features, gridPath);
+
+    fs.writeFileSync(outputPath, JSON.stringify({ type: 'FeatureCollection', features }));
+    console.log(`Wrote ${features.length} relative orbits over ${tileCount} tiles to ${path.relative(root, outputPath)}` +
+        (skipped > 0 ? ` (skipped ${skipped} feature${skipped === 1 ? '' : 's'} without a polygon or orbit number)` : ''));
+}
+
+main();
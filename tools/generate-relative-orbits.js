@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// Generate the relative orbit overlay from the Sentinel-2 orbit parameters,
+// for when no swath dataset from ESA is at hand.
+//
+// Usage: node tools/generate-relative-orbits.js [output.geojson] [--grid=grid.geojson]
+//
+// The orbit is modelled as circular and sun-synchronous with a 10 day,
+// 143 orbit repeat cycle, so each relative orbit's ground track is the
+// previous one shifted 360 * 10 / 143 degrees west. The longitude of orbit
+// 1's ascending node was fitted to published products (R031 over T53NMJ,
+// R051 over T31UDQ). Each swath is the descending (daylight) pass from about
+// 82°N to 58°S, 290 km wide, split at the antimeridian. Swath edges are
+// accurate to a few kilometres, so tiles near an edge may list an orbit that
+// only grazes them: the output is flagged `approximate` and the explorer says
+// so wherever it shows orbits. Use ESA's swath KML with
+// tools/build-relative-orbits.js for exact footprints.
+//
+// Each swath lists the grid tiles it touches (`tiles`), computed against
+// data/sentinel-2_grids.geojson unless --grid names another catalogue.
+
+const fs = require('fs');
+const path = require('path');
+const { addSwathTiles } = require('./swath-tiles');
+
+const root = path.resolve(__dirname, '..');
+const args = process.argv.slice(2);
+const gridArg = args.find(arg => arg.startsWith('--grid='));
+const [outputArg] = args.filter(arg => !arg.startsWith('--'));
+const outputPath = path.resolve(outputArg || path.join(root, 'data', 'sentinel-2_relative_orbits.geojson'));
+const gridPath = path.resolve(gridArg ? gridArg.slice('--grid='.length) : path.join(root, 'data', 'sentinel-2_grids.geojson'));
+
+const RELATIVE_ORBIT_COUNT = 143;
+const REPEAT_DAYS = 10;
+const INCLINATION = 98.5621; // degrees
+const FIRST_ASCENDING_NODE = 0.4; // Longitude of relative orbit 1's ascending node
+const SWATH_HALF_WIDTH = 145; // km
+const EARTH_RADIUS = 6371.0088; // km, mean radius
+const IMAGING_START = 84; // Argument of latitude (degrees from the ascending node)
+const IMAGING_END = 240;
+const STEP = 2; // degrees of argument of latitude between swath vertices
+const PRECISION = 1e3;
+
+// Longitude drift per orbit: the ground track repeats after 143 orbits
+const NODE_SHIFT = 360 * REPEAT_DAYS / RELATIVE_ORBIT_COUNT;
+
+const toRad = degrees => degrees * Math.PI / 180;
+const toDeg = radians => radians * 180 / Math.PI;
+
+function roundCoord(value) {
+    return Math.round(value * PRECISION) / PRECISION;
+}
+
+// Nadir point at argument of latitude u
+function getNadir(orbit, u) {
+    const inclination = toRad(INCLINATION);
+    const ur = toRad(u);
+    const node = FIRST_ASCENDING_NODE - ((orbit - 1) * NODE_SHIFT);
+
+    return {
+        lat: toDeg(Math.asin(Math.sin(inclination) * Math.sin(ur))),
+        lng: node + toDeg(Math.atan2(Math.cos(inclination) * Math.sin(ur), Math.cos(ur))) - (NODE_SHIFT * u / 360)
+    };
+}
+
+function getBearing(from, to) {
+    const lat1 = toRad(from.lat);
+    const lat2 = toRad(to.lat);
+    const dLng = toRad(to.lng - from.lng);
+    return Math.atan2(
+        Math.sin(dLng) * Math.cos(lat2),
+        (Math.cos(lat1) * Math.sin(lat2)) - (Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng))
+    );
+}
+
+// Point a distance (km) away along a bearing (radians), keeping longitudes
+// continuous with the start point
+function getDestination(start, bearing, distance) {
+    const lat1 = toRad(start.lat);
+    const angle = distance / EARTH_RADIUS;
+    const lat2 = Math.asin((Math.sin(lat1) * Math.cos(angle)) + (Math.cos(lat1) * Math.sin(angle) * Math.cos(bearing)));
+    const dLng = Math.atan2(
+        Math.sin(bearing) * Math.sin(angle) * Math.cos(lat1),
+        Math.cos(angle) - (Math.sin(lat1) * Math.sin(lat2))
+    );
+    return { lat: toDeg(lat2), lng: start.lng + toDeg(dLng) };
+}
+
+// The swath outline as one counter-clockwise ring with unwrapped longitudes:
+// the right edge along the pass, then the left edge back
+function buildSwathRing(orbit) {
+    const left = [];
+    const right = [];
+    let previousLng = null;
+
+    for (let u = IMAGING_START; u <= IMAGING_END; u += STEP) {
+        const nadir = getNadir(orbit, u);
+        if (previousLng !== null) {
+            nadir.lng -= 360 * Math.round((nadir.lng - previousLng) / 360);
+        }
+        previousLng = nadir.lng;
+        const bearing = getBearing(nadir, getNadir(orbit, u + 0.01));
+        const leftPoint = getDestination(nadir, bearing - (Math.PI / 2), SWATH_HALF_WIDTH);
+        const rightPoint = getDestination(nadir, bearing + (Math.PI / 2), SWATH_HALF_WIDTH);
+        left.push([leftPoint.lng, leftPoint.lat]);
+        right.push([rightPoint.lng, rightPoint.lat]);
+    }
+
+    const ring = [...right, ...left.reverse()];
+    ring.push(ring[0]);
+    return ring;
+}
+
+// Sutherland-Hodgman against one vertical line; keep is true for the side kept
+function clipRing(ring, lng, keep) {
+    const result = [];
+
+    for (let i = 0; i < ring.length - 1; i++) {
+        const current = ring[i];
+        const next = ring[i + 1];
+        const currentInside = keep(current[0]);
+        const nextInside = keep(next[0]);
+
+        if (currentInside) {
+            result.push(current);
+        }
+        if (currentInside !== nextInside) {
+            const t = (lng - current[0]) / (next[0] - current[0]);
+            result.push([lng, current[1] + ((next[1] - current[1]) * t)]);
+        }
+    }
+
+    if (result.length > 0) {
+        result.push(result[0]);
+    }
+    return result;
+}
+
+// Split an unwrapped ring into pieces within -180..180
+function splitRingAtAntimeridian(ring) {
+    const pieces = [];
+
+    [-360, 0, 360].forEach(offset => {
+        const shifted = ring.map(([lng, lat]) => [lng + offset, lat]);
+        const clipped = clipRing(clipRing(shifted, -180, lng => lng >= -180), 180, lng => lng <= 180);
+        if (clipped.length >= 4) {
+            pieces.push(clipped.map(([lng, lat]) => [roundCoord(lng), roundCoord(lat)]));
+        }
+    });
+
+    return pieces;
+}
+
+function normaliseRing(ring) {
+    // Start the ring within -180..180 so at most one neighbouring window is needed
+    const offset = -360 * Math.floor((ring[0][0] + 180) / 360);
+    return ring.map(([lng, lat]) => [lng + offset, lat]);
+}
+
+function main() {
+    const features = [];
+
+    for (let orbit = 1; orbit <= RELATIVE_ORBIT_COUNT; orbit++) {
+        const pieces = splitRingAtAntimeridian(normaliseRing(buildSwathRing(orbit)));
+        features.push({
+            type: 'Feature',
+            properties: { orbit },
+            geometry: { type: 'MultiPolygon', coordinates: pieces.map(ring => [ring]) }
+        });
+    }
+
+    const tileCount = addSwathTiles(features, gridPath);
+
+    fs.writeFileSync(outputPath, JSON.stringify({ type: 'FeatureCollection', approximate: true, features }));
+    console.log(`Wrote ${features.length} relative orbits over ${tileCount} tiles to ${path.relative(root, outputPath)}`);
+}
+
+main();
@@ -0,0 +1,96 @@
+// Shared by the relative orbit tools: list the grid tiles each swath touches,
+// so the explorer can look orbits up by tile name instead of intersecting
+// every tile with every swath in the browser.
+
+const fs = require('fs');
+
+function getName(feature) {
+    const properties = feature.properties || {};
+    return properties.name || properties.Name || properties.title || properties.TITLE || properties.id || null;
+}
+
+function toMultiPolygon(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+function getRingBounds(ring) {
+    const bounds = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+    ring.forEach(([lng, lat]) => {
+        bounds.minLng = Math.min(bounds.minLng, lng);
+        bounds.minLat = Math.min(bounds.minLat, lat);
+        bounds.maxLng = Math.max(bounds.maxLng, lng);
+        bounds.maxLat = Math.max(bounds.maxLat, lat);
+    });
+    return bounds;
+}
+
+function boundsIntersect(a, b) {
+    return a.minLng <= b.maxLng && a.maxLng >= b.minLng && a.minLat <= b.maxLat && a.maxLat >= b.minLat;
+}
+
+function isPointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi) / (yj - yi)) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function segmentsCross([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+    const d1 = ((dx - cx) * (ay - cy)) - ((dy - cy) * (ax - cx));
+    const d2 = ((dx - cx) * (by - cy)) - ((dy - cy) * (bx - cx));
+    const d3 = ((bx - ax) * (cy - ay)) - ((by - ay) * (cx - ax));
+    const d4 = ((bx - ax) * (dy - ay)) - ((by - ay) * (dx - ax));
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+// Outer rings only: swaths and tiles have no holes worth considering
+function ringsIntersect(a, b) {
+    if (a.some(point => isPointInRing(point, b)) || b.some(point => isPointInRing(point, a))) {
+        return true;
+    }
+
+    for (let i = 0; i < a.length - 1; i++) {
+        for (let j = 0; j < b.length - 1; j++) {
+            if (segmentsCross(a[i], a[i + 1], b[j], b[j + 1])) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+function toRings(geometry) {
+    return toMultiPolygon(geometry)
+        .filter(polygon => Array.isArray(polygon[0]) && polygon[0].length >= 4)
+        .map(polygon => ({ ring: polygon[0], bounds: getRingBounds(polygon[0]) }));
+}
+
+// Add a sorted `tiles` property (tile names) to each swath feature
+function addSwathTiles(features, gridPath) {
+    const grid = JSON.parse(fs.readFileSync(gridPath, 'utf8'));
+    const tiles = (grid.features || [])
+        .map(feature => ({ name: getName(feature), rings: toRings(feature.geometry) }))
+        .filter(tile => tile.name && tile.rings.length > 0);
+
+    features.forEach(feature => {
+        const swath = toRings(feature.geometry);
+        feature.properties.tiles = tiles
+            .filter(tile => tile.rings.some(part => swath.some(piece =>
+                boundsIntersect(part.bounds, piece.bounds) && ringsIntersect(part.ring, piece.ring)
+            )))
+            .map(tile => String(tile.name))
+            .sort();
+    });
+
+    return tiles.length;
+}
+
+module.exports = { addSwathTiles };